@@ -4,7 +4,17 @@
  * cron-explain CLI - Explain cron expressions from the command line
  */
 
-const { parse, explain, validate, nextOccurrences, expandPreset, presets } = require('../lib/index.js');
+const fs = require('fs');
+const readline = require('readline');
+const {
+  parse, explain, validate, nextOccurrences, previousOccurrences, occurrencesBetween,
+  parseCrontab, explainCrontab, toSystemd, fromSystemd, toRRule, fromRRule, toICS, fromText, analyzeLoad, lint, listRules, compare, normalize, convertDialect, listDialects,
+  expandPreset, registerPreset, listPresets, loadConfig
+} = require('../lib/index.js');
+const { isSystemCrontab } = require('../lib/crontab.js');
+const { formatSpecial } = require('../lib/normalize.js');
+const { getDialect } = require('../lib/dialects.js');
+const { createZone, parseDateTime, formatOffset, formatISO } = require('../lib/timezone.js');
 
 const VERSION = '1.0.0';
 
@@ -16,23 +26,140 @@ Explain cron expressions in human-readable format
 Usage:
   cron-explain <expression>         Explain a cron expression
   cron-explain -n <count> <expr>    Show next N occurrences
+  cron-explain --prev <count> <expr>
+                                    Show previous N occurrences
+  cron-explain --from <date> --to <date> <expr>
+                                    Show every occurrence in a window
   cron-explain -v <expression>      Validate a cron expression
+  cron-explain -i [expression]      Try out expressions interactively
+  cron-explain --batch < <file>     Explain one expression per line of stdin,
+                                    writing one JSON result per line
+  cron-explain --normalize <expr>   Print the shortest canonical form
+  cron-explain --calendar [YYYY-MM] <expr>
+                                    Show a month grid of the days it runs
+  cron-explain --day <date> <expr>  Show the runs within one day
   cron-explain -p                   List preset expressions
+  cron-explain -f <file>            Explain every entry of a crontab file
+                                    (use - to read from stdin)
+  cron-explain --build "<text>"     Build an expression from English
+  cron-explain --to systemd <expr>  Convert to a systemd OnCalendar= line
+  cron-explain --from systemd <spec>
+                                    Read a systemd OnCalendar expression
+  cron-explain --to rrule <expr>    Convert to an iCalendar RRULE
+  cron-explain --from rrule <rule>  Read an iCalendar RRULE
+  cron-explain --ics <expr>         Print an .ics calendar with the schedule
+                                    as a recurring event
+  cron-explain --from <dialect> --to <dialect> <expr>
+                                    Convert between platform dialects
+  cron-explain load <expr>... | -f <file>
+                                    Show when a set of jobs pile up
+  cron-explain diff <a> <b>         Check whether two expressions are the
+                                    same schedule, and how they differ
+  cron-explain lint <expr>... | -f <file>
+                                    Flag risky schedules; --format json or
+                                    sarif, --config <file>, --rules to list
 
 Options:
   -h, --help         Show this help message
   -V, --version      Show version number
   -v, --validate     Validate the expression
+  -i, --interactive  Interactive session: type expressions to see their
+                     meaning, fields and next runs (:help for commands)
+      --strict       With -v, treat warnings as errors (a schedule that
+                     never fires is always one)
+      --normalize    Print the expression in canonical form
+      --names        With --normalize, write months and weekdays as names
+      --check        With --normalize, exit with status 1 unless the
+                     expression is already in canonical form
   -n, --next <N>     Show next N occurrences (default: 5)
+      --prev <N>     Show previous N occurrences (default: 5)
+      --from <date>  Start -n/--prev/--to from this date instead of now
+      --to <date>    List every occurrence up to this date; with --prev,
+                     look back from this date
+                     Dates: 2026-03-08, "2026-03-08 14:05" (in --tz) or ISO 8601
+      --build <text> Build the expression from a description such as
+                     "every weekday at 9:30am"; can be combined with -n
+      --to systemd   Print the expression as a systemd OnCalendar= line
+      --from systemd Treat the argument as a systemd OnCalendar expression;
+                     it can then be explained or used with -n
+      --to rrule     Print the expression as an iCalendar RRULE
+      --from rrule   Treat the argument as an iCalendar RRULE, or as .ics
+                     text with DTSTART and RRULE lines
+      --ics          Print an iCalendar file with one recurring event
+      --name <text>  With --ics, the event title (default: the expression)
+      --duration <length>
+                     With --ics, how long each run lasts: 30, 30m, 1h or
+                     1h30m (default: 15 minutes)
+      --dialect <name>
+                     Read the expression as a platform writes it: unix
+                     (default), aws, kubernetes, github or jenkins
+      --seed <name>  Job name that Jenkins-style H tokens are resolved from
+      --to <dialect> Print the expression in another dialect
+      --from <dialect>
+                     Same as --dialect
+      --day-match <or|and>
+                     When both day of month and day of week are set, run
+                     when either matches (or, standard cron, default) or
+                     only when both match (and)
+      --calendar [YYYY-MM]
+                     Month grid with the number of runs on each day
+                     (default: this month)
+      --day <date>   Timeline of the runs on one day, hour by hour
+      --tz <zone>    Time zone for occurrences, e.g. America/New_York
+                     (default: local time)
+      --locale <code>
+                     Language of explanations: en, de, fr, es, pt-BR, ja
+      --verbose      List every time and value instead of summarizing
+      --short        Abbreviated explanation (Every 15 min, Mon–Fri)
+      --12h          Show times as 9:00 AM instead of 09:00
   -j, --json         Output in JSON format
-  -p, --presets      List common cron presets
+      --format <f>   Output as text (default), json, markdown, csv, table or
+                     yaml; applies to explanations, -v, -n/--prev and -p
+      --template <t> One line per result with placeholders filled in:
+                     {expression} {explanation} {timezone} {valid} {error}
+                     {problems} {fields} {next} {runs}, a field by name
+                     ({day-of-week}), and for -p {name} {source}
+      --batch        Read expressions, or {"id", "expression"} JSON objects,
+                     one per line from stdin and write NDJSON results; exit
+                     status 1 if any line is invalid or never fires (with
+                     --strict, or has warnings). Takes -n (default 5),
+                     --from, --tz, --dialect
+  -p, --presets      List common cron presets, and custom ones
+      --config <file>
+                     Read custom presets and lint rules from this JSON file
+                     (default: .cronexplainrc, or the cronExplain key of
+                     package.json, in the current directory)
+  -f, --file <path>  Explain a crontab file, or - for stdin
+      --system       Crontab entries have a user column (automatic for
+                     /etc/crontab and /etc/cron.d/*)
 
 Examples:
   cron-explain "0 9 * * 1-5"        # At 09:00 on weekdays
   cron-explain "*/15 * * * *"       # Every 15 minutes
   cron-explain "@daily"             # Preset: every day at midnight
   cron-explain -n 10 "0 0 * * *"    # Next 10 occurrences
+  cron-explain -n 3 --tz Europe/Berlin "0 9 * * *"
+  cron-explain --locale de "0 9 * * 1-5"
+  cron-explain --short --12h "*/15 9-17 * * 1-5"
+  cron-explain --prev 1 --to "2026-10-18 14:05" "*/30 * * * *"
+  cron-explain --from 2026-03-01 --to 2026-03-02 "0 */6 * * *"
+  crontab -l | cron-explain -f -
+  cron-explain --build "first Monday of every month at noon"
+  cron-explain --to systemd "0 9 * * 1-5"
+  cron-explain --from systemd -n 3 "Mon..Fri *-*-* 09:00:00"
+  cron-explain --to rrule "30 8 1,15 * *"
+  cron-explain --from rrule "FREQ=MONTHLY;BYDAY=-1FR;BYHOUR=17;BYMINUTE=0"
+  cron-explain --dialect aws -n 3 "0 9 ? * MON-FRI *"
+  cron-explain --from kubernetes --to aws "CRON_TZ=UTC 0 9 * * 1-5"
+  cron-explain --dialect jenkins --seed nightly-build -n 3 "H H(0-5) * * *"
+  cron-explain --ics --name Backup --duration 1h --tz Europe/Berlin "0 2 * * *" > backup.ics
   cron-explain -v "0 0 30 2 *"      # Validate (Feb 30 never happens)
+  cron-explain --normalize "0,15,30,45 */1 * * *"
+  cron-explain --calendar 2026-11 "0 9 * * 1-5"
+  cron-explain --day 2026-11-02 "*/20 9-11 * * *"
+  cron-explain load -f /etc/crontab --from 2026-10-19 --to 2026-10-26
+  cron-explain diff "0 9 * * 1-5" "0 9 * * MON,TUE,WED,THU,FRI"
+  cron-explain lint --format sarif -f /etc/crontab > cron.sarif
 
 Cron format:
   ┌────────────── minute (0-59)
@@ -48,27 +175,1226 @@ Special characters:
   ,   list separator (1,3,5)
   -   range (1-5)
   /   step (*/15 = every 15)
+
+Quartz day characters:
+  L   last day of month (L, L-2) or last weekday in month (5L)
+  W   nearest weekday to a day (15W, LW)
+  #   nth weekday of month (5#3 = third Friday)
+  ?   no specific value (day fields only)
 `);
 }
 
-function printPresets() {
+/**
+ * The presets as records (see scheduleRecord()) with their name and where
+ * they come from: built-in ones, @reboot and an @every example, then
+ * custom ones
+ */
+function presetRecords(explainOptions, configFile) {
+  const all = listPresets();
+  return [
+    ...all.filter(preset => !preset.custom),
+    { name: '@reboot', expression: '', custom: false },
+    { name: '@every 15m', expression: expandPreset('@every 15m'), custom: false },
+    ...all.filter(preset => preset.custom)
+  ].map(({ name, expression, custom }) => ({
+    name,
+    ...scheduleRecord(name, explainOptions),
+    expression,
+    source: custom ? configFile : 'built-in'
+  }));
+}
+
+function printPresets(records, configFile) {
+  const width = Math.max(12, ...records.map(record => record.name.length));
+  const row = record => {
+    const explanation = record.valid ? record.explanation : `✗ ${record.error}`;
+    const note = record.name.startsWith('@every') ? ' (any interval that divides a minute, hour or day)' : '';
+    console.log(`  ${record.name.padEnd(width)} ${record.expression.padEnd(15)} ${explanation}${note}`);
+  };
+
   console.log('\nCommon cron presets:\n');
-  for (const [name, expr] of Object.entries(presets)) {
-    const explanation = explain(expr);
-    console.log(`  ${name.padEnd(12)} ${expr.padEnd(15)} ${explanation}`);
+  records.filter(record => record.source === 'built-in').forEach(row);
+
+  const custom = records.filter(record => record.source !== 'built-in');
+  if (custom.length > 0) {
+    console.log(`\nCustom presets (${configFile}):\n`);
+    custom.forEach(row);
+  }
+  console.log('');
+}
+
+function formatDate(date, zone) {
+  // Format in the zone's wall-clock time, with its UTC offset
+  const wall = zone.toWall(date);
+  const month = String(wall.month).padStart(2, '0');
+  const day = String(wall.day).padStart(2, '0');
+  const hours = String(wall.hour).padStart(2, '0');
+  const minutes = String(wall.minute).padStart(2, '0');
+  const seconds = String(wall.second).padStart(2, '0');
+  const offset = formatOffset(zone.offsetAt(date.getTime()));
+  return `${wall.year}-${month}-${day} ${hours}:${minutes}:${seconds} ${offset}`;
+}
+
+function printDiagnostics(expression, diagnostics) {
+  for (const diagnostic of diagnostics) {
+    const marker = diagnostic.severity === 'error' ? '✗' : '⚠';
+    console.log(`\n  ${marker} ${diagnostic.message} [${diagnostic.code}]`);
+    if (diagnostic.offset !== null) {
+      const width = Math.max(diagnostic.length || 0, 1);
+      console.log(`    ${expression}`);
+      console.log(`    ${' '.repeat(diagnostic.offset)}${'^'.repeat(width)}`);
+    }
+  }
+  if (diagnostics.length > 0) {
+    console.log('');
+  }
+}
+
+function runCrontab(path, options) {
+  const text = fs.readFileSync(path === '-' ? 0 : path, 'utf8');
+  const system = options.system || (path !== '-' && isSystemCrontab(path));
+  const result = explainCrontab(text, {
+    system,
+    timezone: options.timezone,
+    dayMatching: options.dayMatching,
+    locale: options.locale,
+    verbose: options.verbose,
+    short: options.short,
+    use24HourTime: options.use24HourTime
+  });
+  const defaultZone = createZone(options.timezone);
+
+  if (options.outputJson) {
+    console.log(JSON.stringify({
+      file: path === '-' ? null : path,
+      environment: result.environment,
+      entries: result.entries.map(entry => {
+        const zone = entry.timezone ? createZone(entry.timezone) : defaultZone;
+        return { ...entry, nextRun: entry.nextRun ? formatISO(entry.nextRun, zone) : null };
+      }),
+      errors: result.errors
+    }, null, 2));
+  } else {
+    console.log('');
+    for (const entry of result.entries) {
+      const zone = entry.timezone ? createZone(entry.timezone) : defaultZone;
+      console.log(`Line ${entry.line}: ${entry.schedule}`);
+      console.log(`  Meaning:  ${entry.explanation}`);
+      console.log(`  Command:  ${entry.command}`);
+      if (entry.user) {
+        console.log(`  User:     ${entry.user}`);
+      }
+      if (!entry.reboot) {
+        const nextRun = entry.nextRun ? `${formatDate(entry.nextRun, zone)} (${zone.name})` : 'never';
+        console.log(`  Next run: ${nextRun}`);
+      }
+      for (const warning of entry.warnings) {
+        console.log(`  ⚠ ${warning.message} [${warning.code}]`);
+      }
+      console.log('');
+    }
+
+    if (result.entries.length === 0 && result.errors.length === 0) {
+      console.log('No crontab entries found\n');
+    }
+
+    if (result.errors.length > 0) {
+      console.log('Errors:');
+      for (const error of result.errors) {
+        const column = error.column ? `:${error.column}` : '';
+        console.log(`  ✗ Line ${error.line}${column}: ${error.message} [${error.code}]`);
+      }
+      console.log('');
+    }
+  }
+
+  process.exit(result.errors.length > 0 ? 1 : 0);
+}
+
+// Shades for the heatmap, from a few runs to the busiest hour
+const SHADES = '.:-=+*#%@';
+const WEEK = [1, 2, 3, 4, 5, 6, 0];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function printHeatmap(heatmap) {
+  const max = Math.max(...heatmap.map(row => Math.max(...row)));
+  const shade = count => {
+    if (count === 0) return '  ';
+    const index = Math.min(SHADES.length - 1, Math.floor((count / max) * SHADES.length));
+    return SHADES[index].repeat(2);
+  };
+
+  const hours = Array.from({ length: 24 }, (_, h) => String(h).padStart(2, '0'));
+  console.log(`       ${hours.join(' ')}`);
+  for (const weekday of WEEK) {
+    console.log(`  ${WEEKDAY_NAMES[weekday]}  ${heatmap[weekday].map(shade).join(' ')}`);
+  }
+  console.log(`\n  ${SHADES[0]} fewest ... ${SHADES[SHADES.length - 1]} most (${max} runs in an hour), blank: none`);
+}
+
+function runLoad(args) {
+  let outputJson = false;
+  let system = false;
+  let timezone = null;
+  let dayMatching = 'or';
+  let dialect;
+  let fromArg = null;
+  let toArg = null;
+  let top = 10;
+  let by = null;
+  const files = [];
+  const jobs = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-j' || arg === '--json') {
+      outputJson = true;
+    } else if (arg === '-f' || arg === '--file') {
+      files.push(args[++i]);
+    } else if (arg === '--system') {
+      system = true;
+    } else if (arg === '--tz' || arg === '--timezone') {
+      timezone = args[++i];
+    } else if (arg === '--day-match') {
+      dayMatching = args[++i];
+    } else if (arg === '--dialect') {
+      dialect = args[++i];
+    } else if (arg === '--from') {
+      fromArg = args[++i];
+    } else if (arg === '--to') {
+      toArg = args[++i];
+    } else if (arg === '--top') {
+      top = parseInt(args[++i], 10) || 10;
+    } else if (arg === '--by') {
+      by = args[++i];
+    } else if (!arg.startsWith('-')) {
+      jobs.push(expandPreset(arg));
+    }
+  }
+
+  if (by !== null && by !== 'minute' && by !== 'hour') {
+    console.error(`Error: --by must be minute or hour, not ${by}`);
+    process.exit(1);
+  }
+
+  for (const path of files) {
+    const text = fs.readFileSync(path === '-' ? 0 : path, 'utf8');
+    const crontab = parseCrontab(text, { system: system || (path !== '-' && isSystemCrontab(path)), dayMatching });
+    for (const error of crontab.errors) {
+      console.error(`Skipping ${path === '-' ? 'stdin' : path} line ${error.line}: ${error.message}`);
+    }
+    jobs.push(...crontab.entries);
+  }
+
+  if (jobs.length === 0) {
+    console.error('Error: No cron expressions or crontab files provided');
+    console.error('Use --help for usage information');
+    process.exit(1);
+  }
+
+  const zone = createZone(timezone);
+  const start = fromArg ? parseDateTime(fromArg, zone) : new Date();
+  const end = toArg ? parseDateTime(toArg, zone) : undefined;
+  const load = analyzeLoad(jobs, { start, end, timezone, dayMatching, dialect, top });
+
+  if (outputJson) {
+    const bucket = ({ at, ...rest }) => ({ at: formatISO(at, zone), ...rest });
+    console.log(JSON.stringify({
+      ...load,
+      start: formatISO(load.start, zone),
+      end: formatISO(load.end, zone),
+      minutes: load.minutes.map(bucket),
+      hours: load.hours.map(bucket),
+      peak: {
+        minute: load.peak.minute && bucket(load.peak.minute),
+        hour: load.peak.hour && bucket(load.peak.hour)
+      },
+      collisions: load.collisions.map(bucket)
+    }, null, 2));
+    return;
+  }
+
+  console.log(`\nLoad for ${load.jobs.length} jobs from ${formatDate(load.start, zone)} to ${formatDate(load.end, zone)} (${zone.name})\n`);
+  console.log(`  Total runs:     ${load.totalRuns}`);
+  if (load.peak.minute) {
+    console.log(`  Busiest minute: ${formatDate(load.peak.minute.at, zone)} (${load.peak.minute.jobs} jobs)`);
+    console.log(`  Busiest hour:   ${formatDate(load.peak.hour.at, zone)} (${load.peak.hour.runs} runs from ${load.peak.hour.jobs} jobs)`);
+  }
+
+  if (load.collisions.length > 0) {
+    console.log('\nCollisions:');
+    for (const collision of load.collisions) {
+      const repeats = collision.occurrences > 1 ? `, ${collision.occurrences} times` : '';
+      console.log(`  ${collision.time}  ${collision.jobs.length} jobs (first ${formatDate(collision.at, zone)}${repeats})`);
+      for (const label of collision.jobs) {
+        console.log(`         ${label}`);
+      }
+    }
+  } else {
+    console.log('\nNo two jobs run in the same minute');
+  }
+
+  if (by !== null) {
+    console.log(`\nRuns per ${by}:`);
+    for (const { at, jobs: count, runs } of by === 'minute' ? load.minutes : load.hours) {
+      console.log(`  ${formatDate(at, zone)}  ${String(runs).padStart(5)} runs  ${count} jobs`);
+    }
+  }
+
+  console.log('\nRuns by hour of day:\n');
+  printHeatmap(load.heatmap);
+  console.log('');
+}
+
+const MONTH_NAMES = ['', 'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Write a field value or Quartz special token back in cron syntax
+ */
+function formatFieldValue(field, value) {
+  if (typeof value === 'number') {
+    if (field === 'day of week') return WEEKDAY_NAMES[value];
+    if (field === 'month') return MONTH_NAMES[value];
+    return String(value);
+  }
+  return formatSpecial(value);
+}
+
+function runDiff(args) {
+  let outputJson = false;
+  let timezone = null;
+  let dayMatching = 'or';
+  let dialect;
+  let fromArg = null;
+  let samples = 5;
+  const expressions = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-j' || arg === '--json') {
+      outputJson = true;
+    } else if (arg === '--tz' || arg === '--timezone') {
+      timezone = args[++i];
+    } else if (arg === '--day-match') {
+      dayMatching = args[++i];
+    } else if (arg === '--dialect') {
+      dialect = args[++i];
+    } else if (arg === '--from') {
+      fromArg = args[++i];
+    } else if (arg === '-n' || arg === '--next') {
+      samples = parseInt(args[++i], 10) || 5;
+    } else if (!arg.startsWith('-')) {
+      expressions.push(expandPreset(arg));
+    }
+  }
+
+  if (expressions.length !== 2) {
+    console.error('Error: diff needs exactly two cron expressions');
+    console.error('Use --help for usage information');
+    process.exit(1);
+  }
+
+  const [a, b] = expressions;
+  const zone = createZone(timezone);
+  const start = fromArg ? parseDateTime(fromArg, zone) : new Date();
+  const result = compare(a, b, { start, timezone, dayMatching, dialect, samples });
+
+  if (outputJson) {
+    console.log(JSON.stringify({
+      a,
+      b,
+      ...result,
+      onlyA: result.onlyA.map(date => formatISO(date, zone)),
+      onlyB: result.onlyB.map(date => formatISO(date, zone))
+    }, null, 2));
+    return result.equivalent;
+  }
+
+  console.log(`\n  A: ${a.padEnd(Math.max(a.length, b.length))}  ${explain(a, { dayMatching, dialect })}`);
+  console.log(`  B: ${b.padEnd(Math.max(a.length, b.length))}  ${explain(b, { dayMatching, dialect })}\n`);
+  if (result.equivalent) {
+    console.log('✓ Same schedule\n');
+    return true;
+  }
+
+  console.log('✗ Different schedules\n');
+  for (const difference of result.differences) {
+    console.log(`  ${difference.field}: ${difference.a} → ${difference.b}`);
+    const list = values => values.map(value => formatFieldValue(difference.field, value)).join(', ');
+    if (difference.onlyA.length > 0) {
+      console.log(`    only in A: ${list(difference.onlyA)}`);
+    }
+    if (difference.onlyB.length > 0) {
+      console.log(`    only in B: ${list(difference.onlyB)}`);
+    }
   }
+
+  for (const [name, dates] of [['A', result.onlyA], ['B', result.onlyB]]) {
+    console.log(`\nRuns only ${name} produces (${zone.name}):`);
+    if (dates.length === 0) {
+      console.log('  none found');
+    }
+    dates.forEach((date, i) => {
+      console.log(`  ${(i + 1).toString().padStart(2)}. ${formatDate(date, zone)}`);
+    });
+  }
+  console.log('');
+  return false;
+}
+
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+const LINT_MARKERS = { error: '✗', warning: '⚠', info: 'ℹ' };
+
+/**
+ * Findings as a SARIF 2.1.0 log, for code scanning in CI
+ */
+function toSarif(result) {
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'cron-explain',
+          version: VERSION,
+          rules: listRules().map(rule => ({
+            id: rule.id,
+            shortDescription: { text: rule.description },
+            defaultConfiguration: { level: SARIF_LEVELS[rule.severity] }
+          }))
+        }
+      },
+      results: result.findings.map(finding => ({
+        ruleId: finding.rule,
+        level: SARIF_LEVELS[finding.severity],
+        message: { text: finding.expression ? `${finding.message} (${finding.expression})` : finding.message },
+        locations: finding.file ? [{
+          physicalLocation: {
+            artifactLocation: { uri: finding.file },
+            region: { startLine: finding.line || 1 }
+          }
+        }] : []
+      }))
+    }]
+  };
+}
+
+function runLint(args, config) {
+  let format = 'text';
+  let system = false;
+  let timezone = null;
+  let dayMatching = 'or';
+  let dialect;
+  const files = [];
+  const jobs = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-j' || arg === '--json') {
+      format = 'json';
+    } else if (arg === '--format') {
+      format = args[++i];
+    } else if (arg === '-f' || arg === '--file') {
+      files.push(args[++i]);
+    } else if (arg === '--system') {
+      system = true;
+    } else if (arg === '--tz' || arg === '--timezone') {
+      timezone = args[++i];
+    } else if (arg === '--day-match') {
+      dayMatching = args[++i];
+    } else if (arg === '--dialect') {
+      dialect = args[++i];
+    } else if (arg === '--rules') {
+      for (const rule of listRules()) {
+        console.log(`  ${rule.id.padEnd(20)} ${rule.severity.padEnd(8)} ${rule.description}`);
+      }
+      return 0;
+    } else if (!arg.startsWith('-')) {
+      jobs.push(expandPreset(arg));
+    }
+  }
+
+  if (!['text', 'json', 'sarif'].includes(format)) {
+    throw new Error(`--format must be text, json or sarif, not ${format}`);
+  }
+
+  for (const path of files) {
+    const text = fs.readFileSync(path === '-' ? 0 : path, 'utf8');
+    const crontab = parseCrontab(text, { system: system || (path !== '-' && isSystemCrontab(path)), dayMatching });
+    const file = path === '-' ? null : path;
+    jobs.push(
+      ...crontab.entries.map(entry => ({ ...entry, file, label: entry.command })),
+      ...crontab.errors.map(error => ({ file, line: error.line, error }))
+    );
+  }
+
+  if (jobs.length === 0) {
+    throw new Error('No cron expressions or crontab files provided');
+  }
+
+  const result = lint(jobs, { rules: config.rules, timezone, dayMatching, dialect });
+  const failed = result.counts.error > 0;
+
+  if (format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+    return failed ? 1 : 0;
+  }
+  if (format === 'sarif') {
+    console.log(JSON.stringify(toSarif(result), null, 2));
+    return failed ? 1 : 0;
+  }
+
+  console.log('');
+  let previous = null;
+  for (const finding of result.findings) {
+    if (finding.job !== previous) {
+      const heading = [
+        finding.file ? `${finding.file}:${finding.line}` : finding.line ? `Line ${finding.line}:` : null,
+        finding.expression,
+        finding.label !== finding.expression ? finding.label : null
+      ].filter(Boolean).join('  ');
+      console.log(`${previous === null ? '' : '\n'}${heading}`);
+      previous = finding.job;
+    }
+    console.log(`  ${LINT_MARKERS[finding.severity]} ${finding.message} [${finding.rule}]`);
+  }
+  const { error, warning, info } = result.counts;
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  console.log(result.findings.length === 0
+    ? '✓ No problems found\n'
+    : `\n${plural(error, 'error')}, ${plural(warning, 'warning')}, ${info} info\n`);
+  return failed ? 1 : 0;
+}
+
+const FIELD_ALIASES = {
+  sec: 'second',
+  min: 'minute',
+  dom: 'day of month',
+  'day-of-month': 'day of month',
+  mon: 'month',
+  dow: 'day of week',
+  'day-of-week': 'day of week'
+};
+// Values listed in the field breakdown before it switches to a count
+const BREAKDOWN_LIMIT = 12;
+
+const REPL_HELP = `
+  Type a cron expression to see what it means; the up arrow brings back
+  earlier lines for editing, and :set leaves the changed expression ready
+  to edit.
+
+  :set <field> <value>  Change one field, e.g. :set hour 9-17 or :set dow 1-5
+  :tz [zone]            Time zone for the runs (none: local time)
+  :dialect [name]       Platform syntax: ${listDialects().join(', ')}
+  :count <n>            How many runs to show
+  :help                 Show this help
+  :quit                 Leave (or Ctrl-D)
+`;
+
+/**
+ * Replace one field of an expression, found by the dialect's field layout
+ */
+function replaceField(expression, name, value, dialectName) {
+  const field = FIELD_ALIASES[name] || name.replace(/-/g, ' ');
+  const tokens = [];
+  const pattern = /\S+/g;
+  let match;
+  while ((match = pattern.exec(expression)) !== null) {
+    tokens.push(match);
+  }
+  // A CRON_TZ= or TZ= prefix is not a field
+  const first = /^(CRON_)?TZ=/.test(tokens[0] ? tokens[0][0] : '') ? 1 : 0;
+  const fields = tokens.slice(first);
+  const layouts = getDialect(dialectName).layouts.filter(layout => layout.length === fields.length);
+  const endsInYear = fields.length > 0 && /\d{4}/.test(fields[fields.length - 1][0]);
+  const layout = layouts.find(names => names.includes('year') === endsInYear) || layouts[0];
+  if (!layout) {
+    throw new Error(`Cannot tell the fields apart in '${expression}'`);
+  }
+  const index = layout.indexOf(field);
+  if (index === -1) {
+    throw new Error(`'${expression}' has no ${field} field (fields: ${layout.join(', ')})`);
+  }
+  const token = fields[index];
+  return expression.slice(0, token.index) + value + expression.slice(token.index + token[0].length);
+}
+
+/**
+ * One line of the field breakdown: the values a field allows
+ */
+function describeFieldValues(name, field) {
+  if (field.raw === '*' || field.raw === '?') {
+    return 'any';
+  }
+  const values = [...field.values.map(value => formatFieldValue(name, value)), ...field.specials.map(formatSpecial)];
+  if (values.length > BREAKDOWN_LIMIT) {
+    return `${values.slice(0, BREAKDOWN_LIMIT - 2).join(', ')}, … (${values.length} values)`;
+  }
+  return values.join(', ');
+}
+
+/**
+ * Show an expression the way the interactive session does: explanation,
+ * field breakdown, problems and the next runs
+ */
+function showInteractive(expression, settings) {
+  const options = {
+    dayMatching: settings.dayMatching,
+    dialect: settings.dialect,
+    seed: settings.seed,
+    timezone: settings.timezone
+  };
+  const result = validate(expression, options);
+  if (!result.valid) {
+    console.log('\n  ✗ Invalid cron expression');
+    printDiagnostics(expression, result.diagnostics);
+    return;
+  }
+
+  const parsed = parse(expression, options);
+  const explanation = explain(expression, {
+    ...options,
+    locale: settings.locale,
+    verbose: settings.verbose,
+    short: settings.short,
+    use24HourTime: settings.use24HourTime
+  });
+  console.log(`\n  ${explanation}\n`);
+
+  const width = Math.max(...Object.entries(parsed.fields).map(([, field]) => field.raw.length));
+  for (const [name, field] of Object.entries(parsed.fields)) {
+    console.log(`  ${name.padEnd(13)} ${field.raw.padEnd(width)}  ${describeFieldValues(name, field)}`);
+  }
+  printDiagnostics(expression, result.diagnostics);
+
+  const zone = createZone(parsed.timezone || settings.timezone);
+  const runs = nextOccurrences(expression, settings.count, new Date(), options);
+  console.log(`${result.diagnostics.length > 0 ? '' : '\n'}  Next ${settings.count} runs (${zone.name}):`);
+  if (runs.length === 0) {
+    console.log('    none found');
+  }
+  runs.forEach((date, i) => {
+    console.log(`    ${(i + 1).toString().padStart(2)}. ${formatDate(date, zone)}`);
+  });
   console.log('');
 }
 
-function formatDate(date) {
-  // Format in local time
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const hours = String(date.getHours()).padStart(2, '0');
-  const minutes = String(date.getMinutes()).padStart(2, '0');
-  const seconds = String(date.getSeconds()).padStart(2, '0');
-  return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+/**
+ * Handle a `:command` typed in the interactive session
+ * @returns {string|null} An expression to show, or null
+ */
+function runReplCommand(line, settings) {
+  const [command, ...rest] = line.slice(1).trim().split(/\s+/);
+  const argument = rest.join(' ');
+  switch (command) {
+    case 'set':
+      if (rest.length < 2 || settings.expression === null) {
+        throw new Error(settings.expression === null ? 'Type an expression first' : 'Usage: :set <field> <value>');
+      }
+      return replaceField(expandPreset(settings.expression), rest[0], rest.slice(1).join(' '), settings.dialect);
+    case 'tz':
+      if (argument) {
+        createZone(argument);
+      }
+      settings.timezone = argument || null;
+      console.log(`  Time zone: ${createZone(settings.timezone).name}`);
+      return settings.expression;
+    case 'dialect':
+      settings.dialect = getDialect(argument || undefined).name;
+      console.log(`  Dialect: ${getDialect(settings.dialect).label}`);
+      return settings.expression;
+    case 'count': {
+      const count = parseInt(argument, 10);
+      if (!(count > 0)) {
+        throw new Error('Usage: :count <n>, with n at least 1');
+      }
+      settings.count = count;
+      return settings.expression;
+    }
+    case 'help':
+    case '?':
+      console.log(REPL_HELP);
+      return null;
+    case 'quit':
+    case 'q':
+    case 'exit':
+      return undefined;
+    default:
+      throw new Error(`Unknown command :${command} (type :help for the list)`);
+  }
+}
+
+function runInteractive(args) {
+  const settings = {
+    expression: null,
+    timezone: null,
+    dayMatching: 'or',
+    dialect: undefined,
+    seed: undefined,
+    locale: undefined,
+    verbose: false,
+    short: false,
+    use24HourTime: true,
+    count: 5
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--tz' || arg === '--timezone') {
+      settings.timezone = args[++i];
+    } else if (arg === '--day-match') {
+      settings.dayMatching = args[++i];
+    } else if (arg === '--dialect') {
+      settings.dialect = args[++i];
+    } else if (arg === '--seed') {
+      settings.seed = args[++i];
+    } else if (arg === '--locale') {
+      settings.locale = args[++i];
+    } else if (arg === '--verbose') {
+      settings.verbose = true;
+    } else if (arg === '--short') {
+      settings.short = true;
+    } else if (arg === '--12h') {
+      settings.use24HourTime = false;
+    } else if (arg === '-n' || arg === '--next') {
+      settings.count = parseInt(args[++i], 10) || 5;
+    } else if (!arg.startsWith('-')) {
+      settings.expression = arg;
+    }
+  }
+  createZone(settings.timezone);
+  getDialect(settings.dialect);
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: 'cron> '
+  });
+
+  console.log(`cron-explain v${VERSION}, type :help for commands`);
+  if (settings.expression) {
+    showInteractive(expandPreset(settings.expression), settings);
+  }
+  rl.prompt();
+
+  // Lines read ahead of :quit still arrive after close()
+  let closed = false;
+  rl.on('line', input => {
+    if (closed) return;
+    const line = input.trim();
+    try {
+      let expression = line;
+      if (line.startsWith(':')) {
+        expression = runReplCommand(line, settings);
+        if (expression === undefined) {
+          rl.close();
+          return;
+        }
+      }
+      if (expression) {
+        settings.expression = expression;
+        showInteractive(expandPreset(expression), settings);
+      }
+    } catch (error) {
+      console.log(`  Error: ${error.message}`);
+    }
+    rl.prompt();
+    if (line.startsWith(':set') && settings.expression && process.stdin.isTTY) {
+      // Offer the changed expression for further editing at the prompt
+      rl.write(settings.expression);
+    }
+  });
+  rl.on('close', () => {
+    closed = true;
+    console.log('');
+  });
+}
+
+/**
+ * The parsed fields as printed with --json
+ */
+function fieldsToJson(parsed) {
+  return Object.entries(parsed.fields).reduce((acc, [k, v]) => {
+    acc[k] = { raw: v.raw, type: v.type, values: v.values };
+    if (v.specials.length > 0) {
+      acc[k].specials = v.specials;
+    }
+    return acc;
+  }, {});
+}
+
+/**
+ * Explain one line of --batch input
+ * @returns {object} The result written for it
+ */
+function explainBatchLine(text, line, settings) {
+  let job = { expression: text };
+  if (text.startsWith('{')) {
+    try {
+      job = JSON.parse(text);
+    } catch (error) {
+      return { line, valid: false, error: `Invalid JSON: ${error.message}` };
+    }
+  }
+  const head = { line, ...(job.id !== undefined ? { id: job.id } : {}), expression: job.expression };
+  if (typeof job.expression !== 'string' || job.expression.trim() === '') {
+    return { ...head, expression: job.expression === undefined ? null : job.expression, valid: false, error: 'No expression given' };
+  }
+
+  const options = {
+    dayMatching: settings.dayMatching,
+    dialect: job.dialect || settings.dialect,
+    seed: job.seed !== undefined ? job.seed : settings.seed,
+    timezone: job.timezone || settings.timezone
+  };
+  try {
+    const expression = expandPreset(job.expression.trim());
+    const result = validate(expression, options);
+    if (!result.valid) {
+      return { ...head, valid: false, error: result.error, diagnostics: result.diagnostics };
+    }
+    const parsed = parse(expression, options);
+    const zone = createZone(parsed.timezone || options.timezone);
+    return {
+      ...head,
+      valid: true,
+      explanation: explain(expression, {
+        ...options,
+        locale: settings.locale,
+        verbose: settings.verbose,
+        short: settings.short,
+        use24HourTime: settings.use24HourTime
+      }),
+      timezone: zone.name,
+      fields: fieldsToJson(parsed),
+      nextRuns: nextOccurrences(expression, settings.count, settings.from, options).map(date => formatISO(date, zone)),
+      diagnostics: result.diagnostics
+    };
+  } catch (error) {
+    // An unknown dialect or time zone in the line itself
+    return { ...head, valid: false, error: error.message };
+  }
+}
+
+function runBatch(args) {
+  const settings = {
+    timezone: null,
+    dayMatching: 'or',
+    dialect: undefined,
+    seed: undefined,
+    locale: undefined,
+    verbose: false,
+    short: false,
+    use24HourTime: true,
+    count: 5,
+    from: new Date()
+  };
+  let strict = false;
+  let fromArg = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--tz' || arg === '--timezone') {
+      settings.timezone = args[++i];
+    } else if (arg === '--day-match') {
+      settings.dayMatching = args[++i];
+    } else if (arg === '--dialect') {
+      settings.dialect = args[++i];
+    } else if (arg === '--seed') {
+      settings.seed = args[++i];
+    } else if (arg === '--locale') {
+      settings.locale = args[++i];
+    } else if (arg === '--verbose') {
+      settings.verbose = true;
+    } else if (arg === '--short') {
+      settings.short = true;
+    } else if (arg === '--12h') {
+      settings.use24HourTime = false;
+    } else if (arg === '-n' || arg === '--next') {
+      const count = parseInt(args[++i], 10);
+      settings.count = count >= 0 ? count : 5;
+    } else if (arg === '--from') {
+      fromArg = args[++i];
+    } else if (arg === '--strict') {
+      strict = true;
+    }
+  }
+  if (fromArg) {
+    settings.from = parseDateTime(fromArg, createZone(settings.timezone));
+  }
+  getDialect(settings.dialect);
+
+  const counts = { total: 0, valid: 0, invalid: 0, neverFires: 0, warnings: 0 };
+  const rl = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+  let line = 0;
+  rl.on('line', input => {
+    line++;
+    const text = input.trim();
+    if (text === '' || text.startsWith('#')) {
+      return;
+    }
+    const result = explainBatchLine(text, line, settings);
+    counts.total++;
+    // A schedule that can never run fails the batch, as it fails -v
+    const neverFires = result.valid && result.diagnostics.some(d => d.code === 'NEVER_FIRES');
+    counts[neverFires ? 'neverFires' : result.valid ? 'valid' : 'invalid']++;
+    if (result.valid && !neverFires && result.diagnostics.length > 0) {
+      counts.warnings++;
+    }
+    process.stdout.write(`${JSON.stringify(result)}\n`);
+  });
+  rl.on('close', () => {
+    const never = counts.neverFires > 0 ? `, ${counts.neverFires} ${counts.neverFires === 1 ? 'never fires' : 'never fire'}` : '';
+    const warned = counts.warnings > 0 ? `, ${counts.warnings} with warnings` : '';
+    console.error(`${counts.total} ${counts.total === 1 ? 'expression' : 'expressions'}: ` +
+      `${counts.valid} valid, ${counts.invalid} invalid${never}${warned}`);
+    process.exitCode = counts.invalid > 0 || counts.neverFires > 0 || (strict && counts.warnings > 0) ? 1 : 0;
+  });
+}
+
+const OUTPUT_FORMATS = ['text', 'json', 'markdown', 'csv', 'table', 'yaml'];
+// Headings for the values in --format output; fields are headed by their name
+const LABELS = {
+  name: 'Preset',
+  expression: 'Expression',
+  explanation: 'Meaning',
+  timezone: 'Time zone',
+  valid: 'Valid',
+  problems: 'Problems',
+  source: 'Source',
+  n: '#',
+  run: 'Run'
+};
+// Values shown as code in Markdown, where `*` would otherwise mean emphasis
+const CODE_KEYS = ['name', 'expression', 'second', 'minute', 'hour', 'day of month', 'month', 'day of week', 'year'];
+
+const label = key => LABELS[key] || key[0].toUpperCase() + key.slice(1);
+
+/**
+ * A value as one line of text: lists joined with commas
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+function csvCell(value) {
+  const text = formatCell(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function markdownCell(key, value) {
+  const text = formatCell(value).replace(/\|/g, '\\|');
+  return CODE_KEYS.includes(key) && text !== '' ? `\`${text}\`` : text;
+}
+
+/**
+ * A scalar as YAML, quoted unless it reads back as the same plain string
+ */
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value !== 'string') return String(value);
+  const plain = /^[A-Za-z][\w .,()/+-]*$/.test(value) && !/[ .]$/.test(value) &&
+    !/^(true|false|yes|no|on|off|null|y|n)$/i.test(value);
+  return plain ? value : JSON.stringify(value);
+}
+
+/**
+ * JSON-style data as YAML lines
+ */
+function toYaml(value, indent = '') {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [`${indent}[]`];
+    return value.flatMap(item => {
+      if (item !== null && typeof item === 'object' && Object.keys(item).length > 0) {
+        const [first, ...rest] = toYaml(item, `${indent}  `);
+        return [`${indent}- ${first.trimStart()}`, ...rest];
+      }
+      return [`${indent}- ${yamlScalar(item)}`];
+    });
+  }
+  if (value !== null && typeof value === 'object') {
+    if (Object.keys(value).length === 0) return [`${indent}{}`];
+    return Object.entries(value).flatMap(([key, item]) => {
+      const name = `${indent}${yamlScalar(key)}:`;
+      if (item !== null && typeof item === 'object' && (Array.isArray(item) ? item.length : Object.keys(item).length) > 0) {
+        return [name, ...toYaml(item, Array.isArray(item) ? indent : `${indent}  `)];
+      }
+      return [`${name} ${toYaml(item, '')[0]}`];
+    });
+  }
+  return [`${indent}${yamlScalar(value)}`];
+}
+
+/**
+ * Fill a --template: {name} placeholders are replaced by the record's values,
+ * with lists joined by commas; \n and \t stand for a newline and a tab.
+ * Names ignore case, and - or _ may stand for a space ({day-of-week}).
+ */
+function renderTemplate(template, record) {
+  const key = name => name.trim().toLowerCase().replace(/[-_]/g, ' ');
+  const values = new Map(Object.entries(record).map(([name, value]) => [key(name), value]));
+  return template
+    .replace(/\\([nt\\])/g, (_, c) => ({ n: '\n', t: '\t', '\\': '\\' })[c])
+    .replace(/\{([^{}]+)\}/g, (_, name) => {
+      if (!values.has(key(name))) {
+        const available = [...values.keys()].map(k => `{${k.replace(/ /g, '-')}}`).join(', ');
+        throw new Error(`Unknown placeholder {${name}} (available: ${available})`);
+      }
+      return formatCell(values.get(key(name)));
+    });
+}
+
+/**
+ * Reject an unknown --format
+ */
+function checkFormat(format) {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`--format must be ${OUTPUT_FORMATS.slice(0, -1).join(', ')} or ${OUTPUT_FORMATS[OUTPUT_FORMATS.length - 1]}, not ${format}`);
+  }
+}
+
+// Fields every record has, empty when the expression has no such field
+const RECORD_FIELDS = ['second', 'minute', 'hour', 'day of month', 'month', 'day of week', 'year'];
+// Next runs in a record when the command does not list any
+const RECORD_RUNS = 5;
+
+/**
+ * The values of one schedule for --format and --template. Every command
+ * builds the same record, so a template works with any of them:
+ * expression, explanation, timezone, valid, error, problems, fields
+ * (minute=0 hour=9 ...), each field by name, next (the next runs) and runs
+ * (the runs the command lists, else the next ones). Values that do not
+ * apply, such as the runs of an invalid expression, are empty.
+ * @param {string} expression - Cron expression or preset
+ * @param {object} options - Options for parse() and explain(), and from and
+ *   count for the next runs (default: 5 from now)
+ * @param {Date[]} runs - Runs the command lists, when not the next ones
+ * @returns {object} Record
+ */
+function scheduleRecord(expression, options, runs = null) {
+  const result = validate(expression, options);
+  const record = {
+    expression,
+    explanation: '',
+    timezone: '',
+    valid: result.valid,
+    error: result.valid ? '' : result.error,
+    problems: result.diagnostics.map(d => `${d.message} [${d.code}]`),
+    fields: ''
+  };
+  for (const name of RECORD_FIELDS) {
+    record[name] = '';
+  }
+  record.next = [];
+  record.runs = [];
+  if (!result.valid) {
+    return record;
+  }
+
+  const parsed = parse(expression, options);
+  const zone = createZone(parsed.timezone || options.timezone);
+  const next = nextOccurrences(expression, options.count || RECORD_RUNS, options.from || new Date(), options);
+  for (const [name, field] of Object.entries(parsed.fields)) {
+    record[name] = field.raw;
+  }
+  return Object.assign(record, {
+    explanation: explain(expression, options),
+    timezone: zone.name,
+    fields: Object.entries(parsed.fields).map(([name, field]) => `${name.replace(/ /g, '-')}=${field.raw}`).join(' '),
+    next: next.map(d => formatDate(d, zone)),
+    runs: (runs || next).map(d => formatDate(d, zone))
+  });
+}
+
+/**
+ * Print output for --format or --template
+ * @param {object} output - { data, records, caption, columns, rows }: data
+ *   is what --json prints, records the values for --template (one line of
+ *   output each), and caption ([key, value] pairs printed above the table and
+ *   repeated on each CSV row), columns (keys) and rows the table itself
+ * @param {object} options - { format, template }
+ */
+function printFormatted(output, { format, template }) {
+  if (template !== null) {
+    for (const record of output.records) {
+      console.log(renderTemplate(template, record));
+    }
+    return;
+  }
+  if (format === 'json') {
+    console.log(JSON.stringify(output.data, null, 2));
+    return;
+  }
+  if (format === 'yaml') {
+    console.log(toYaml(output.data).join('\n'));
+    return;
+  }
+
+  const caption = output.caption || [];
+  const { columns, rows } = output;
+  if (format === 'csv') {
+    console.log([...caption.map(([key]) => key), ...columns].map(key => csvCell(label(key))).join(','));
+    for (const row of rows) {
+      console.log([...caption.map(([, value]) => value), ...columns.map(key => row[key])].map(csvCell).join(','));
+    }
+    return;
+  }
+
+  if (format === 'markdown') {
+    for (const [key, value] of caption) {
+      console.log(`**${label(key)}:** ${markdownCell(key, value)}  `);
+    }
+    if (caption.length > 0) console.log('');
+    console.log(`| ${columns.map(label).join(' | ')} |`);
+    console.log(`|${columns.map(() => '---').join('|')}|`);
+    for (const row of rows) {
+      console.log(`| ${columns.map(key => markdownCell(key, row[key])).join(' | ')} |`);
+    }
+    return;
+  }
+
+  // table
+  const labelWidth = Math.max(0, ...caption.map(([key]) => label(key).length + 1));
+  for (const [key, value] of caption) {
+    console.log(`${`${label(key)}:`.padEnd(labelWidth)}  ${formatCell(value)}`);
+  }
+  if (caption.length > 0) console.log('');
+  const widths = columns.map(key => Math.max(label(key).length, ...rows.map(row => formatCell(row[key]).length)));
+  const line = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  console.log(line(columns.map(label)));
+  console.log(widths.map(width => '─'.repeat(width)).join('  '));
+  for (const row of rows) {
+    console.log(line(columns.map(key => formatCell(row[key]))));
+  }
+}
+
+/**
+ * Parse a --duration argument (30, 30m, 1h, 1h30m) into minutes
+ */
+function parseDuration(text) {
+  const match = /^(?:(\d+)h)?(?:(\d+)m?)?$/.exec(String(text || '').trim());
+  if (!match || (match[1] === undefined && match[2] === undefined)) {
+    console.error(`Error: Invalid duration: ${text}`);
+    process.exit(1);
+  }
+  return parseInt(match[1] || '0', 10) * 60 + parseInt(match[2] || '0', 10);
+}
+
+const MONTH_TITLES = ['', 'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+const pad2 = n => String(n).padStart(2, '0');
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+/**
+ * Count the runs on each day of a month, as wall-clock days in the zone
+ */
+function monthRuns(expression, year, month, zone, options) {
+  const start = zone.fromWall({ year, month, day: 1, hour: 0, minute: 0, second: 0 });
+  const next = month === 12 ? { year: year + 1, month: 1 } : { year, month: month + 1 };
+  const end = new Date(zone.fromWall({ ...next, day: 1, hour: 0, minute: 0, second: 0 }).getTime() - 1);
+  const days = new Array(new Date(Date.UTC(year, month, 0)).getUTCDate()).fill(0);
+  for (const date of occurrencesBetween(expression, start, end, options)) {
+    days[zone.toWall(date).day - 1]++;
+  }
+  return days;
+}
+
+function runCalendar(expression, explanation, monthArg, zone, options, outputJson) {
+  let year, month;
+  if (monthArg) {
+    const match = /^(\d{4})-(\d{2})$/.exec(monthArg);
+    if (!match || parseInt(match[2], 10) < 1 || parseInt(match[2], 10) > 12) {
+      throw new Error(`Invalid month: ${monthArg} (expected YYYY-MM)`);
+    }
+    year = parseInt(match[1], 10);
+    month = parseInt(match[2], 10);
+  } else {
+    ({ year, month } = zone.toWall(new Date()));
+  }
+
+  const days = monthRuns(expression, year, month, zone, options);
+  const total = days.reduce((sum, n) => sum + n, 0);
+
+  if (outputJson) {
+    console.log(JSON.stringify({
+      expression,
+      explanation,
+      timezone: zone.name,
+      month: `${year}-${pad2(month)}`,
+      totalRuns: total,
+      days: days.map((runs, i) => ({ date: `${year}-${pad2(month)}-${pad2(i + 1)}`, runs }))
+    }, null, 2));
+    return;
+  }
+
+  // Weeks start on Monday; each day is a date line over a run-count line
+  const cell = text => String(text).padStart(5);
+  const firstWeekday = (new Date(Date.UTC(year, month - 1, 1)).getUTCDay() + 6) % 7;
+  const cells = [...new Array(firstWeekday).fill(null), ...days.map((runs, i) => ({ day: i + 1, runs }))];
+
+  console.log(`\n  ${explanation}`);
+  console.log(`\n  ${MONTH_TITLES[month]} ${year}: ${plural(total, 'run')} (${zone.name})\n`);
+  console.log(`  ${WEEK.map(d => cell(WEEKDAY_NAMES[d])).join('')}`);
+  for (let i = 0; i < cells.length; i += 7) {
+    const week = cells.slice(i, i + 7);
+    console.log(`  ${week.map(c => cell(c ? c.day : '')).join('')}`);
+    console.log(`  ${week.map(c => cell(!c ? '' : c.runs > 0 ? c.runs : '·')).join('')}`);
+  }
+  console.log('\n  Numbers under each date count the runs that day\n');
+}
+
+function runDay(expression, explanation, dateArg, zone, options, outputJson) {
+  const { year, month, day, weekday } = zone.toWall(parseDateTime(dateArg, zone));
+  const start = zone.fromWall({ year, month, day, hour: 0, minute: 0, second: 0 });
+  const nextDay = new Date(Date.UTC(year, month - 1, day + 1));
+  const end = new Date(zone.fromWall({
+    year: nextDay.getUTCFullYear(),
+    month: nextDay.getUTCMonth() + 1,
+    day: nextDay.getUTCDate(),
+    hour: 0,
+    minute: 0,
+    second: 0
+  }).getTime() - 1);
+
+  const runs = occurrencesBetween(expression, start, end, options);
+  const hours = Array.from({ length: 24 }, () => []);
+  for (const date of runs) {
+    hours[zone.toWall(date).hour].push(date);
+  }
+  const date = `${year}-${pad2(month)}-${pad2(day)}`;
+
+  if (outputJson) {
+    console.log(JSON.stringify({
+      expression,
+      explanation,
+      timezone: zone.name,
+      date,
+      totalRuns: runs.length,
+      hours: hours.map((dates, hour) => ({ hour, runs: dates.length })),
+      runs: runs.map(d => formatISO(d, zone))
+    }, null, 2));
+    return;
+  }
+
+  const withSeconds = parse(expression, options).isExtended;
+  const clock = d => {
+    const wall = zone.toWall(d);
+    return `${pad2(wall.hour)}:${pad2(wall.minute)}${withSeconds ? `:${pad2(wall.second)}` : ''}`;
+  };
+  const most = Math.max(...hours.map(dates => dates.length));
+  const BAR_WIDTH = 30;
+
+  console.log(`\n  ${explanation}`);
+  console.log(`\n  ${WEEKDAY_NAMES[weekday]} ${date}: ${plural(runs.length, 'run')} (${zone.name})\n`);
+  hours.forEach((dates, hour) => {
+    const width = dates.length === 0 ? 0 : Math.max(1, Math.round((dates.length / most) * Math.min(most, BAR_WIDTH)));
+    const detail = dates.length === 0 ? ''
+      : dates.length <= 4 ? dates.map(clock).join(' ') : `${dates.length} runs`;
+    console.log(`  ${pad2(hour)} │${'●'.repeat(width).padEnd(Math.min(most, BAR_WIDTH))} ${detail}`.trimEnd());
+  });
+  console.log('');
 }
 
 function main() {
@@ -84,15 +1410,133 @@ function main() {
     process.exit(0);
   }
 
+  // Custom presets apply to every command, and lint takes its rules from here too
+  let config;
+  let configFile;
+  try {
+    const configIndex = args.indexOf('--config');
+    ({ config, file: configFile } = loadConfig({ path: configIndex !== -1 ? args[configIndex + 1] : undefined }));
+    if (configIndex !== -1) {
+      args.splice(configIndex, 2);
+    }
+    for (const [name, expression] of Object.entries(config.presets || {})) {
+      registerPreset(name, expression);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(2);
+  }
+
+  if (args[0] === 'load') {
+    try {
+      runLoad(args.slice(1));
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+    process.exit(0);
+  }
+
+  if (args[0] === 'diff') {
+    try {
+      process.exit(runDiff(args.slice(1)) ? 0 : 1);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(2);
+    }
+  }
+
+  if (args[0] === 'lint') {
+    try {
+      process.exit(runLint(args.slice(1), config));
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(2);
+    }
+  }
+
+  if (args.includes('--batch')) {
+    try {
+      runBatch(args.filter(arg => arg !== '--batch'));
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(2);
+    }
+    return;
+  }
+
+  if (args.includes('-i') || args.includes('--interactive')) {
+    try {
+      runInteractive(args.filter(arg => arg !== '-i' && arg !== '--interactive'));
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
   if (args.includes('-p') || args.includes('--presets')) {
-    printPresets();
+    const valueOf = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+    const explainOptions = {
+      locale: valueOf('--locale'),
+      verbose: args.includes('--verbose'),
+      short: args.includes('--short'),
+      use24HourTime: !args.includes('--12h')
+    };
+    const format = valueOf('--format') || (args.includes('-j') || args.includes('--json') ? 'json' : 'text');
+    const template = valueOf('--template');
+    try {
+      checkFormat(format);
+      const records = presetRecords(explainOptions, configFile);
+      if (format === 'text' && template === undefined) {
+        printPresets(records, configFile);
+      } else {
+        printFormatted({
+          data: { presets: records },
+          records,
+          columns: ['name', 'expression', 'explanation', 'source'],
+          rows: records
+        }, { format, template: template === undefined ? null : template });
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
     process.exit(0);
   }
 
   // Parse flags
   let outputJson = false;
   let showNext = 0;
+  let showPrev = 0;
+  let fromArg = null;
+  let toArg = null;
   let validateOnly = false;
+  let strict = false;
+  let timezone = null;
+  let dayMatching = 'or';
+  let dialect;
+  let seed;
+  let locale;
+  let verbose = false;
+  let short = false;
+  let use24HourTime = true;
+  let file = null;
+  let system = false;
+  let convertTo = null;
+  let convertFrom = null;
+  let description = null;
+  let normalizeOnly = false;
+  let calendar = false;
+  let calendarMonth = null;
+  let dayArg = null;
+  let names = false;
+  let check = false;
+  let ics = false;
+  let eventName = null;
+  let duration;
+  let format = 'text';
+  let template = null;
   let expression = null;
 
   for (let i = 0; i < args.length; i++) {
@@ -100,15 +1544,115 @@ function main() {
 
     if (arg === '-j' || arg === '--json') {
       outputJson = true;
+    } else if (arg === '--format') {
+      format = args[++i];
+    } else if (arg === '--template') {
+      template = args[++i];
     } else if (arg === '-v' || arg === '--validate') {
       validateOnly = true;
+    } else if (arg === '--strict') {
+      strict = true;
+    } else if (arg === '-f' || arg === '--file') {
+      file = args[++i];
+    } else if (arg === '--build') {
+      description = args[++i];
+    } else if (arg === '--system') {
+      system = true;
+    } else if (arg === '--calendar') {
+      calendar = true;
+      if (/^\d{4}-\d{2}$/.test(args[i + 1] || '')) {
+        calendarMonth = args[++i];
+      }
+    } else if (arg === '--day') {
+      dayArg = args[++i];
+    } else if (arg === '--normalize') {
+      normalizeOnly = true;
+    } else if (arg === '--names') {
+      names = true;
+    } else if (arg === '--check') {
+      check = true;
+    } else if (arg === '--ics') {
+      ics = true;
+    } else if (arg === '--name') {
+      eventName = args[++i];
+    } else if (arg === '--duration') {
+      duration = parseDuration(args[++i]);
+    } else if (arg === '--locale') {
+      locale = args[++i];
+    } else if (arg === '--verbose') {
+      verbose = true;
+    } else if (arg === '--short') {
+      short = true;
+    } else if (arg === '--12h') {
+      use24HourTime = false;
+    } else if (arg === '--day-match') {
+      dayMatching = args[++i];
+    } else if (arg === '--dialect') {
+      dialect = args[++i];
+    } else if (arg === '--seed') {
+      seed = args[++i];
+    } else if (arg === '--tz' || arg === '--timezone') {
+      timezone = args[++i];
     } else if (arg === '-n' || arg === '--next') {
       showNext = parseInt(args[++i], 10) || 5;
+    } else if (arg === '--prev') {
+      showPrev = parseInt(args[++i], 10) || 5;
+    } else if (arg === '--from') {
+      const value = args[++i];
+      if (value === 'systemd' || value === 'rrule') {
+        convertFrom = value;
+      } else if (listDialects().includes(value)) {
+        dialect = value;
+      } else {
+        fromArg = value;
+      }
+    } else if (arg === '--to') {
+      const value = args[++i];
+      if (value === 'systemd' || value === 'rrule' || listDialects().includes(value)) {
+        convertTo = value;
+      } else {
+        toArg = value;
+      }
     } else if (!arg.startsWith('-')) {
       expression = arg;
     }
   }
 
+  try {
+    checkFormat(format);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  if (format === 'json') {
+    outputJson = true;
+  }
+  // Markdown, CSV, table, YAML and templates replace the plain text and JSON
+  const formatted = template !== null || !['text', 'json'].includes(format);
+
+  if (file) {
+    try {
+      runCrontab(file, { outputJson, system, timezone, dayMatching, locale, verbose, short, use24HourTime });
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (description !== null) {
+    try {
+      expression = fromText(description, { dayMatching }).expression;
+    } catch (error) {
+      if (outputJson) {
+        console.log(JSON.stringify({ error: error.message, ...error.toDiagnostic() }, null, 2));
+      } else {
+        console.log('✗ Could not build a cron expression');
+        printDiagnostics(description, [error.toDiagnostic()]);
+      }
+      process.exit(1);
+    }
+  }
+
   if (!expression) {
     console.error('Error: No cron expression provided');
     console.error('Use --help for usage information');
@@ -116,61 +1660,217 @@ function main() {
   }
 
   // Expand presets
+  const original = expression;
   expression = expandPreset(expression);
 
   try {
-    if (validateOnly) {
-      const result = validate(expression);
+    // expandPreset() does not know the dialect; parse() refuses the presets it lacks
+    if (expression !== original && convertFrom === null) {
+      parse(original, { dialect });
+    }
+
+    let onCalendar = null;
+    let rrule = null;
+    if (convertFrom === 'systemd') {
+      onCalendar = expression;
+      const converted = fromSystemd(onCalendar, { dayMatching });
+      expression = converted.expression;
+      timezone = timezone || converted.timezone;
+    } else if (convertFrom === 'rrule') {
+      rrule = expression;
+      const converted = fromRRule(rrule, { dayMatching });
+      expression = converted.expression;
+      timezone = timezone || converted.timezone;
+    }
+
+    if (normalizeOnly) {
+      const normalized = normalize(expression, { dayMatching, dialect, seed, names });
+      const changed = normalized !== original;
+      if (outputJson) {
+        console.log(JSON.stringify({ expression: original, normalized, changed }, null, 2));
+      } else if (check && changed) {
+        console.log(`✗ ${original} is not in canonical form: ${normalized}`);
+      } else {
+        console.log(normalized);
+      }
+      process.exit(check && changed ? 1 : 0);
+    }
+
+    if (convertTo === 'systemd') {
+      const systemd = toSystemd(expression, { dayMatching, dialect, seed });
+      if (outputJson) {
+        console.log(JSON.stringify({ expression, systemd }, null, 2));
+      } else {
+        console.log(`OnCalendar=${systemd}`);
+      }
+      process.exit(0);
+    }
+
+    if (convertTo === 'rrule') {
+      const converted = toRRule(expression, { dayMatching, dialect, seed });
+      if (outputJson) {
+        console.log(JSON.stringify({ expression, rrule: converted }, null, 2));
+      } else {
+        console.log(`RRULE:${converted}`);
+      }
+      process.exit(0);
+    }
+
+    if (ics) {
+      process.stdout.write(toICS(expression, { dayMatching, dialect, seed, locale, timezone, name: eventName, duration }));
+      process.exit(0);
+    }
+
+    if (convertTo) {
+      const converted = convertDialect(expression, convertTo, { dayMatching, dialect, seed, timezone });
       if (outputJson) {
+        console.log(JSON.stringify({ expression, dialect: convertTo, converted: converted.expression, timezone: converted.timezone }, null, 2));
+      } else {
+        console.log(converted.expression);
+        if (converted.timezone) {
+          console.log(`(runs in ${converted.timezone})`);
+        }
+      }
+      process.exit(0);
+    }
+
+    if (validateOnly) {
+      const result = validate(expression, { dayMatching, dialect, seed, timezone });
+      const hasWarnings = result.diagnostics.some(d => d.severity === 'warning');
+      // A schedule that can never run fails the check even without --strict
+      const neverFires = result.diagnostics.some(d => d.code === 'NEVER_FIRES');
+      if (formatted) {
+        const from = fromArg ? parseDateTime(fromArg, createZone(timezone)) : undefined;
+        const record = scheduleRecord(expression, {
+          dayMatching, dialect, seed, timezone, locale, verbose, short, use24HourTime, from, count: showNext
+        });
+        printFormatted({ data: result, records: [record], columns: ['expression', 'valid', 'problems'], rows: [record] }, { format, template });
+      } else if (outputJson) {
         console.log(JSON.stringify(result, null, 2));
       } else {
-        if (result.valid) {
-          console.log(`✓ Valid ${result.isExtended ? '6' : '5'}-field cron expression`);
+        if (result.reboot) {
+          console.log('✓ Valid @reboot entry: runs at system startup, not on a schedule');
+        } else if (neverFires) {
+          console.log(`✗ Valid ${result.fields}-field cron expression, but it never fires`);
+        } else if (result.valid) {
+          console.log(`✓ Valid ${result.fields}-field cron expression`);
         } else {
-          console.log(`✗ Invalid: ${result.error}`);
+          console.log('✗ Invalid cron expression');
         }
+        printDiagnostics(expression, result.diagnostics);
       }
-      process.exit(result.valid ? 0 : 1);
+      process.exit(result.valid && !neverFires && !(strict && hasWarnings) ? 0 : 1);
     }
 
-    const explanation = explain(expression);
-    const parsed = parse(expression);
+    const explanation = explain(expression, { dayMatching, dialect, seed, timezone, locale, verbose, short, use24HourTime });
+    const parsed = parse(expression, { dayMatching, dialect, seed, timezone });
+    // The expression or its dialect may fix the time zone (CRON_TZ=, GitHub Actions' UTC)
+    timezone = parsed.timezone || timezone;
 
-    if (showNext > 0) {
-      const occurrences = nextOccurrences(expression, showNext);
+    if (calendar || dayArg) {
+      const zone = createZone(timezone);
+      if (calendar) {
+        runCalendar(expression, explanation, calendarMonth, zone, { timezone, dayMatching, dialect, seed }, outputJson);
+      } else {
+        runDay(expression, explanation, dayArg, zone, { timezone, dayMatching, dialect, seed }, outputJson);
+      }
+      process.exit(0);
+    }
 
-      if (outputJson) {
-        console.log(JSON.stringify({
-          expression,
-          explanation,
-          nextOccurrences: occurrences.map(d => d.toISOString())
-        }, null, 2));
+    if (showNext > 0 || showPrev > 0 || toArg) {
+      const zone = createZone(timezone);
+      const options = { timezone, dayMatching, dialect, seed };
+      const from = fromArg ? parseDateTime(fromArg, zone) : new Date();
+      const to = toArg ? parseDateTime(toArg, zone) : null;
+
+      let title, key, occurrences;
+      if (showPrev > 0) {
+        occurrences = previousOccurrences(expression, showPrev, to || from, options);
+        title = `Previous ${showPrev} occurrences`;
+        key = 'previousOccurrences';
+      } else if (showNext > 0) {
+        occurrences = nextOccurrences(expression, showNext, from, options);
+        title = `Next ${showNext} occurrences`;
+        key = 'nextOccurrences';
+      } else {
+        occurrences = occurrencesBetween(expression, from, to, options);
+        title = `${occurrences.length} occurrences from ${formatDate(from, zone)} to ${formatDate(to, zone)}`;
+        key = 'occurrences';
+      }
+
+      const data = {
+        expression,
+        ...(onCalendar ? { systemd: onCalendar } : {}),
+        ...(rrule ? { rrule } : {}),
+        ...(description !== null ? { description } : {}),
+        explanation,
+        timezone: zone.name,
+        [key]: occurrences.map(d => formatISO(d, zone))
+      };
+      if (formatted) {
+        const record = scheduleRecord(expression, { ...options, locale, verbose, short, use24HourTime, from, count: showNext }, occurrences);
+        printFormatted({
+          data,
+          records: [record],
+          caption: [['expression', expression], ['explanation', explanation], ['timezone', zone.name]],
+          columns: ['n', 'run'],
+          rows: record.runs.map((run, i) => ({ n: i + 1, run }))
+        }, { format, template });
+      } else if (outputJson) {
+        console.log(JSON.stringify(data, null, 2));
       } else {
-        console.log(`\nExpression: ${expression}`);
+        console.log('');
+        if (onCalendar) {
+          console.log(`OnCalendar: ${onCalendar}`);
+        }
+        if (rrule) {
+          const ruleLine = rrule.split(/\r?\n/).find(line => /^RRULE:/i.test(line)) || rrule;
+          console.log(`RRULE:      ${ruleLine.trim().replace(/^RRULE:/i, '')}`);
+        }
+        if (description !== null) {
+          console.log(`Built from: ${description}`);
+        }
+        console.log(`Expression: ${expression}`);
         console.log(`Meaning:    ${explanation}`);
-        console.log(`\nNext ${showNext} occurrences:`);
+        console.log(`Time zone:  ${zone.name}`);
+        console.log(`\n${title}:`);
         occurrences.forEach((date, i) => {
-          console.log(`  ${(i + 1).toString().padStart(2)}. ${formatDate(date)}`);
+          console.log(`  ${(i + 1).toString().padStart(2)}. ${formatDate(date, zone)}`);
         });
         console.log('');
       }
     } else {
-      if (outputJson) {
-        console.log(JSON.stringify({
-          expression,
-          explanation,
-          fields: Object.entries(parsed.fields).reduce((acc, [k, v]) => {
-            acc[k] = { raw: v.raw, type: v.type, values: v.values };
-            return acc;
-          }, {}),
-          isExtended: parsed.isExtended
-        }, null, 2));
+      const data = {
+        expression,
+        ...(onCalendar ? { systemd: onCalendar } : {}),
+        ...(rrule ? { rrule } : {}),
+        ...(description !== null ? { description } : {}),
+        explanation,
+        fields: fieldsToJson(parsed),
+        isExtended: parsed.isExtended
+      };
+      if (formatted) {
+        const from = fromArg ? parseDateTime(fromArg, createZone(timezone)) : undefined;
+        const record = scheduleRecord(expression, {
+          dayMatching, dialect, seed, timezone, locale, verbose, short, use24HourTime, from, count: showNext
+        });
+        printFormatted({
+          data,
+          records: [record],
+          columns: ['expression', 'explanation', ...Object.keys(parsed.fields)],
+          rows: [record]
+        }, { format, template });
+      } else if (outputJson) {
+        console.log(JSON.stringify(data, null, 2));
+      } else if (onCalendar || rrule || description !== null) {
+        console.log(`\n  ${expression}`);
+        console.log(`  ${explanation}\n`);
       } else {
         console.log(`\n  ${explanation}\n`);
       }
     }
   } catch (error) {
-    if (outputJson) {
+    if (outputJson && !formatted) {
       console.log(JSON.stringify({ error: error.message }, null, 2));
     } else {
       console.error(`Error: ${error.message}`);
@@ -0,0 +1,175 @@
+/**
+ * Comparison of two parsed cron expressions
+ *
+ * Two expressions are equivalent when they select the same seconds, minutes,
+ * hours, months and years and the same days. Days are compared by what the day
+ * fields mean together rather than as written: Sunday is 0 or 7, `*` and `?`
+ * are the same, and a day field that allows every day drops out of the
+ * OR/AND rule that joins the two.
+ */
+
+const { FIELD_RANGES } = require('./parse.js');
+const { iterateOccurrences, usesEitherDay } = require('./occurrences.js');
+
+const TIME_FIELDS = ['second', 'minute', 'hour', 'month', 'year'];
+const FIELDS = ['second', 'minute', 'hour', 'day of month', 'month', 'day of week', 'year'];
+const DEFAULT_SAMPLES = 5;
+// Occurrences read from each schedule while looking for differing runs
+const SCAN_LIMIT = 10000;
+
+/**
+ * Values and special tokens of a field, with 5-field expressions running at
+ * second 0 in every year, and Sunday always 0
+ */
+function fieldSet(parsed, name) {
+  const field = parsed.fields[name];
+  if (!field && name === 'year') {
+    const { min, max } = FIELD_RANGES.year;
+    return { values: Array.from({ length: max - min + 1 }, (_, i) => min + i), specials: [] };
+  }
+  if (!field) {
+    return { values: [0], specials: [] };
+  }
+  const values = name === 'day of week'
+    ? [...new Set(field.values.map(v => v % 7))].sort((a, b) => a - b)
+    : field.values;
+  return { values, specials: field.specials };
+}
+
+/**
+ * Describe the day rule of an expression: which day fields take part and
+ * whether a day must match either or both
+ * @returns {object} { matching: 'any' | 'dom' | 'dow' | 'or' | 'and', dom, dow }
+ */
+function dayRule(parsed) {
+  const dom = fieldSet(parsed, 'day of month');
+  const dow = fieldSet(parsed, 'day of week');
+  const domAll = dom.values.length === 31 && dom.specials.length === 0;
+  const dowAll = dow.values.length === 7 && dow.specials.length === 0;
+
+  if (usesEitherDay(parsed)) {
+    return { matching: domAll || dowAll ? 'any' : 'or', dom, dow };
+  }
+  if (domAll && dowAll) return { matching: 'any', dom, dow };
+  if (domAll) return { matching: 'dow', dom, dow };
+  if (dowAll) return { matching: 'dom', dom, dow };
+  return { matching: 'and', dom, dow };
+}
+
+const key = set => JSON.stringify(set);
+
+/**
+ * Whether two expressions fire at the same times
+ */
+function isEquivalent(a, b) {
+  if (TIME_FIELDS.some(name => key(fieldSet(a, name)) !== key(fieldSet(b, name)))) {
+    return false;
+  }
+  const ruleA = dayRule(a);
+  const ruleB = dayRule(b);
+  if (ruleA.matching !== ruleB.matching) return false;
+  switch (ruleA.matching) {
+    case 'any':
+      return true;
+    case 'dom':
+      return key(ruleA.dom) === key(ruleB.dom);
+    case 'dow':
+      return key(ruleA.dow) === key(ruleB.dow);
+    default:
+      return key(ruleA.dom) === key(ruleB.dom) && key(ruleA.dow) === key(ruleB.dow);
+  }
+}
+
+/**
+ * Items of one set missing from the other, compared by value
+ */
+function missing(from, other) {
+  const keys = new Set(other.map(key));
+  return from.filter(item => !keys.has(key(item)));
+}
+
+/**
+ * List the fields that differ between two expressions
+ * @returns {object[]} [{ field, a, b, onlyA, onlyB }] where a and b are the
+ *   fields as written and onlyA/onlyB the values (or Quartz special tokens)
+ *   that only one of them has
+ */
+function fieldDifferences(a, b) {
+  const differences = [];
+  for (const name of FIELDS) {
+    const setA = fieldSet(a, name);
+    const setB = fieldSet(b, name);
+    const onlyA = [...missing(setA.values, setB.values), ...missing(setA.specials, setB.specials)];
+    const onlyB = [...missing(setB.values, setA.values), ...missing(setB.specials, setA.specials)];
+    if (onlyA.length > 0 || onlyB.length > 0) {
+      const raw = parsed => (parsed.fields[name] ? parsed.fields[name].raw : name === 'year' ? '*' : '0');
+      differences.push({ field: name, a: raw(a), b: raw(b), onlyA, onlyB });
+    }
+  }
+
+  const matchingA = usesEitherDay(a) ? 'or' : 'and';
+  const matchingB = usesEitherDay(b) ? 'or' : 'and';
+  if (matchingA !== matchingB) {
+    differences.push({ field: 'day matching', a: matchingA, b: matchingB, onlyA: [], onlyB: [] });
+  }
+  return differences;
+}
+
+/**
+ * Walk both schedules in step and collect runs that only one of them has
+ */
+function differingRuns(a, b, startFrom, options) {
+  const count = options.samples !== undefined ? options.samples : DEFAULT_SAMPLES;
+  const iterA = iterateOccurrences(a, startFrom, options);
+  const iterB = iterateOccurrences(b, startFrom, options);
+  const onlyA = [];
+  const onlyB = [];
+
+  let nextA = iterA.next();
+  let nextB = iterB.next();
+  for (let scanned = 0; scanned < SCAN_LIMIT && (onlyA.length < count || onlyB.length < count); scanned++) {
+    if (nextA.done && nextB.done) break;
+    const timeA = nextA.done ? Infinity : nextA.value.getTime();
+    const timeB = nextB.done ? Infinity : nextB.value.getTime();
+    if (timeA === timeB) {
+      nextA = iterA.next();
+      nextB = iterB.next();
+    } else if (timeA < timeB) {
+      if (onlyA.length < count) onlyA.push(nextA.value);
+      nextA = iterA.next();
+    } else {
+      if (onlyB.length < count) onlyB.push(nextB.value);
+      nextB = iterB.next();
+    }
+  }
+  return { onlyA, onlyB };
+}
+
+/**
+ * Compare two parsed expressions
+ * @param {object} a - Result of parse()
+ * @param {object} b - Result of parse()
+ * @param {object} options - Options
+ * @param {Date} options.start - Look for differing runs after this date (default: now)
+ * @param {number} options.samples - How many differing runs to list for each (default: 5)
+ * @param {string} options.timezone - IANA time zone name (default: host local time)
+ * @returns {object} { equivalent, differences, onlyA, onlyB }
+ */
+function compareParsed(a, b, options = {}) {
+  // @reboot has no runs to compare; it only matches itself
+  if (a.reboot || b.reboot) {
+    return { equivalent: Boolean(a.reboot && b.reboot), differences: [], onlyA: [], onlyB: [] };
+  }
+  if (isEquivalent(a, b)) {
+    return { equivalent: true, differences: [], onlyA: [], onlyB: [] };
+  }
+  return {
+    equivalent: false,
+    differences: fieldDifferences(a, b),
+    ...differingRuns(a, b, options.start || new Date(), options)
+  };
+}
+
+module.exports = {
+  compareParsed
+};
@@ -0,0 +1,79 @@
+/**
+ * Configuration file for cron-explain
+ *
+ * Settings are read from the file named with `--config`, else `.cronexplainrc`
+ * (JSON) in the current directory, else the `cronExplain` key of its
+ * package.json:
+ *
+ *   {
+ *     "presets": { "@business-hours": "0 9-17 * * 1-5" },
+ *     "rules": { "every-minute": "off" }
+ *   }
+ *
+ * `presets` are passed to registerPreset() and `rules` to lint().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RC_FILE = '.cronexplainrc';
+const PACKAGE_KEY = 'cronExplain';
+
+/**
+ * Read a JSON file, naming it in any error
+ */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read config ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Find and read the configuration
+ * @param {object} options - Options
+ * @param {string} options.path - Config file to read instead of looking for one
+ * @param {string} options.cwd - Directory to look in (default: the current directory)
+ * @returns {object} { config, file } where file is where the config came
+ *   from (null and {} when there is none)
+ * @throws {Error} If the file cannot be read, or its presets are not
+ *   an object of expressions
+ */
+function loadConfig(options = {}) {
+  // Relative to the current directory unless another is given
+  const inDirectory = name => (options.cwd ? path.join(options.cwd, name) : name);
+  let file = null;
+  let config = {};
+
+  if (options.path) {
+    file = options.path;
+    config = readJson(file);
+  } else if (fs.existsSync(inDirectory(RC_FILE))) {
+    file = inDirectory(RC_FILE);
+    config = readJson(file);
+  } else if (fs.existsSync(inDirectory('package.json'))) {
+    const pkg = readJson(inDirectory('package.json'));
+    if (pkg && pkg[PACKAGE_KEY] !== undefined) {
+      file = inDirectory('package.json');
+      config = pkg[PACKAGE_KEY];
+    }
+  }
+
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config ${file} must be a JSON object`);
+  }
+  const presets = config.presets;
+  if (presets !== undefined) {
+    const valid = presets !== null && typeof presets === 'object' && !Array.isArray(presets) &&
+      Object.values(presets).every(expression => typeof expression === 'string');
+    if (!valid) {
+      throw new Error(`presets in ${file} must map names to expressions, e.g. { "@nightly": "0 2 * * *" }`);
+    }
+  }
+  return { config, file };
+}
+
+module.exports = {
+  loadConfig
+};
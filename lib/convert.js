@@ -0,0 +1,118 @@
+/**
+ * Conversion of parsed cron expressions between dialects
+ *
+ * The fields are written out in canonical form (see normalize.js) and then
+ * fitted to the target dialect: its field layout, its weekday numbering and
+ * the tokens it accepts. Schedules the target cannot hold, such as seconds
+ * or years for a 5-field dialect or Quartz tokens for GitHub Actions, are reported
+ * with a CronError whose code is NO_EQUIVALENT.
+ */
+
+const { CronError, FIELD_RANGES } = require('./parse.js');
+const { usesEitherDay } = require('./occurrences.js');
+const { normalizeParsed } = require('./normalize.js');
+const { getDialect } = require('./dialects.js');
+
+/**
+ * Report a construct that cannot be converted exactly
+ */
+function noEquivalent(message, field = null) {
+  return new CronError(message, { code: 'NO_EQUIVALENT', field });
+}
+
+/**
+ * Convert a parsed expression to another dialect
+ * @param {object} parsed - Result of parse()
+ * @param {string} target - Dialect name, see lib/dialects.js
+ * @param {string} zone - Zone the schedule runs in when the expression does
+ *   not fix one, such as the timezone option of parse() (default: none)
+ * @returns {object} { expression, timezone } where timezone is the zone the
+ *   schedule runs in when the target cannot write it into the expression,
+ *   and null otherwise
+ * @throws {CronError} NO_EQUIVALENT if the target cannot express the schedule
+ */
+function convertParsed(parsed, target, zone = null) {
+  const dialect = getDialect(target);
+  const { fields, isExtended } = parsed;
+  const dom = fields['day of month'];
+  const dow = fields['day of week'];
+  const label = dialect.label;
+  if (parsed.reboot) {
+    if (!dialect.reboot) {
+      throw noEquivalent(`${label} has no @reboot`);
+    }
+    return { expression: '@reboot', timezone: null };
+  }
+
+  const seconds = isExtended ? fields.second.values : [0];
+  const keepSeconds = dialect.layouts.some(layout => layout.includes('second'));
+  if (!keepSeconds && (seconds.length !== 1 || seconds[0] !== 0)) {
+    throw noEquivalent(`${label} has no seconds field`, 'second');
+  }
+  const years = fields.year ? fields.year.values : [];
+  const keepYear = years.length > 0 && years.length < FIELD_RANGES.year.max - FIELD_RANGES.year.min + 1;
+  if (keepYear && !dialect.layouts.some(layout => layout.includes('year'))) {
+    throw noEquivalent(`${label} has no year field`, 'year');
+  }
+  if (!dialect.quartz && (dom.specials.length > 0 || dow.specials.length > 0)) {
+    const field = dom.specials.length > 0 ? dom : dow;
+    throw noEquivalent(`${label} does not support '${field.raw}'`, dom.specials.length > 0 ? 'day of month' : 'day of week');
+  }
+
+  // Canonical fields, with weekdays as names and Quartz weekday tokens
+  // (5L, 5#3) numbered as the target numbers them
+  const canonical = normalizeParsed(parsed, { dialect: dialect.name }).split(' ');
+  const named = normalizeParsed(parsed, { names: true, dialect: dialect.name }).split(' ');
+  const offset = isExtended ? 1 : 0;
+  const text = {
+    second: isExtended ? canonical[0] : '0',
+    minute: canonical[offset],
+    hour: canonical[offset + 1],
+    'day of month': canonical[offset + 2],
+    month: canonical[offset + 3],
+    'day of week': named[offset + 4]
+  };
+  text.year = keepYear ? canonical[offset + 5] : '*';
+
+  const domAll = dom.values.length === 31 && dom.specials.length === 0;
+  const dowAll = new Set(dow.values.map(v => v % 7)).size === 7 && dow.specials.length === 0;
+  if (dialect.question === 'required') {
+    // Exactly one day field is `?`, so the days cannot depend on both
+    if (!domAll && !dowAll) {
+      throw noEquivalent(`${label} cannot restrict both the day of month and the day of week`, 'day of week');
+    }
+    if (dowAll) {
+      text['day of week'] = '?';
+    } else {
+      text['day of month'] = '?';
+    }
+  } else {
+    if (!domAll && !dowAll && !usesEitherDay(parsed)) {
+      throw noEquivalent(`${label} runs when either day field matches, so both cannot be required`, 'day of week');
+    }
+    for (const name of ['day of month', 'day of week']) {
+      if (text[name] === '?') text[name] = '*';
+    }
+  }
+
+  const withSeconds = names => names.includes('second') === (keepSeconds && isExtended);
+  const layout = dialect.layouts.find(names => withSeconds(names) && names.includes('year') === keepYear) ||
+    dialect.layouts.find(names => withSeconds(names) && (!keepYear || names.includes('year'))) ||
+    dialect.layouts[0];
+  const expression = layout.map(name => text[name]).join(' ');
+
+  let timezone = parsed.timezone || zone;
+  if (dialect.fixedTimezone) {
+    if (timezone && timezone !== dialect.timezone && timezone !== 'Etc/UTC') {
+      throw noEquivalent(`${label} schedules always run in ${dialect.timezone}, not ${timezone}`);
+    }
+    timezone = null;
+  } else if (dialect.timezonePrefix && timezone) {
+    return { expression: `CRON_TZ=${timezone} ${expression}`, timezone: null };
+  }
+  return { expression, timezone: timezone || null };
+}
+
+module.exports = {
+  convertParsed
+};
@@ -0,0 +1,183 @@
+/**
+ * Crontab file parsing for cron-explain
+ *
+ * Understands the format read by Vixie cron and cronie:
+ *   - blank lines and `#` comment lines
+ *   - environment assignments (`MAILTO=ops@example.com`, `CRON_TZ=UTC`)
+ *   - five schedule fields or an `@keyword` (`@every 10m` and registered
+ *     presets too), then the command
+ *   - the extra user column of /etc/crontab and /etc/cron.d/* (system mode)
+ *
+ * `CRON_TZ` applies to the entries that follow it, as in cronie.
+ */
+
+const { validate, resolvePreset, splitFields } = require('./parse.js');
+const { getDialect } = require('./dialects.js');
+const { createZone } = require('./timezone.js');
+
+const ENV_PATTERN = /^([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/;
+
+/**
+ * Parse the text of a crontab file
+ * @param {string} text - File contents
+ * @param {object} options - Options
+ * @param {boolean} options.system - Entries have a user column after the schedule
+ * @param {string} options.dayMatching - 'or' (default) or 'and', see parse()
+ * @returns {object} { entries, environment, errors }
+ */
+function parseCrontab(text, options = {}) {
+  const entries = [];
+  const errors = [];
+  const environment = {};
+
+  const lines = String(text).split(/\r?\n/);
+  lines.forEach((content, index) => {
+    const line = index + 1;
+    const trimmed = content.trim();
+
+    if (trimmed === '' || trimmed.startsWith('#')) {
+      return;
+    }
+
+    const assignment = ENV_PATTERN.exec(trimmed);
+    if (assignment) {
+      const name = assignment[1];
+      const value = unquote(assignment[2].trim());
+      if (name === 'CRON_TZ' && value) {
+        try {
+          createZone(value);
+        } catch (error) {
+          errors.push(lineError(line, content.indexOf(value), 'INVALID_TIMEZONE', error.message));
+          return;
+        }
+      }
+      environment[name] = value;
+      return;
+    }
+
+    const entry = parseEntry(content, line, options, errors);
+    if (entry) {
+      entry.timezone = environment.CRON_TZ || null;
+      entry.environment = { ...environment };
+      entries.push(entry);
+    }
+  });
+
+  return { entries, environment, errors };
+}
+
+/**
+ * Parse one schedule line, pushing any problems onto `errors`
+ * @returns {object|null} Entry, or null if the line is malformed
+ */
+function parseEntry(content, line, options, errors) {
+  const tokens = [];
+  const pattern = /\S+/g;
+  let match;
+
+  const first = pattern.exec(content);
+  const isKeyword = first[0].startsWith('@');
+  const scheduleLength = isKeyword ? (first[0].toLowerCase() === '@every' ? 2 : 1) : 5;
+  const wanted = scheduleLength + (options.system ? 1 : 0);
+
+  tokens.push(first);
+  while (tokens.length < wanted && (match = pattern.exec(content)) !== null) {
+    tokens.push(match);
+  }
+
+  if (tokens.length < scheduleLength) {
+    errors.push(lineError(line, first.index, 'FIELD_COUNT',
+      `Expected 5 schedule fields and a command, got ${tokens.length} ${tokens.length === 1 ? 'field' : 'fields'}`));
+    return null;
+  }
+
+  const scheduleTokens = tokens.slice(0, scheduleLength);
+  const scheduleStart = first.index;
+  const lastScheduleToken = scheduleTokens[scheduleTokens.length - 1];
+  const schedule = content.slice(scheduleStart, lastScheduleToken.index + lastScheduleToken[0].length);
+
+  const userToken = options.system ? tokens[scheduleLength] : null;
+  const rest = tokens[tokens.length - 1];
+  const command = tokens.length === wanted ? content.slice(rest.index + rest[0].length).trim() : '';
+
+  if (options.system && !userToken) {
+    errors.push(lineError(line, content.length, 'MISSING_USER', 'Missing user column'));
+    return null;
+  }
+  if (!command) {
+    errors.push(lineError(line, content.length, 'MISSING_COMMAND', 'Missing command'));
+    return null;
+  }
+
+  let expression = schedule;
+  let reboot = false;
+  if (isKeyword) {
+    // The same lookup as parse(): built-in and registered presets, @every and @reboot
+    try {
+      const resolved = resolvePreset(splitFields(schedule), getDialect('unix'));
+      reboot = resolved.reboot;
+      expression = reboot ? null : resolved.parts.map(part => part.text).join(' ');
+    } catch (error) {
+      errors.push(error.code === 'UNKNOWN_PRESET'
+        ? lineError(line, scheduleStart, 'UNKNOWN_KEYWORD', `Unknown schedule keyword: ${schedule}`)
+        : lineError(line, scheduleStart, error.code, error.message));
+      return null;
+    }
+  }
+
+  let warnings = [];
+  if (expression && !isKeyword) {
+    const result = validate(expression, { dayMatching: options.dayMatching });
+    const located = result.diagnostics.map(diagnostic => ({
+      ...diagnostic,
+      line,
+      column: diagnostic.offset !== null ? scheduleStart + diagnostic.offset + 1 : null
+    }));
+    if (!result.valid) {
+      errors.push(...located);
+      return null;
+    }
+    warnings = located;
+  }
+
+  return {
+    line,
+    schedule,
+    expression,
+    reboot,
+    user: userToken ? userToken[0] : null,
+    command,
+    warnings
+  };
+}
+
+/**
+ * Build a line-numbered error
+ */
+function lineError(line, index, code, message) {
+  return { code, severity: 'error', line, column: index + 1, message };
+}
+
+/**
+ * Strip matching single or double quotes around an environment value
+ */
+function unquote(value) {
+  if (value.length >= 2 && (value[0] === '"' || value[0] === "'") && value[value.length - 1] === value[0]) {
+    return value.slice(1, -1);
+  }
+  return value;
+}
+
+/**
+ * Whether a path is a system crontab, whose entries carry a user column
+ * @param {string} path - File path
+ * @returns {boolean} True for /etc/crontab and files in /etc/cron.d
+ */
+function isSystemCrontab(path) {
+  return path === '/etc/crontab' || /^\/etc\/cron\.d\//.test(path);
+}
+
+module.exports = {
+  parseCrontab,
+  isSystemCrontab
+};
@@ -0,0 +1,136 @@
+/**
+ * Cron dialects of the platforms that run scheduled jobs
+ *
+ * Each dialect describes what parse() accepts from that platform: the field
+ * layouts, which tokens are allowed, the numbering of weekdays and the time
+ * zone schedules run in. The parsed model is the same for every dialect, so
+ * explain and the occurrence engine need not know where an expression came from.
+ *
+ * Dialect properties:
+ *   name, label     Identifier and display name
+ *   layouts         Accepted field lists; of two with the same number of
+ *                   fields, the one with a year is used when the last field
+ *                   holds a four-digit number
+ *   quartz          Allows L, W, # and nL in the day fields
+ *   question        Allows `?` in the day fields; 'required' when exactly one
+ *                   of day of month and day of week must be `?`
+ *   hash            Allows Jenkins-style H tokens (H, H(0-29), H/15)
+ *   weekdays        Range of numeric weekdays and the value Sunday has
+ *   timezone        Zone schedules run in when none is given
+ *   fixedTimezone   The platform always uses `timezone`
+ *   timezonePrefix  Allows a leading `CRON_TZ=Zone` or `TZ=Zone`
+ *   macros          Accepts the @daily style shortcuts: true for the usual
+ *                   expansions, or an object of the dialect's own
+ *   every           Accepts `@every <duration>` where it lines up with the clock
+ *   reboot          Accepts @reboot, which has no time schedule
+ *   minInterval     Shortest gap between runs, in minutes, that the platform honours
+ */
+
+const STANDARD = ['minute', 'hour', 'day of month', 'month', 'day of week'];
+const EXTENDED = ['second', ...STANDARD];
+// Quartz takes an optional trailing year, with or without seconds
+const WITH_YEAR = [[...STANDARD, 'year'], [...EXTENDED, 'year']];
+
+// Jenkins spreads its shortcuts over the period with H
+const JENKINS_MACROS = {
+  '@yearly': 'H H H H *',
+  '@annually': 'H H H H *',
+  '@monthly': 'H H H * *',
+  '@weekly': 'H H * * H',
+  '@daily': 'H H * * *',
+  '@midnight': 'H H(0-2) * * *',
+  '@hourly': 'H * * * *'
+};
+
+const dialects = {
+  unix: {
+    name: 'unix',
+    label: 'Unix cron',
+    layouts: [STANDARD, EXTENDED, ...WITH_YEAR],
+    quartz: true,
+    question: true,
+    hash: true,
+    weekdays: { min: 0, max: 7, sunday: 0 },
+    macros: true,
+    every: true,
+    reboot: true
+  },
+  aws: {
+    name: 'aws',
+    label: 'AWS EventBridge',
+    layouts: [['minute', 'hour', 'day of month', 'month', 'day of week', 'year']],
+    quartz: true,
+    question: 'required',
+    weekdays: { min: 1, max: 7, sunday: 1 },
+    timezone: 'UTC'
+  },
+  kubernetes: {
+    name: 'kubernetes',
+    label: 'Kubernetes CronJob',
+    layouts: [STANDARD],
+    quartz: false,
+    question: true,
+    weekdays: { min: 0, max: 6, sunday: 0 },
+    timezonePrefix: true,
+    macros: true
+  },
+  github: {
+    name: 'github',
+    label: 'GitHub Actions',
+    layouts: [STANDARD],
+    quartz: false,
+    question: false,
+    weekdays: { min: 0, max: 6, sunday: 0 },
+    timezone: 'UTC',
+    fixedTimezone: true,
+    minInterval: 5
+  },
+  jenkins: {
+    name: 'jenkins',
+    label: 'Jenkins',
+    layouts: [STANDARD],
+    quartz: false,
+    question: false,
+    hash: true,
+    weekdays: { min: 0, max: 7, sunday: 0 },
+    macros: JENKINS_MACROS
+  }
+};
+
+const ALIASES = {
+  cron: 'unix',
+  eventbridge: 'aws',
+  k8s: 'kubernetes',
+  'github-actions': 'github'
+};
+
+/**
+ * Find a dialect by name or alias
+ * @param {string} [name] - Dialect name (default: 'unix')
+ * @returns {object} Dialect
+ * @throws {Error} If no dialect matches
+ */
+function getDialect(name) {
+  if (!name) {
+    return dialects.unix;
+  }
+  const wanted = String(name).toLowerCase();
+  const dialect = dialects[ALIASES[wanted] || wanted];
+  if (!dialect) {
+    throw new Error(`Unknown dialect: ${name} (available: ${Object.keys(dialects).join(', ')})`);
+  }
+  return dialect;
+}
+
+/**
+ * Names of every dialect
+ * @returns {string[]} Dialect names
+ */
+function listDialects() {
+  return Object.keys(dialects);
+}
+
+module.exports = {
+  getDialect,
+  listDialects
+};
@@ -0,0 +1,382 @@
+/**
+ * Explanations of parsed cron expressions
+ *
+ * The fields are first reduced to language-neutral descriptions (which times,
+ * which days, as lists, ranges or steps); a language pack from ./locales then turns those into
+ * words and decides their order. See locales/en.js for the pack interface.
+ */
+
+const { FIELD_RANGES } = require('./parse.js');
+const { usesEitherDay } = require('./occurrences.js');
+const { getLocale } = require('./locales/index.js');
+
+// How many values are listed one by one before an explanation reads them as
+// ranges and steps instead
+const LIMITS = { times: 5, values: 5, days: 5, months: 4, weekdays: 4, years: 4 };
+const VERBOSE_LIMITS = { times: 24, values: 60, days: 31, months: 12, weekdays: 7, years: 130 };
+
+/**
+ * Explain a parsed cron expression
+ * @param {object} parsed - Result of parse()
+ * @param {object} options - Options
+ * @param {string} options.locale - Language pack to use (default: 'en')
+ * @param {boolean} options.verbose - List every value instead of reading
+ *   them as ranges, and say "every day" when no day is restricted
+ * @param {boolean} options.short - Abbreviated names and compact time windows
+ * @param {boolean} options.use24HourTime - false for 9:00 AM (default: true)
+ * @returns {string} Human-readable explanation
+ */
+function describe(parsed, options = {}) {
+  const locale = getLocale(options.locale);
+  if (parsed.reboot) {
+    return locale.startup;
+  }
+  const { fields, isExtended } = parsed;
+  const limits = options.verbose ? VERBOSE_LIMITS : LIMITS;
+
+  const hasDayOfMonth = fields['day of month'].type !== 'wildcard';
+  const hasDayOfWeek = fields['day of week'].type !== 'wildcard';
+  let dayMatching = null;
+  if (hasDayOfMonth && hasDayOfWeek) {
+    dayMatching = usesEitherDay(parsed) ? 'or' : 'and';
+  }
+  const context = {
+    dayMatching,
+    verbose: Boolean(options.verbose),
+    short: Boolean(options.short),
+    use24HourTime: options.use24HourTime !== false
+  };
+
+  const time = describeTime(fields, isExtended, limits);
+  const year = fields.year;
+  const hasYear = Boolean(year) && year.values.length < FIELD_RANGES.year.max - FIELD_RANGES.year.min + 1;
+  return locale.sentence({
+    time: locale.time(time, context),
+    timeType: time.length === 1 && time[0].type === 'times' ? 'times' : 'periodic',
+    dayOfMonth: hasDayOfMonth ? locale.dayOfMonth(describeDayOfMonth(fields['day of month'], limits), context) : null,
+    month: fields.month.type !== 'wildcard' ? locale.month(describeMonth(fields.month, limits), context) : null,
+    dayOfWeek: hasDayOfWeek ? locale.dayOfWeek(describeDayOfWeek(fields['day of week'], limits), context) : null,
+    year: hasYear ? locale.year(describeYear(year, limits), context) : null,
+    dayMatching,
+    verbose: context.verbose
+  });
+}
+
+/**
+ * Split values too many to list into runs: one stepped run when they are
+ * evenly spaced, else ranges of consecutive values and single values
+ * @param {number[]} values - Sorted values
+ * @param {number} max - Highest value of the field
+ * @returns {object[]} Segments { start, end, step }: end equals start for a
+ *   single value, step is 1 for a range, and end is null for a stepped run
+ *   that goes on to the end of the field
+ */
+function segmentValues(values, max) {
+  const step = values[1] - values[0];
+  if (values.length > 2 && step > 1 && values.every((v, i) => i === 0 || v - values[i - 1] === step)) {
+    const last = values[values.length - 1];
+    return [{ start: values[0], end: last + step > max ? null : last, step }];
+  }
+  const runs = [];
+  for (const value of values) {
+    const run = runs[runs.length - 1];
+    if (run && value === run.end + 1) {
+      run.end = value;
+    } else {
+      runs.push({ start: value, end: value, step: 1 });
+    }
+  }
+  // Two values in a row read better as two values than as a range
+  return runs.flatMap(run => (run.end === run.start + 1
+    ? [{ start: run.start, end: run.start, step: 1 }, { start: run.end, end: run.end, step: 1 }]
+    : [run]));
+}
+
+/**
+ * Reduce a second, minute or hour field to what it means
+ * @returns {object} { kind: 'any' }, { kind: 'step', step, start, end } where
+ *   start and end are null unless the steps are limited to part of the range,
+ *   { kind: 'range', start, end }, { kind: 'values', values } or, for an H
+ *   token, { kind: 'hashed', step, start, end } with its written bounds
+ */
+function describeTimeField(field, min, max, limits) {
+  const { values } = field;
+  if (field.type === 'hash') {
+    return { kind: 'hashed', ...field.hash };
+  }
+  if (values.length === max - min + 1) {
+    return { kind: 'any' };
+  }
+  // Evenly spaced lists too long to list, such as 0,3,6,...,21, read as steps
+  const evenlySpaced = field.type === 'list' && values.length > limits.values &&
+    values.every((v, i) => i === 0 || v - values[i - 1] === values[1] - values[0]);
+  if ((field.type === 'step' && values.length > 1) || evenlySpaced) {
+    const step = values[1] - values[0];
+    const last = values[values.length - 1];
+    // `5-59/10` runs to the end of the range just like `5/10`
+    const bounded = field.type === 'list' || field.raw.split('/')[0].includes('-');
+    const end = bounded && last + step <= max ? last : null;
+    return {
+      kind: 'step',
+      step,
+      start: values[0] === min && end === null ? null : values[0],
+      end
+    };
+  }
+  if (field.type === 'range' && values.length > 1) {
+    return { kind: 'range', start: values[0], end: values[values.length - 1] };
+  }
+  return { kind: 'values', values };
+}
+
+/**
+ * Describe when during the day the expression fires, as a list of clauses
+ * read in order, e.g. [every 15 minutes] [between 09:00 and 17:59]
+ *
+ * Clause types:
+ *   { type: 'times', times }               exact times of day: [{ hour, minute, second }]
+ *   { type: 'every', unit }                every second, minute or hour
+ *   { type: 'interval', unit, step, start, end }
+ *                                          every N units; start/end as in describeTimeField()
+ *   { type: 'range', unit, start, end }    seconds/minutes a through b past the minute/hour
+ *   { type: 'values', unit, values }       at these seconds/minutes past the minute/hour,
+ *                                          or during these hours
+ *   { type: 'segments', unit, segments }   as values, when there are too many to list:
+ *                                          ranges and single values, see segmentValues()
+ *   { type: 'between', start, end }        a window of the day, as times
+ *   { type: 'hourly', step, start, end }   every N hours from the start time to the end time
+ *   { type: 'hashed', unit, step, start, end, once }
+ *                                          an H token: a second, minute or hour chosen
+ *                                          per job (unit 'day' for a time of day), every
+ *                                          `step` units from there when step is set;
+ *                                          start/end are its written bounds or null;
+ *                                          `once` when it runs once per larger unit
+ *
+ * Seconds in times are null for 5-field expressions.
+ */
+function describeTime(fields, isExtended, limits) {
+  const second = isExtended ? describeTimeField(fields.second, 0, 59, limits) : null;
+  const minute = describeTimeField(fields.minute, 0, 59, limits);
+  const hour = describeTimeField(fields.hour, 0, 23, limits);
+  const time = (h, m, s = null) => ({ hour: h, minute: m, second: isExtended ? s : null });
+
+  // Only specific times: list them
+  const fixedSeconds = !second || second.kind === 'values';
+  if (fixedSeconds && minute.kind === 'values' && hour.kind === 'values') {
+    const seconds = second ? second.values : [null];
+    const count = hour.values.length * minute.values.length * seconds.length;
+    if (count <= limits.times) {
+      const times = [];
+      for (const h of hour.values) {
+        for (const m of minute.values) {
+          for (const s of seconds) {
+            times.push(time(h, m, s));
+          }
+        }
+      }
+      return [{ type: 'times', times }];
+    }
+  }
+
+  // A seconds field of exactly 0 adds nothing to the minute-level description
+  const seconds = second && !(second.kind === 'values' && second.values.length === 1 && second.values[0] === 0)
+    ? second
+    : null;
+
+  // `H H`: one time of day, chosen per job
+  if (!seconds && minute.kind === 'hashed' && minute.step === null &&
+      hour.kind === 'hashed' && hour.step === null) {
+    return [{ type: 'hashed', unit: 'day', step: null, start: hour.start, end: hour.end, once: true }];
+  }
+
+  const clauses = [];
+  const larger = { second: minute, minute: hour };
+  const fieldClause = (unit, field) => {
+    switch (field.kind) {
+      case 'hashed': {
+        const parent = larger[unit];
+        const once = parent
+          ? parent.kind === 'any' || parent.kind === 'range'
+          : minute.kind === 'hashed' || (minute.kind === 'values' && minute.values.length === 1);
+        return { type: 'hashed', unit, step: field.step, start: field.start, end: field.end, once };
+      }
+      case 'any':
+        return { type: 'every', unit };
+      case 'step':
+        return { type: 'interval', unit, step: field.step, start: field.start, end: field.end };
+      case 'range':
+        return { type: 'range', unit, start: field.start, end: field.end };
+      default:
+        return field.values.length <= limits.values
+          ? { type: 'values', unit, values: field.values }
+          : { type: 'segments', unit, segments: segmentValues(field.values, unit === 'hour' ? 23 : 59) };
+    }
+  };
+
+  if (seconds) {
+    if (seconds.kind === 'range') {
+      clauses.push({ type: 'every', unit: 'second' });
+    }
+    clauses.push(fieldClause('second', seconds));
+  }
+
+  // Sub-minute schedules within one minute of the day: "between 09:00:00 and 09:00:59"
+  if (seconds && minute.kind === 'values' && minute.values.length === 1 &&
+      hour.kind === 'values' && hour.values.length === 1) {
+    const [h] = hour.values;
+    const [m] = minute.values;
+    clauses.push({ type: 'between', start: time(h, m, 0), end: time(h, m, 59) });
+    return clauses;
+  }
+
+  // A single minute with a limited hour field reads best as hourly times
+  const singleMinute = !seconds && minute.kind === 'values' && minute.values.length === 1 ? minute.values[0] : null;
+  if (singleMinute !== null && hour.kind === 'any') {
+    clauses.push(singleMinute === 0 ? { type: 'every', unit: 'hour' } : fieldClause('minute', minute));
+    return clauses;
+  }
+  if (singleMinute !== null && hour.kind === 'step' && hour.start === null) {
+    if (singleMinute !== 0) {
+      clauses.push(fieldClause('minute', minute));
+    }
+    clauses.push(fieldClause('hour', hour));
+    return clauses;
+  }
+  // Too many hours to list their times: runs of hours, then the single ones
+  if (singleMinute !== null && hour.kind === 'values') {
+    for (const segment of segmentValues(hour.values, 23)) {
+      const previous = clauses[clauses.length - 1];
+      if (segment.start === segment.end && previous && previous.type === 'times') {
+        previous.times.push(time(segment.start, singleMinute));
+      } else if (segment.start === segment.end) {
+        clauses.push({ type: 'times', times: [time(segment.start, singleMinute)] });
+      } else {
+        const end = segment.end === null ? hour.values[hour.values.length - 1] : segment.end;
+        clauses.push({ type: 'hourly', step: segment.step, start: time(segment.start, singleMinute), end: time(end, singleMinute) });
+      }
+    }
+    return clauses;
+  }
+  if (singleMinute !== null && (hour.kind === 'range' || hour.kind === 'step')) {
+    const hours = fields.hour.values;
+    clauses.push({
+      type: 'hourly',
+      step: hour.kind === 'step' ? hour.step : 1,
+      start: time(hours[0], singleMinute),
+      end: time(hours[hours.length - 1], singleMinute)
+    });
+    return clauses;
+  }
+
+  if (minute.kind !== 'any' || !seconds) {
+    if (minute.kind === 'range' && !seconds) {
+      clauses.push({ type: 'every', unit: 'minute' });
+    }
+    clauses.push(fieldClause('minute', minute));
+  }
+
+  if (hour.kind === 'range' || (hour.kind === 'values' && hour.values.length === 1)) {
+    const start = hour.kind === 'range' ? hour.start : hour.values[0];
+    const end = hour.kind === 'range' ? hour.end : hour.values[0];
+    clauses.push({ type: 'between', start: time(start, 0, 0), end: time(end, 59, 59) });
+  } else if (hour.kind !== 'any') {
+    clauses.push(fieldClause('hour', hour));
+  }
+  return clauses;
+}
+
+/**
+ * Describe the day of month field
+ * @returns {object} { days, segments, specials, hashed }: days are listed
+ *   when there are few of them, otherwise given as segments (see
+ *   segmentValues()); hashed is set for an H token
+ */
+function describeDayOfMonth(dom, limits) {
+  const hashed = isHashed(dom);
+  const listed = !hashed && dom.values.length <= limits.days;
+  return {
+    days: listed ? dom.values : [],
+    segments: listed || hashed || dom.values.length === 0 ? [] : segmentValues(dom.values, 31),
+    specials: dom.specials,
+    hashed
+  };
+}
+
+/**
+ * Describe the month field
+ * @returns {object} { months, segments, hashed }
+ */
+function describeMonth(month, limits) {
+  const hashed = isHashed(month);
+  const listed = !hashed && month.values.length <= limits.months;
+  return {
+    months: listed ? month.values : [],
+    segments: listed || hashed ? [] : segmentValues(month.values, 12),
+    hashed
+  };
+}
+
+/**
+ * Describe the day of week field
+ * @returns {object} { weekdays, weekends, days, segments, specials, hashed }
+ *   where weekdays/weekends are set for exactly Monday-Friday or Saturday and
+ *   Sunday; segments are only ranges and single days
+ */
+function describeDayOfWeek(dow, limits) {
+  // Normalize Sunday (7 -> 0)
+  const values = [...new Set(dow.values.map(v => v === 7 ? 0 : v))].sort((a, b) => a - b);
+
+  const hashed = isHashed(dow);
+  const weekdays = !hashed && values.length === 5 && values.every(d => d >= 1 && d <= 5);
+  const weekends = !hashed && values.length === 2 && values.includes(0) && values.includes(6);
+  const listed = !hashed && !weekdays && !weekends && values.length <= limits.weekdays;
+
+  return {
+    weekdays,
+    weekends,
+    days: listed ? values : [],
+    segments: weekdays || weekends || listed || hashed || values.length === 0 ? [] : segmentValues(values, 6),
+    specials: dow.specials,
+    hashed
+  };
+}
+
+/**
+ * Describe the year field
+ * @returns {object} { years, start, end, step, segments }: a run of years
+ *   or evenly spaced years too many to list give start, end (null when they
+ *   run to the last year cron knows) and step; otherwise years are listed
+ *   when there are few of them, else given as ranges and single years
+ */
+function describeYear(year, limits) {
+  const { values } = year;
+  const first = values[0];
+  const last = values[values.length - 1];
+  const step = values.length > 1 ? values[1] - first : 0;
+  const even = values.every((v, i) => i === 0 || v - values[i - 1] === step);
+  if (values.length > 1 && even && (step === 1 || values.length > limits.years)) {
+    // `2026/2` and `2026-2099` run on for as long as there are years
+    const end = last + step > FIELD_RANGES.year.max ? null : last;
+    return { years: [], start: first, end, step, segments: [] };
+  }
+  const listed = values.length <= limits.years;
+  return {
+    years: listed ? values : [],
+    start: null,
+    end: null,
+    step: null,
+    segments: listed ? [] : segmentValues(values, FIELD_RANGES.year.max)
+  };
+}
+
+/**
+ * Whether a date field is a single H token picking one value per job; with
+ * a step, its values are described like any other list
+ */
+function isHashed(field) {
+  return field.type === 'hash' && field.hash.step === null;
+}
+
+module.exports = {
+  describe
+};
@@ -0,0 +1,55 @@
+/**
+ * Seeded choices for Jenkins-style H tokens
+ *
+ * Jenkins spreads jobs out by resolving `H` from a hash of the job name: the
+ * MD5 digest of the name, folded to 64 bits, seeds java.util.Random, and each
+ * H token in turn takes the next nextInt(n). Doing the same here resolves H
+ * to the values Jenkins itself would pick for a job of that name.
+ */
+
+const crypto = require('crypto');
+
+const MULTIPLIER = 0x5DEECE66Dn;
+const ADDEND = 0xBn;
+const MASK = (1n << 48n) - 1n;
+
+/**
+ * Create a hash for a seed
+ * @param {string} [seed] - Job name. Without one every choice is 0, as in
+ *   Jenkins when a schedule is read without a job.
+ * @returns {object} { next(n) } returning an integer in 0..n-1
+ */
+function createHash(seed) {
+  if (seed === undefined || seed === null) {
+    return { next: () => 0 };
+  }
+
+  const digest = crypto.createHash('md5').update(String(seed), 'utf8').digest();
+  for (let i = 8; i < digest.length; i++) {
+    digest[i % 8] ^= digest[i];
+  }
+  let state = (digest.readBigUInt64BE(0) ^ MULTIPLIER) & MASK;
+
+  // java.util.Random.next(bits)
+  const nextBits = bits => {
+    state = (state * MULTIPLIER + ADDEND) & MASK;
+    return Number(BigInt.asIntN(32, state >> BigInt(48 - bits)));
+  };
+
+  return {
+    // java.util.Random.nextInt(bound)
+    next(n) {
+      let r = nextBits(31);
+      const m = n - 1;
+      if ((n & m) === 0) {
+        return Number((BigInt(n) * BigInt(r)) >> 31n);
+      }
+      for (let u = r; ((u - (r = u % n) + m) | 0) < 0; u = nextBits(31));
+      return r;
+    }
+  };
+}
+
+module.exports = {
+  createHash
+};
@@ -0,0 +1,540 @@
+/**
+ * Conversion between cron and iCalendar (RFC 5545) recurrence rules
+ *
+ * An RRULE repeats at a frequency (FREQ=DAILY, INTERVAL=2) and narrows or
+ * widens each repetition with BY parts (BYHOUR=9, BYDAY=MO,TU). Anything the
+ * rule leaves out is taken from the event's DTSTART, so converting a rule
+ * without BYHOUR needs the DTSTART time, and converting a cron schedule
+ * produces a rule meant to start at its first run.
+ *
+ * A rule matches a day only when every BY part matches, while standard cron
+ * fires when either day field matches; rules that count (COUNT, INTERVAL
+ * across days) or end (UNTIL) have no cron counterpart either. Those are
+ * reported with a CronError whose code is NO_EQUIVALENT.
+ */
+
+const { CronError, FIELD_RANGES, parse } = require('./parse.js');
+const { usesEitherDay, findOccurrences, daysInMonth } = require('./occurrences.js');
+const { createZone, formatOffset } = require('./timezone.js');
+const { normalizeParsed } = require('./normalize.js');
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['SECONDLY', 'MINUTELY', 'HOURLY', 'DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const TIME_UNITS = [
+  { name: 'second', part: 'BYSECOND', size: 60 },
+  { name: 'minute', part: 'BYMINUTE', size: 60 },
+  { name: 'hour', part: 'BYHOUR', size: 24 }
+];
+const RULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYSECOND', 'BYMINUTE', 'BYHOUR', 'BYDAY',
+  'BYMONTHDAY', 'BYYEARDAY', 'BYWEEKNO', 'BYMONTH', 'BYSETPOS', 'WKST'];
+const DEFAULT_DURATION = 15;
+
+/**
+ * Report a construct that cannot be converted exactly
+ */
+function noEquivalent(message, field = null) {
+  return new CronError(message, { code: 'NO_EQUIVALENT', field });
+}
+
+/**
+ * Interval of evenly spaced values that repeat across the unit from 0
+ * (every 15 minutes from :00, say), or null. Only such values can be
+ * written as a frequency with an INTERVAL; an offset such as :05 would
+ * live only in DTSTART, so those values are listed in a BY part instead.
+ */
+function cycleInterval(values, size) {
+  if (values.length < 2 || values[0] !== 0) return null;
+  const step = values[1] - values[0];
+  if (size % step !== 0 || values.length !== size / step) return null;
+  return values.every((v, i) => i === 0 || v - values[i - 1] === step) ? step : null;
+}
+
+/**
+ * Convert a parsed cron expression to an RRULE value
+ *
+ * Schedules that repeat evenly within the day use SECONDLY, MINUTELY or
+ * HOURLY with an INTERVAL; everything else becomes a DAILY, WEEKLY or
+ * MONTHLY rule that lists its times in BYHOUR, BYMINUTE and BYSECOND.
+ *
+ * @param {object} parsed - Result of parse()
+ * @returns {string} RRULE value, e.g. `FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;BYHOUR=9;BYMINUTE=0`
+ * @throws {CronError} NO_EQUIVALENT if an RRULE cannot express the schedule
+ */
+function toRRule(parsed) {
+  if (parsed.reboot) {
+    throw noEquivalent('@reboot has no RRULE equivalent');
+  }
+  const { fields, isExtended } = parsed;
+  const dom = fields['day of month'];
+  const dow = fields['day of week'];
+
+  if (usesEitherDay(parsed)) {
+    throw noEquivalent(
+      'An RRULE requires both the weekday and the date to match, but this cron expression runs when either matches; ' +
+      "use one event for each day field, or the dayMatching: 'and' option to require both");
+  }
+  const year = fields.year;
+  if (year && year.values.length < FIELD_RANGES.year.max - FIELD_RANGES.year.min + 1) {
+    throw noEquivalent(`Year '${year.raw}' has no RRULE equivalent; an RRULE can only end with UNTIL`, 'year');
+  }
+
+  const weekdays = [...new Set(dow.values.map(v => v % 7))].sort((a, b) => a - b);
+  const byDay = weekdays.length < 7 || dow.specials.length > 0
+    ? weekdays.map(d => DAY_CODES[d])
+    : [];
+  for (const special of dow.specials) {
+    byDay.push(special.type === 'nth'
+      ? `${special.nth}${DAY_CODES[special.weekday]}`
+      : `-1${DAY_CODES[special.weekday]}`);
+  }
+
+  const byMonthDay = dom.values.length < 31 || dom.specials.length > 0 ? [...dom.values] : [];
+  let lastWeekday = false;
+  for (const special of dom.specials) {
+    if (special.type === 'last') {
+      byMonthDay.push(-(special.daysBefore + 1));
+    } else if (special.type === 'lastWeekday') {
+      lastWeekday = true;
+    } else {
+      throw noEquivalent(`Day of month '${dom.raw}' (nearest weekday) has no RRULE equivalent`, 'day of month');
+    }
+  }
+
+  const seconds = isExtended ? fields.second.values : [0];
+  const times = [seconds, fields.minute.values, fields.hour.values];
+  const parts = [];
+
+  if (lastWeekday) {
+    if (byMonthDay.length > 0 || byDay.length > 0) {
+      throw noEquivalent(`Day of month '${dom.raw}' cannot be combined with other days in an RRULE`, 'day of month');
+    }
+    if (times.some(values => values.length > 1)) {
+      throw noEquivalent('LW in an RRULE needs a single time of day', 'day of month');
+    }
+    byDay.push('MO', 'TU', 'WE', 'TH', 'FR');
+    parts.push('BYSETPOS=-1');
+  }
+
+  // Numbered weekdays and BYSETPOS are only allowed in MONTHLY and YEARLY rules
+  const dayFrequency = dow.specials.length > 0 || lastWeekday || byMonthDay.length > 0
+    ? 'MONTHLY'
+    : byDay.length > 0 ? 'WEEKLY' : 'DAILY';
+
+  let frequency = dayFrequency;
+  let interval = 1;
+  let level = 3;
+  if (dayFrequency !== 'MONTHLY' || (dow.specials.length === 0 && !lastWeekday)) {
+    for (let unit = 0; unit < TIME_UNITS.length; unit++) {
+      const step = (unit > 0 || isExtended) && cycleInterval(times[unit], TIME_UNITS[unit].size);
+      if (step) {
+        frequency = FREQUENCIES[unit];
+        interval = step;
+        level = unit;
+        break;
+      }
+    }
+  }
+
+  // Below the frequency, BY parts expand each repetition into several runs;
+  // above it, they limit which repetitions run
+  const timeParts = [];
+  for (let unit = TIME_UNITS.length - 1; unit >= 0; unit--) {
+    const values = times[unit];
+    const { part, size } = TIME_UNITS[unit];
+    if (unit === level) continue;
+    if (unit > level && values.length === size) continue;
+    if (unit === 0 && !isExtended) continue;
+    timeParts.push(`${part}=${values.join(',')}`);
+  }
+
+  const rule = [`FREQ=${frequency}`];
+  if (interval > 1) rule.push(`INTERVAL=${interval}`);
+  if (fields.month.values.length < 12) rule.push(`BYMONTH=${fields.month.values.join(',')}`);
+  if (byMonthDay.length > 0) rule.push(`BYMONTHDAY=${byMonthDay.join(',')}`);
+  if (byDay.length > 0) rule.push(`BYDAY=${byDay.join(',')}`);
+  return [...rule, ...timeParts, ...parts].join(';');
+}
+
+/**
+ * Unfold content lines (RFC 5545 section 3.1)
+ */
+function unfold(text) {
+  return String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Read a DTSTART line into wall-clock fields and its time zone
+ * @returns {object} { wall, timezone }
+ */
+function parseDtstart(line) {
+  const colon = line.indexOf(':');
+  const params = line.slice(0, colon).split(';').slice(1);
+  const value = line.slice(colon + 1);
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value);
+  if (colon === -1 || !match) {
+    throw new CronError(`Invalid DTSTART: ${line}`, { code: 'INVALID_VALUE' });
+  }
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1, 7).map(n => parseInt(n || '0', 10));
+  const tzid = params.find(param => /^TZID=/i.test(param));
+  return {
+    wall: { year, month, day, hour, minute, second, weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay() },
+    timezone: match[7] ? 'UTC' : tzid ? tzid.slice(5).replace(/^"|"$/g, '') : null
+  };
+}
+
+/**
+ * Parse a list of integers in a BY part
+ */
+function parseNumbers(name, text, min, max, allowNegative = false) {
+  return text.split(',').map(item => {
+    const value = /^[+-]?\d+$/.test(item) ? parseInt(item, 10) : NaN;
+    const magnitude = Math.abs(value);
+    if (isNaN(value) || (value < 0 && !allowNegative) || magnitude < (value < 0 ? 1 : min) || magnitude > max) {
+      throw new CronError(`Invalid ${name} value: ${item}`, { code: 'OUT_OF_RANGE', field: name });
+    }
+    return value;
+  });
+}
+
+/**
+ * Values of a time unit: repeated by the frequency, limited or expanded by
+ * its BY part, or taken from DTSTART
+ */
+function timeValues(unit, level, rule, interval, dtstart) {
+  const { name, part, size } = TIME_UNITS[unit];
+  const by = rule[part] ? parseNumbers(part, rule[part], 0, size - 1) : null;
+  const all = Array.from({ length: size }, (_, i) => i);
+
+  let values;
+  if (unit === level) {
+    if (size % interval !== 0) {
+      throw noEquivalent(`INTERVAL=${interval} does not divide the ${name}s evenly, so the runs drift; cron cannot follow them`, name);
+    }
+    const start = (dtstart ? dtstart[name] : 0) % interval;
+    values = all.filter(v => v % interval === start);
+    if (by) values = values.filter(v => by.includes(v));
+  } else if (unit > level) {
+    values = by || all;
+  } else {
+    values = by || [dtstart ? dtstart[name] : 0];
+  }
+  if (values.length === 0) {
+    throw new CronError(`${part} never matches the rule's INTERVAL`, { code: 'INVALID_VALUE', field: name });
+  }
+  return [...new Set(values)].sort((a, b) => a - b);
+}
+
+/**
+ * Turn BYMONTHDAY, BYDAY and BYSETPOS into cron day fields
+ */
+function convertDays(rule, frequency, dtstart, options) {
+  const monthly = frequency === 'MONTHLY' || (frequency === 'YEARLY' && rule.BYMONTH);
+  const byMonthDay = rule.BYMONTHDAY ? parseNumbers('BYMONTHDAY', rule.BYMONTHDAY, 1, 31, true) : null;
+  const byDay = rule.BYDAY ? rule.BYDAY.split(',').map(item => {
+    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+    if (!match) {
+      throw new CronError(`Invalid BYDAY value: ${item}`, { code: 'INVALID_VALUE', field: 'BYDAY' });
+    }
+    return { nth: match[1] ? parseInt(match[1], 10) : null, weekday: DAY_CODES.indexOf(match[2]) };
+  }) : null;
+
+  if (rule.BYSETPOS) {
+    const weekdays = byDay && byDay.every(d => d.nth === null) && byDay.map(d => d.weekday).sort().join(',');
+    if (!monthly || byMonthDay || weekdays !== '1,2,3,4,5' || !['1', '-1'].includes(rule.BYSETPOS)) {
+      throw noEquivalent(`BYSETPOS=${rule.BYSETPOS} has no cron equivalent`, 'BYSETPOS');
+    }
+    // The first weekday of a month is the weekday nearest the 1st
+    return { dom: rule.BYSETPOS === '1' ? '1W' : 'LW', dow: '?' };
+  }
+
+  const dom = byMonthDay && byMonthDay.map(d => (d > 0 ? String(d) : d === -1 ? 'L' : `L-${-d - 1}`)).join(',');
+  const dow = byDay && byDay.map(({ nth, weekday }) => {
+    if (nth === null) return String(weekday);
+    if (!monthly) {
+      throw new CronError(`Numbered BYDAY '${nth}${DAY_CODES[weekday]}' needs FREQ=MONTHLY, or YEARLY with BYMONTH`,
+        { code: 'INVALID_VALUE', field: 'BYDAY' });
+    }
+    if (nth >= 1 && nth <= 5) return `${weekday}#${nth}`;
+    if (nth === -1) return `${weekday}L`;
+    throw noEquivalent(`BYDAY '${nth}${DAY_CODES[weekday]}' has no cron equivalent`, 'BYDAY');
+  }).join(',');
+
+  if (dom && dow) {
+    if (options.dayMatching === 'and') return { dom, dow };
+    throw noEquivalent(
+      'An RRULE requires both BYDAY and BYMONTHDAY to match, but standard cron runs when either matches; ' +
+      "use the dayMatching: 'and' option for schedulers that require both", 'BYDAY');
+  }
+  if (dow) return { dom: byDay.some(d => d.nth !== null) ? '?' : '*', dow };
+  if (dom) return { dom, dow: '*' };
+
+  // Without day parts, weekly and monthly rules repeat on DTSTART's day
+  if (frequency === 'WEEKLY' || frequency === 'MONTHLY' || frequency === 'YEARLY') {
+    if (!dtstart) {
+      throw new CronError(`FREQ=${frequency} without BYDAY or BYMONTHDAY needs a DTSTART`, { code: 'INVALID_VALUE', field: 'FREQ' });
+    }
+    return frequency === 'WEEKLY'
+      ? { dom: '*', dow: String(dtstart.weekday) }
+      : { dom: String(dtstart.day), dow: '*' };
+  }
+  return { dom: '*', dow: '*' };
+}
+
+/**
+ * Convert an RRULE to a cron expression
+ * @param {string} text - An RRULE value (`FREQ=DAILY;BYHOUR=9`), an `RRULE:`
+ *   line, or iCalendar text with DTSTART and RRULE lines (from its first
+ *   VEVENT, if it has any)
+ * @param {object} options - Options
+ * @param {string} options.dayMatching - Set to 'and' to allow BYDAY and
+ *   BYMONTHDAY together (otherwise that has no standard cron equivalent)
+ * @returns {object} { expression, timezone } where timezone comes from
+ *   DTSTART's TZID (or UTC), and is null without one
+ * @throws {CronError} For malformed input or NO_EQUIVALENT constructs
+ */
+function parseRRule(text, options = {}) {
+  let lines = unfold(text);
+  // In a calendar, read the first event rather than its time zone rules
+  const event = lines.findIndex(line => /^BEGIN:VEVENT$/i.test(line));
+  if (event !== -1) {
+    const end = lines.findIndex((line, i) => i > event && /^END:VEVENT$/i.test(line));
+    lines = lines.slice(event + 1, end === -1 ? undefined : end);
+  }
+  const ruleLine = lines.find(line => /^RRULE[:;]/i.test(line)) || (lines.length === 1 ? lines[0] : null);
+  if (!ruleLine || !/FREQ=/i.test(ruleLine)) {
+    throw new CronError('Invalid RRULE: FREQ is required', { code: 'EMPTY_EXPRESSION' });
+  }
+  const startLine = lines.find(line => /^DTSTART[:;]/i.test(line));
+  const start = startLine ? parseDtstart(startLine) : null;
+  const dtstart = start && start.wall;
+
+  const rule = {};
+  for (const item of ruleLine.replace(/^RRULE[:;]/i, '').split(';')) {
+    const [key, value = ''] = item.split('=');
+    const name = key.trim().toUpperCase();
+    if (!RULE_PARTS.includes(name)) {
+      throw new CronError(`Unknown RRULE part: ${key}`, { code: 'INVALID_VALUE' });
+    }
+    rule[name] = value.trim().toUpperCase();
+  }
+
+  const frequency = rule.FREQ;
+  const level = FREQUENCIES.indexOf(frequency);
+  if (level === -1) {
+    throw new CronError(`Invalid FREQ: ${frequency}`, { code: 'INVALID_VALUE', field: 'FREQ' });
+  }
+  for (const name of ['COUNT', 'UNTIL']) {
+    if (rule[name]) {
+      throw noEquivalent(`${name} ends the rule, but cron schedules repeat forever; remove ${name} to convert it`, name);
+    }
+  }
+  for (const name of ['BYYEARDAY', 'BYWEEKNO']) {
+    if (rule[name]) {
+      throw noEquivalent(`${name} has no cron equivalent`, name);
+    }
+  }
+  const interval = rule.INTERVAL ? parseNumbers('INTERVAL', rule.INTERVAL, 1, Infinity)[0] : 1;
+
+  const [seconds, minutes, hours] = [0, 1, 2].map(unit => timeValues(unit, level, rule, interval, dtstart));
+  if (rule.BYSETPOS && seconds.length * minutes.length * hours.length > 1) {
+    throw noEquivalent('BYSETPOS picks from every run in the period, which cron cannot do with several times a day', 'BYSETPOS');
+  }
+
+  let months = rule.BYMONTH ? parseNumbers('BYMONTH', rule.BYMONTH, 1, 12) : null;
+  if (interval > 1 && level >= 3) {
+    if (frequency !== 'MONTHLY' || 12 % interval !== 0) {
+      throw noEquivalent(`FREQ=${frequency};INTERVAL=${interval} counts runs across month and year boundaries, which cron cannot do`, 'INTERVAL');
+    }
+    const first = ((dtstart ? dtstart.month : 1) - 1) % interval;
+    const repeated = Array.from({ length: 12 / interval }, (_, i) => first + i * interval + 1);
+    months = months ? repeated.filter(m => months.includes(m)) : repeated;
+  } else if (!months && frequency === 'YEARLY' && !rule.BYMONTHDAY && !rule.BYDAY) {
+    if (!dtstart) {
+      throw new CronError('FREQ=YEARLY without BYMONTH needs a DTSTART', { code: 'INVALID_VALUE', field: 'FREQ' });
+    }
+    months = [dtstart.month];
+  }
+
+  const { dom, dow } = convertDays(rule, frequency, dtstart, options);
+
+  const list = values => values.join(',');
+  const fields = [list(minutes), list(hours), dom, months ? list(months) : '*', dow];
+  if (seconds.length !== 1 || seconds[0] !== 0) {
+    fields.unshift(list(seconds));
+  }
+  const expression = normalizeParsed(parse(fields.join(' '), options));
+  return { expression, timezone: start ? start.timezone : null };
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ */
+function escapeText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, without splitting a UTF-8 character
+ */
+function fold(line) {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Format wall-clock fields as an iCalendar DATE-TIME, e.g. 20261019T090000
+ */
+function formatDateTime(wall) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${wall.year}${pad(wall.month)}${pad(wall.day)}T${pad(wall.hour)}${pad(wall.minute)}${pad(wall.second)}`;
+}
+
+/**
+ * Format minutes as an iCalendar DURATION, e.g. PT1H30M
+ */
+function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (minutes === 0) return 'PT0M';
+  return `PT${hours ? `${hours}H` : ''}${rest ? `${rest}M` : ''}`;
+}
+
+/**
+ * Build a VTIMEZONE from the offset changes in one year, repeated yearly on
+ * the same weekday of the month (the second Sunday of March, say)
+ * @param {object} zone - Zone from createZone()
+ * @param {number} year - Year to read the changes from
+ * @returns {string[]} Content lines
+ */
+function buildTimezone(zone, year) {
+  const HOUR = 60 * 60 * 1000;
+  const icsOffset = offset => formatOffset(offset).replace(':', '');
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${zone.name}`];
+
+  const transitions = [];
+  const end = Date.UTC(year + 1, 0, 1);
+  for (let time = Date.UTC(year, 0, 1); time < end; time += 24 * HOUR) {
+    const before = zone.offsetAt(time);
+    if (zone.offsetAt(time + 24 * HOUR) === before) continue;
+    let lo = time;
+    let hi = time + 24 * HOUR;
+    while (hi - lo > 60 * 1000) {
+      const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+      if (zone.offsetAt(mid) === before) lo = mid; else hi = mid;
+    }
+    transitions.push({ at: hi, from: before, to: zone.offsetAt(hi) });
+  }
+
+  if (transitions.length === 0) {
+    const offset = icsOffset(zone.offsetAt(Date.UTC(year, 0, 1)));
+    lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+  }
+  for (const { at, from, to } of transitions) {
+    // Observances start at the wall-clock time before the change
+    const local = new Date(at + from);
+    const wall = {
+      year: local.getUTCFullYear(),
+      month: local.getUTCMonth() + 1,
+      day: local.getUTCDate(),
+      hour: local.getUTCHours(),
+      minute: local.getUTCMinutes(),
+      second: 0
+    };
+    const nth = wall.day + 7 > daysInMonth(wall.year, wall.month) ? -1 : Math.ceil(wall.day / 7);
+    const kind = to > from ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${formatDateTime(wall)}`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${wall.month};BYDAY=${nth}${DAY_CODES[local.getUTCDay()]}`,
+      `TZOFFSETFROM:${icsOffset(from)}`,
+      `TZOFFSETTO:${icsOffset(to)}`,
+      `END:${kind}`);
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Short stable hash for event UIDs (FNV-1a)
+ */
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, '0');
+}
+
+/**
+ * Build an iCalendar file with one recurring event for a cron schedule
+ * @param {object} parsed - Result of parse()
+ * @param {object} options - Options
+ * @param {string} options.name - Event title (default: the expression)
+ * @param {string} options.description - Event description
+ * @param {number} options.duration - Length of each run in minutes (default: 15)
+ * @param {string} options.timezone - IANA time zone name (default: host local time)
+ * @param {Date} options.start - The event starts at the first run after this date (default: now)
+ * @returns {string} iCalendar text with CRLF line endings
+ * @throws {CronError} NO_EQUIVALENT if an RRULE cannot express the schedule
+ */
+function buildCalendar(parsed, options = {}) {
+  const rrule = toRRule(parsed);
+  const timezone = parsed.timezone || options.timezone;
+  const zone = createZone(timezone);
+  const [first] = findOccurrences(parsed, 1, options.start || new Date(), { timezone });
+  if (!first) {
+    throw new CronError('The schedule has no upcoming run to start the event', { code: 'NO_EQUIVALENT' });
+  }
+  const duration = options.duration !== undefined ? options.duration : DEFAULT_DURATION;
+  const wall = zone.toWall(first);
+
+  let dtstart;
+  let definitions = [];
+  if (zone.name === 'UTC' || zone.name === 'Etc/UTC') {
+    dtstart = `DTSTART:${formatDateTime(wall)}Z`;
+  } else if (zone.name === 'local') {
+    dtstart = `DTSTART:${formatDateTime(wall)}`;
+  } else {
+    dtstart = `DTSTART;TZID=${zone.name}:${formatDateTime(wall)}`;
+    definitions = buildTimezone(zone, wall.year - 1);
+  }
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//cron-explain//EN',
+    'CALSCALE:GREGORIAN',
+    ...definitions,
+    'BEGIN:VEVENT',
+    `UID:${hash(`${parsed.expression} ${options.name || ''} ${zone.name}`)}@cron-explain`,
+    `DTSTAMP:${formatDateTime(createZone('UTC').toWall(new Date()))}Z`,
+    dtstart,
+    `DURATION:${formatDuration(duration)}`,
+    `RRULE:${rrule}`,
+    `SUMMARY:${escapeText(options.name || parsed.expression)}`,
+    ...(options.description ? [`DESCRIPTION:${escapeText(options.description)}`] : []),
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  toRRule,
+  parseRRule,
+  buildCalendar
+};
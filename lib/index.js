@@ -6,457 +6,413 @@
  *
  * Also supports extended 6-field format (with seconds):
  *   second minute hour day-of-month month day-of-week
+ *
+ * Either may end with a Quartz year field (1970-2099).
+ *
+ * The `dialect` option reads the syntax of AWS EventBridge, Kubernetes,
+ * GitHub Actions or Jenkins instead (see lib/dialects.js).
+ *
+ * Quartz special characters are understood in the day fields:
+ *   L, L-n, nW, LW and ? in day-of-month; nL, n#k, L and ? in day-of-week
+ *
+ * Jenkins-style H tokens (H, H(0-29), H/15) are resolved from the `seed`
+ * option, the job name, to the values Jenkins would pick for that job.
+ *
+ * Presets (@daily, @every 15m, @reboot and any added with registerPreset())
+ * are accepted wherever an expression is.
  */
 
-const MONTHS = ['', 'January', 'February', 'March', 'April', 'May', 'June',
-                'July', 'August', 'September', 'October', 'November', 'December'];
-
-const MONTH_ABBREVS = {
-  'jan': 1, 'feb': 2, 'mar': 3, 'apr': 4, 'may': 5, 'jun': 6,
-  'jul': 7, 'aug': 8, 'sep': 9, 'oct': 10, 'nov': 11, 'dec': 12
-};
-
-const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-
-const DAY_ABBREVS = {
-  'sun': 0, 'mon': 1, 'tue': 2, 'wed': 3, 'thu': 4, 'fri': 5, 'sat': 6
-};
-
-const FIELD_NAMES = ['minute', 'hour', 'day of month', 'month', 'day of week'];
-const FIELD_NAMES_6 = ['second', 'minute', 'hour', 'day of month', 'month', 'day of week'];
-
-const FIELD_RANGES = {
-  second: { min: 0, max: 59 },
-  minute: { min: 0, max: 59 },
-  hour: { min: 0, max: 23 },
-  'day of month': { min: 1, max: 31 },
-  month: { min: 1, max: 12 },
-  'day of week': { min: 0, max: 7 }
-};
+const { CronError, parse, validate, presets, expandPreset, registerPreset, listPresets } = require('./parse.js');
+const { findOccurrences, iterateOccurrences } = require('./occurrences.js');
+const { describe } = require('./explain.js');
+const { registerLocale, getLocale, listLocales } = require('./locales/index.js');
+const { parseCrontab } = require('./crontab.js');
+const { toOnCalendar, parseOnCalendar } = require('./systemd.js');
+const { compileText } = require('./text.js');
+const { computeLoad } = require('./load.js');
+const { compareParsed } = require('./compare.js');
+const { normalizeParsed } = require('./normalize.js');
+const { toRRule: convertToRRule, parseRRule, buildCalendar } = require('./ical.js');
+const { convertParsed } = require('./convert.js');
+const { listDialects } = require('./dialects.js');
+const { scheduleParsed } = require('./scheduler.js');
+const { lintSchedules, listRules } = require('./lint.js');
+const { loadConfig } = require('./config.js');
 
 /**
- * Parse a cron expression into its component parts
+ * Explain a cron expression in human-readable format
  * @param {string} expression - The cron expression
- * @returns {object} Parsed cron fields
+ * @param {object} options - Options for explanation
+ * @param {string} options.locale - Language, e.g. 'de' or 'pt-BR' (default: 'en')
+ * @param {string} options.dayMatching - 'or' (default) or 'and', see parse()
+ * @param {string} options.dialect - Platform syntax, e.g. 'aws' or 'github' (default: 'unix')
+ * @param {string} options.seed - Job name for H tokens, see parse(); the
+ *   explanation says "chosen per job" whatever the seed
+ * @param {boolean} options.verbose - List every time and value instead of
+ *   summarizing long lists (default: false)
+ * @param {boolean} options.short - Abbreviated units and names (default: false)
+ * @param {boolean} options.use24HourTime - false for 9:00 AM style times (default: true)
+ * @returns {string} Human-readable explanation
  */
-function parse(expression) {
-  if (!expression || typeof expression !== 'string') {
-    throw new Error('Invalid cron expression: must be a non-empty string');
-  }
-
-  const parts = expression.trim().split(/\s+/);
-
-  if (parts.length < 5 || parts.length > 6) {
-    throw new Error(`Invalid cron expression: expected 5 or 6 fields, got ${parts.length}`);
-  }
-
-  const isExtended = parts.length === 6;
-  const fieldNames = isExtended ? FIELD_NAMES_6 : FIELD_NAMES;
-
-  const fields = {};
-  parts.forEach((part, index) => {
-    const fieldName = fieldNames[index];
-    fields[fieldName] = parseField(part, fieldName);
-  });
-
-  return {
-    expression,
-    isExtended,
-    fields
-  };
+function explain(expression, options = {}) {
+  return describe(parse(expression, options), options);
 }
 
 /**
- * Parse a single cron field
- * @param {string} field - Field value
- * @param {string} fieldName - Name of the field
- * @returns {object} Parsed field info
+ * Get the next N occurrences of a cron schedule
+ *
+ * Fields are matched against wall-clock time in the chosen time zone. Times
+ * skipped by a DST change fire at the end of the gap; times repeated by a DST
+ * change fire once, on their first occurrence.
+ *
+ * @param {string} expression - The cron expression
+ * @param {number} count - Number of occurrences to calculate
+ * @param {Date} startFrom - Starting date (default: now)
+ * @param {object} options - Options
+ * @param {string} options.timezone - IANA time zone name (default: host local time)
+ * @param {number} options.maxYears - How many years ahead to search (default: 10)
+ * @param {string} options.dayMatching - 'or' (default) or 'and', see parse()
+ * @param {string} options.dialect - Platform syntax, see parse(); a dialect or
+ *   `CRON_TZ=` prefix that fixes the time zone overrides options.timezone
+ * @param {string} options.seed - Job name that H tokens are resolved from
+ * @returns {Date[]} Array of next occurrence dates
  */
-function parseField(field, fieldName) {
-  const range = FIELD_RANGES[fieldName];
-  const result = {
-    raw: field,
-    type: 'unknown',
-    values: []
-  };
-
-  // Handle month/day name abbreviations
-  let normalizedField = field.toLowerCase();
-  if (fieldName === 'month') {
-    for (const [abbrev, num] of Object.entries(MONTH_ABBREVS)) {
-      normalizedField = normalizedField.replace(new RegExp(abbrev, 'gi'), num.toString());
-    }
-  }
-  if (fieldName === 'day of week') {
-    for (const [abbrev, num] of Object.entries(DAY_ABBREVS)) {
-      normalizedField = normalizedField.replace(new RegExp(abbrev, 'gi'), num.toString());
-    }
-  }
-
-  // Wildcard
-  if (normalizedField === '*') {
-    result.type = 'wildcard';
-    for (let i = range.min; i <= range.max; i++) {
-      result.values.push(i);
-    }
-    return result;
-  }
-
-  // Step value (*/n or start-end/n)
-  if (normalizedField.includes('/')) {
-    result.type = 'step';
-    const [rangeStr, stepStr] = normalizedField.split('/');
-    const step = parseInt(stepStr, 10);
-
-    if (isNaN(step) || step < 1) {
-      throw new Error(`Invalid step value in field '${fieldName}': ${field}`);
-    }
-
-    let start, end;
-    if (rangeStr === '*') {
-      start = range.min;
-      end = range.max;
-    } else if (rangeStr.includes('-')) {
-      [start, end] = rangeStr.split('-').map(n => parseInt(n, 10));
-    } else {
-      start = parseInt(rangeStr, 10);
-      end = range.max;
-    }
-
-    for (let i = start; i <= end; i += step) {
-      result.values.push(i);
-    }
-    return result;
-  }
-
-  // List (comma-separated)
-  if (normalizedField.includes(',')) {
-    result.type = 'list';
-    const items = normalizedField.split(',');
-    for (const item of items) {
-      if (item.includes('-')) {
-        const [start, end] = item.split('-').map(n => parseInt(n, 10));
-        for (let i = start; i <= end; i++) {
-          result.values.push(i);
-        }
-      } else {
-        result.values.push(parseInt(item, 10));
-      }
-    }
-    result.values = [...new Set(result.values)].sort((a, b) => a - b);
-    return result;
-  }
-
-  // Range (start-end)
-  if (normalizedField.includes('-')) {
-    result.type = 'range';
-    const [start, end] = normalizedField.split('-').map(n => parseInt(n, 10));
-    for (let i = start; i <= end; i++) {
-      result.values.push(i);
-    }
-    return result;
-  }
-
-  // Single value
-  const value = parseInt(normalizedField, 10);
-  if (isNaN(value)) {
-    throw new Error(`Invalid value in field '${fieldName}': ${field}`);
-  }
-  result.type = 'single';
-  result.values.push(value);
-  return result;
+function nextOccurrences(expression, count = 5, startFrom = new Date(), options = {}) {
+  return findOccurrences(parse(expression, options), count, startFrom, options);
 }
 
 /**
- * Explain a cron expression in human-readable format
+ * Get the N most recent occurrences of a cron schedule before a date
  * @param {string} expression - The cron expression
- * @param {object} options - Options for explanation
- * @returns {string} Human-readable explanation
+ * @param {number} count - Number of occurrences to calculate
+ * @param {Date} startFrom - Look before this date (default: now)
+ * @param {object} options - Same as nextOccurrences()
+ * @returns {Date[]} Array of previous occurrence dates, most recent first
  */
-function explain(expression, options = {}) {
-  const parsed = parse(expression);
-  const { fields, isExtended } = parsed;
-
-  const parts = [];
-
-  // Build time description
-  const timePart = buildTimePart(fields, isExtended);
-  parts.push(timePart);
-
-  // Build date description
-  const datePart = buildDatePart(fields);
-  if (datePart) {
-    parts.push(datePart);
-  }
-
-  // Build day of week description
-  const dowPart = buildDayOfWeekPart(fields);
-  if (dowPart) {
-    parts.push(dowPart);
-  }
-
-  let result = parts.join(', ');
-
-  // Capitalize first letter
-  result = result.charAt(0).toUpperCase() + result.slice(1);
-
-  return result;
+function previousOccurrences(expression, count = 5, startFrom = new Date(), options = {}) {
+  return findOccurrences(parse(expression, options), count, startFrom, { ...options, reverse: true });
 }
 
 /**
- * Build the time portion of the explanation
+ * Get every occurrence of a cron schedule between two dates
+ * @param {string} expression - The cron expression
+ * @param {Date} start - Start of the window (inclusive)
+ * @param {Date} end - End of the window (inclusive)
+ * @param {object} options - Options
+ * @param {string} options.timezone - IANA time zone name (default: host local time)
+ * @param {string} options.dayMatching - 'or' (default) or 'and', see parse()
+ * @returns {Date[]} Array of occurrence dates in ascending order
  */
-function buildTimePart(fields, isExtended) {
-  const minute = fields.minute;
-  const hour = fields.hour;
-  const second = isExtended ? fields.second : null;
-
-  // Check for "every X" patterns
-  if (minute.type === 'wildcard' && hour.type === 'wildcard') {
-    if (second && second.type === 'wildcard') {
-      return 'every second';
-    }
-    return 'every minute';
-  }
-
-  if (minute.type === 'step' && minute.raw.startsWith('*/')) {
-    const step = parseInt(minute.raw.split('/')[1], 10);
-    if (hour.type === 'wildcard') {
-      return `every ${step} minutes`;
-    }
-  }
-
-  if (hour.type === 'step' && hour.raw.startsWith('*/')) {
-    const step = parseInt(hour.raw.split('/')[1], 10);
-    if (minute.type === 'single' && minute.values[0] === 0) {
-      return `every ${step} hours`;
-    }
-  }
-
-  // Specific time(s)
-  const times = [];
-  for (const h of hour.values) {
-    for (const m of minute.values) {
-      times.push(formatTime(h, m, second ? second.values[0] : null));
-    }
-  }
-
-  if (times.length === 1) {
-    return `at ${times[0]}`;
-  } else if (times.length <= 5) {
-    return `at ${formatList(times)}`;
-  } else {
-    return `at ${times.length} different times`;
-  }
+function occurrencesBetween(expression, start, end, options = {}) {
+  const parsed = parse(expression, options);
+  const from = new Date(new Date(start).getTime() - 1);
+  return [...iterateOccurrences(parsed, from, { ...options, end, reverse: false })];
 }
 
 /**
- * Build the date portion of the explanation
+ * Lazily iterate over the occurrences of a cron schedule
+ * @param {string} expression - The cron expression
+ * @param {object} options - Options
+ * @param {Date} options.start - Start after this date (default: now)
+ * @param {Date} options.end - Stop at this date (inclusive)
+ * @param {boolean} options.reverse - Walk backward in time from start
+ * @param {string} options.timezone - IANA time zone name (default: host local time)
+ * @param {number} options.maxYears - How many years to search when there is no end
+ * @param {string} options.dayMatching - 'or' (default) or 'and', see parse()
+ * @returns {Iterator<Date>} Occurrence dates
  */
-function buildDatePart(fields) {
-  const dom = fields['day of month'];
-  const month = fields.month;
-
-  // Both wildcards - no specific date
-  if (dom.type === 'wildcard' && month.type === 'wildcard') {
-    return null;
-  }
+function occurrences(expression, options = {}) {
+  const parsed = parse(expression, options);
+  return iterateOccurrences(parsed, options.start || new Date(), options);
+}
 
-  const parts = [];
+/**
+ * Run a function at every occurrence of a cron schedule, in this process
+ *
+ * Timers are set for the exact time of each occurrence, so runs do not drift,
+ * and times skipped or repeated by DST behave as in nextOccurrences().
+ *
+ * @param {string} expression - The cron expression
+ * @param {function} handler - Called with { scheduled, job } at each run; may
+ *   return a promise
+ * @param {object} options - Same as parse(), and:
+ * @param {string} options.timezone - IANA time zone name (default: host local time)
+ * @param {string} options.overlap - 'allow' (default), 'skip' or 'queue' a run
+ *   that is due while the previous one is still going
+ * @param {object} options.clock - { now, setTimeout, clearTimeout } replacing
+ *   the system clock, for tests
+ * @returns {EventEmitter} Job with pause(), resume(), stop() and nextRun(),
+ *   emitting 'run', 'done', 'error' and 'missed' (see lib/scheduler.js)
+ */
+function schedule(expression, handler, options = {}) {
+  return scheduleParsed(parse(expression, options), handler, options);
+}
 
-  // Day of month
-  if (dom.type !== 'wildcard') {
-    if (dom.type === 'single') {
-      parts.push(`on day ${dom.values[0]}`);
-    } else if (dom.values.length <= 5) {
-      parts.push(`on days ${formatList(dom.values.map(d => d.toString()))}`);
-    } else {
-      parts.push(`on ${dom.values.length} days of the month`);
-    }
-  }
+/**
+ * Explain every entry of a crontab file
+ * @param {string} text - Crontab file contents
+ * @param {object} options - Options
+ * @param {boolean} options.system - Entries have a user column (/etc/crontab, /etc/cron.d)
+ * @param {Date} options.startFrom - Compute next runs after this date (default: now)
+ * @param {string} options.timezone - Time zone for entries not covered by CRON_TZ
+ * @param {string} options.dayMatching - 'or' (default) or 'and', see parse()
+ * @param {string} options.locale - Language of the explanations, see explain()
+ * @returns {object} { entries, environment, errors }; each entry gains
+ *   `explanation` and `nextRun`
+ */
+function explainCrontab(text, options = {}) {
+  const crontab = parseCrontab(text, options);
+  const startFrom = options.startFrom || new Date();
 
-  // Month
-  if (month.type !== 'wildcard') {
-    const monthNames = month.values.map(m => MONTHS[m]);
-    if (monthNames.length === 1) {
-      parts.push(`in ${monthNames[0]}`);
-    } else if (monthNames.length <= 4) {
-      parts.push(`in ${formatList(monthNames)}`);
-    } else {
-      parts.push(`in ${monthNames.length} months`);
+  const entries = crontab.entries.map(entry => {
+    if (entry.reboot) {
+      return { ...entry, explanation: getLocale(options.locale).startup, nextRun: null };
     }
-  }
+    const parsed = parse(entry.expression, options);
+    const [nextRun = null] = findOccurrences(parsed, 1, startFrom, {
+      ...options,
+      timezone: entry.timezone || options.timezone
+    });
+    return { ...entry, explanation: explain(entry.expression, options), nextRun };
+  });
 
-  return parts.join(' ');
+  return { ...crontab, entries };
 }
 
 /**
- * Build the day of week portion of the explanation
+ * Convert a cron expression to a systemd OnCalendar= expression
+ * @param {string} expression - The cron expression
+ * @param {object} options - Same as parse()
+ * @returns {string} OnCalendar expression, e.g. `Mon..Fri *-*-* 09:00:00`
+ * @throws {CronError} NO_EQUIVALENT if systemd cannot express the schedule
  */
-function buildDayOfWeekPart(fields) {
-  const dow = fields['day of week'];
-
-  if (dow.type === 'wildcard') {
-    return null;
-  }
-
-  // Normalize Sunday (7 -> 0)
-  const values = dow.values.map(v => v === 7 ? 0 : v);
-  const uniqueValues = [...new Set(values)].sort((a, b) => a - b);
-  const dayNames = uniqueValues.map(d => DAYS[d]);
-
-  // Check for weekday/weekend patterns
-  const isWeekdays = uniqueValues.length === 5 &&
-    uniqueValues.every(d => d >= 1 && d <= 5);
-  const isWeekends = uniqueValues.length === 2 &&
-    uniqueValues.includes(0) && uniqueValues.includes(6);
-
-  if (isWeekdays) {
-    return 'on weekdays';
-  }
-  if (isWeekends) {
-    return 'on weekends';
-  }
-
-  if (dayNames.length === 1) {
-    return `on ${dayNames[0]}`;
-  } else if (dayNames.length <= 4) {
-    return `on ${formatList(dayNames)}`;
-  } else {
-    return `on ${dayNames.length} days of the week`;
-  }
+function toSystemd(expression, options = {}) {
+  return toOnCalendar(parse(expression, options));
 }
 
 /**
- * Format a time value
+ * Convert a systemd OnCalendar= expression to a cron expression
+ * @param {string} onCalendar - OnCalendar expression
+ * @param {object} options - Options
+ * @param {string} options.dayMatching - 'and' to allow weekday plus date restrictions
+ * @returns {object} { expression, timezone, parsed } where timezone is null
+ *   unless the OnCalendar expression names one, and parsed is as from parse()
+ * @throws {CronError} For malformed input or NO_EQUIVALENT constructs
  */
-function formatTime(hour, minute, second = null) {
-  const h = hour.toString().padStart(2, '0');
-  const m = minute.toString().padStart(2, '0');
-  if (second !== null) {
-    const s = second.toString().padStart(2, '0');
-    return `${h}:${m}:${s}`;
-  }
-  return `${h}:${m}`;
+function fromSystemd(onCalendar, options = {}) {
+  const { expression, timezone } = parseOnCalendar(onCalendar, options);
+  return { expression, timezone, parsed: parse(expression, options) };
 }
 
 /**
- * Format a list with proper grammar
+ * Convert a cron expression to an iCalendar (RFC 5545) RRULE value
+ * @param {string} expression - The cron expression
+ * @param {object} options - Same as parse()
+ * @returns {string} RRULE value, e.g. `FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;BYHOUR=9;BYMINUTE=0`
+ * @throws {CronError} NO_EQUIVALENT if an RRULE cannot express the schedule
  */
-function formatList(items) {
-  if (items.length === 0) return '';
-  if (items.length === 1) return items[0];
-  if (items.length === 2) return `${items[0]} and ${items[1]}`;
-  return `${items.slice(0, -1).join(', ')}, and ${items[items.length - 1]}`;
+function toRRule(expression, options = {}) {
+  return convertToRRule(parse(expression, options));
 }
 
 /**
- * Validate a cron expression
- * @param {string} expression - The cron expression
- * @returns {object} Validation result
+ * Convert an iCalendar RRULE to a cron expression
+ * @param {string} rrule - An RRULE value, an `RRULE:` line, or iCalendar
+ *   text whose DTSTART supplies the parts the rule leaves out
+ * @param {object} options - Options
+ * @param {string} options.dayMatching - 'and' to allow BYDAY together with BYMONTHDAY
+ * @returns {object} { expression, timezone, parsed } where timezone comes
+ *   from DTSTART (null without one), and parsed is as from parse()
+ * @throws {CronError} For malformed input or NO_EQUIVALENT constructs
+ *   (COUNT, UNTIL, INTERVAL across days, BYWEEKNO and the like)
  */
-function validate(expression) {
-  try {
-    const parsed = parse(expression);
-    return {
-      valid: true,
-      expression,
-      fields: Object.keys(parsed.fields).length,
-      isExtended: parsed.isExtended
-    };
-  } catch (error) {
-    return {
-      valid: false,
-      expression,
-      error: error.message
-    };
-  }
+function fromRRule(rrule, options = {}) {
+  const { expression, timezone } = parseRRule(rrule, options);
+  return { expression, timezone, parsed: parse(expression, options) };
 }
 
 /**
- * Get the next N occurrences of a cron schedule
+ * Build an iCalendar (.ics) file with one recurring event for a cron schedule
  * @param {string} expression - The cron expression
- * @param {number} count - Number of occurrences to calculate
- * @param {Date} startFrom - Starting date (default: now)
- * @returns {Date[]} Array of next occurrence dates
+ * @param {object} options - Options
+ * @param {string} options.name - Event title (default: the expression)
+ * @param {number} options.duration - Length of each run in minutes (default: 15)
+ * @param {string} options.timezone - IANA time zone name (default: host local time)
+ * @param {Date} options.start - The event starts at the first run after this date (default: now)
+ * @param {string} options.dayMatching - 'or' (default) or 'and', see parse()
+ * @param {string} options.locale - Language of the event description, see explain()
+ * @returns {string} iCalendar text with CRLF line endings
+ * @throws {CronError} NO_EQUIVALENT if an RRULE cannot express the schedule
  */
-function nextOccurrences(expression, count = 5, startFrom = new Date()) {
-  const parsed = parse(expression);
-  const { fields, isExtended } = parsed;
-
-  const results = [];
-  let current = new Date(startFrom);
-  current.setMilliseconds(0);
-
-  // Move to next second/minute
-  if (isExtended) {
-    current.setSeconds(current.getSeconds() + 1);
-  } else {
-    current.setSeconds(0);
-    current.setMinutes(current.getMinutes() + 1);
-  }
-
-  const maxIterations = 366 * 24 * 60 * 60; // Max 1 year of seconds
-  let iterations = 0;
-
-  while (results.length < count && iterations < maxIterations) {
-    iterations++;
+function toICS(expression, options = {}) {
+  const parsed = parse(expression, options);
+  return buildCalendar(parsed, {
+    ...options,
+    description: `${describe(parsed, options)} (${expression})`
+  });
+}
 
-    const matches =
-      (isExtended ? fields.second.values.includes(current.getSeconds()) : true) &&
-      fields.minute.values.includes(current.getMinutes()) &&
-      fields.hour.values.includes(current.getHours()) &&
-      fields['day of month'].values.includes(current.getDate()) &&
-      fields.month.values.includes(current.getMonth() + 1) &&
-      (fields['day of week'].values.includes(current.getDay()) ||
-       fields['day of week'].values.includes(current.getDay() === 0 ? 7 : current.getDay()));
+/**
+ * Convert a cron expression from one dialect to another
+ * @param {string} expression - The cron expression, in options.dialect
+ * @param {string} target - Dialect to convert to: 'unix', 'aws', 'kubernetes',
+ *   'github' or 'jenkins'
+ * @param {object} options - Same as parse(), with options.dialect naming the
+ *   source; options.timezone is kept, as a CRON_TZ= prefix for Kubernetes
+ * @returns {object} { expression, timezone, parsed } where timezone is the zone
+ *   the schedule runs in when the target cannot say so itself (else null),
+ *   and parsed is the result read back in the target dialect
+ * @throws {CronError} NO_EQUIVALENT if the target cannot express the schedule
+ */
+function convertDialect(expression, target, options = {}) {
+  const converted = convertParsed(parse(expression, options), target, options.timezone);
+  return { ...converted, parsed: parse(converted.expression, { ...options, dialect: target, timezone: undefined }) };
+}
 
-    if (matches) {
-      results.push(new Date(current));
-    }
+/**
+ * Build a cron expression from an English description, the reverse of explain()
+ * @param {string} description - e.g. "every weekday at 9:30am"
+ * @param {object} options - Same as explain()
+ * @returns {object} { expression, explanation } where explanation is explain()
+ *   of the result, for confirming it means what was intended
+ * @throws {CronError} With offset and length pointing at the word that could
+ *   not be understood (code UNKNOWN_WORD), or CONFLICT / OUT_OF_RANGE
+ */
+function fromText(description, options = {}) {
+  const expression = compileText(description);
+  return { expression, explanation: explain(expression, options) };
+}
 
-    // Increment
-    if (isExtended) {
-      current.setSeconds(current.getSeconds() + 1);
-    } else {
-      current.setMinutes(current.getMinutes() + 1);
-    }
-  }
+/**
+ * Analyze when a set of cron jobs fire, and where they pile up
+ * @param {Array<string|object>} jobs - Expressions, or objects
+ *   { expression, label, timezone } such as parseCrontab() entries (which are
+ *   labelled with their command; @reboot entries are skipped)
+ * @param {object} options - Options
+ * @param {Date} options.start - Start of the window, inclusive (default: now)
+ * @param {Date} options.end - End of the window, exclusive (default: 7 days after start)
+ * @param {string} options.timezone - IANA time zone name (default: host local time)
+ * @param {number} options.top - How many collisions to report (default: 10)
+ * @param {string} options.dayMatching - 'or' (default) or 'and', see parse()
+ * @returns {object} { start, end, timezone, totalRuns, jobs, minutes, hours,
+ *   peak, collisions, heatmap }, see computeLoad() in lib/load.js
+ */
+function analyzeLoad(jobs, options = {}) {
+  const schedules = jobs
+    .map(job => (typeof job === 'string' ? { expression: job } : job))
+    .filter(job => !job.reboot)
+    .map(job => ({
+      label: job.label || job.command || job.expression,
+      expression: job.expression,
+      timezone: job.timezone,
+      parsed: parse(job.expression, options)
+    }));
+  return computeLoad(schedules, options);
+}
 
-  return results;
+/**
+ * Look for risky schedules: jobs that run every minute or in the DST window,
+ * both day fields restricted, uneven steps, dates that never come and many
+ * jobs sharing one schedule
+ * @param {Array<string|object>} jobs - Expressions, or objects
+ *   { expression, label, file, line, timezone } such as parseCrontab() entries
+ *   (@reboot entries are skipped). An object with an `error` diagnostic
+ *   instead, such as a parseCrontab() error, is reported as invalid-expression.
+ * @param {object} options - Options
+ * @param {object} options.rules - Severity of each rule: 'off', 'info',
+ *   'warning' or 'error', or { severity, ...options }, see listRules()
+ * @param {string} options.timezone - IANA time zone name for jobs without one
+ * @param {string} options.dayMatching - 'or' (default) or 'and', see parse()
+ * @param {string} options.dialect - Platform syntax, see parse()
+ * @returns {object} { findings, counts }, see lintSchedules() in lib/lint.js
+ * @throws {Error} For an unknown rule or severity in options.rules
+ */
+function lint(jobs, options = {}) {
+  const schedules = jobs
+    .map(job => (typeof job === 'string' ? { expression: job } : job))
+    .filter(job => !job.reboot)
+    .map(job => {
+      const schedule = {
+        label: job.label || job.command || job.expression,
+        expression: job.expression,
+        file: job.file,
+        line: job.line,
+        timezone: job.timezone
+      };
+      if (job.error) {
+        return { ...schedule, error: job.error };
+      }
+      try {
+        return { ...schedule, parsed: parse(job.expression, options) };
+      } catch (error) {
+        if (!(error instanceof CronError)) throw error;
+        return { ...schedule, error: error.toDiagnostic() };
+      }
+    });
+  return lintSchedules(schedules, options);
 }
 
 /**
- * Common cron presets
+ * Compare two cron expressions
+ * @param {string} a - The first cron expression
+ * @param {string} b - The second cron expression
+ * @param {object} options - Options
+ * @param {Date} options.start - Look for differing runs after this date (default: now)
+ * @param {number} options.samples - How many differing runs to list for each (default: 5)
+ * @param {string} options.timezone - IANA time zone name (default: host local time)
+ * @param {string} options.dayMatching - 'or' (default) or 'and', see parse()
+ * @returns {object} { equivalent, differences, onlyA, onlyB } where
+ *   differences lists each differing field as { field, a, b, onlyA, onlyB }
+ *   and onlyA/onlyB are sample run times only that expression produces
  */
-const presets = {
-  '@yearly': '0 0 1 1 *',
-  '@annually': '0 0 1 1 *',
-  '@monthly': '0 0 1 * *',
-  '@weekly': '0 0 * * 0',
-  '@daily': '0 0 * * *',
-  '@midnight': '0 0 * * *',
-  '@hourly': '0 * * * *'
-};
+function compare(a, b, options = {}) {
+  return compareParsed(parse(a, options), parse(b, options), options);
+}
 
 /**
- * Expand a preset to its cron expression
- * @param {string} preset - Preset name (e.g., '@daily')
- * @returns {string} Cron expression
+ * Rewrite a cron expression in its shortest canonical form: lists become
+ * ranges and steps, full ranges become `*` and Sunday is always 0
+ * @param {string} expression - The cron expression
+ * @param {object} options - Options
+ * @param {boolean} options.names - Write months and weekdays as JAN and MON
+ *   instead of numbers (default: false)
+ * @param {string} options.dayMatching - 'or' (default) or 'and', see parse()
+ * @returns {string} Canonical expression with the same number of fields
  */
-function expandPreset(preset) {
-  const lower = preset.toLowerCase();
-  if (presets[lower]) {
-    return presets[lower];
-  }
-  return preset;
+function normalize(expression, options = {}) {
+  return normalizeParsed(parse(expression, options), options);
 }
 
 module.exports = {
+  CronError,
   parse,
   explain,
   validate,
   nextOccurrences,
+  previousOccurrences,
+  occurrencesBetween,
+  occurrences,
+  schedule,
+  parseCrontab,
+  explainCrontab,
+  toSystemd,
+  fromSystemd,
+  toRRule,
+  fromRRule,
+  toICS,
+  convertDialect,
+  listDialects,
+  fromText,
+  analyzeLoad,
+  lint,
+  listRules,
+  compare,
+  normalize,
+  registerLocale,
+  listLocales,
   expandPreset,
+  registerPreset,
+  listPresets,
+  loadConfig,
   presets
 };
@@ -0,0 +1,252 @@
+/**
+ * Lint rules for cron schedules
+ *
+ * Where validate() reports what cannot be parsed, the linter looks for
+ * schedules that parse but are likely to surprise: jobs that fire every
+ * minute, run in the hours DST skips or repeats, or pile up on the same
+ * minute as other jobs. Each rule has an ID and a default severity, and a
+ * config of the form { rules: { 'every-minute': 'off', 'day-fields': 'error' } }
+ * turns it off or changes its severity.
+ */
+
+const { findScheduleWarnings } = require('./parse.js');
+const { findOccurrences, usesEitherDay } = require('./occurrences.js');
+const { normalizeParsed } = require('./normalize.js');
+const { getDialect } = require('./dialects.js');
+
+const SEVERITIES = ['off', 'info', 'warning', 'error'];
+const UTC_NAMES = ['UTC', 'Etc/UTC', 'GMT', 'Etc/GMT'];
+// Length of the cycle a field's values repeat over, and what it is called
+const CYCLES = {
+  second: [60, 'minute'],
+  minute: [60, 'hour'],
+  hour: [24, 'day'],
+  'day of month': [31, 'month'],
+  month: [12, 'year'],
+  'day of week': [7, 'week']
+};
+const DEFAULT_SHARED_LIMIT = 2;
+
+/**
+ * A finding for one field of a schedule
+ */
+function fieldFinding(field, name, message) {
+  return { field: name, offset: field.offset, length: field.raw.length, message };
+}
+
+/**
+ * The rules, in the order their findings are listed. check() looks at one
+ * schedule and returns findings without rule or severity; the rules without
+ * one are applied by lintSchedules() itself.
+ */
+const RULES = [
+  {
+    id: 'invalid-expression',
+    severity: 'error',
+    description: 'The schedule cannot be parsed'
+  },
+  {
+    id: 'every-minute',
+    severity: 'warning',
+    description: 'The job runs every minute',
+    check(parsed) {
+      const { second, minute, hour } = parsed.fields;
+      if (minute.values.length < 60 || hour.values.length < 24) return [];
+      const field = second && second.values.length > 1 ? second : minute;
+      const name = field === second ? 'second' : 'minute';
+      const what = field === second ? 'several times a minute' : 'every minute';
+      return [fieldFinding(field, name, `Runs ${what}; a long-running service or a wider interval is usually meant`)];
+    }
+  },
+  {
+    id: 'dst-window',
+    severity: 'warning',
+    description: 'The job runs between 01:00 and 03:00, when DST changes skip or repeat the time',
+    check(parsed, job, options) {
+      const hour = parsed.fields.hour;
+      const zone = job.timezone || parsed.timezone || options.timezone || getDialect(parsed.dialect).timezone;
+      const inWindow = hour.values.filter(h => h === 1 || h === 2);
+      if (hour.values.length === 24 || inWindow.length === 0 || UTC_NAMES.includes(zone)) return [];
+      const pad = value => String(value).padStart(2, '0');
+      const { minute, second } = parsed.fields;
+      // One run per hour reads as its times; more as the hours they fall in
+      let when;
+      if (minute.values.length === 1 && (!second || second.values.length === 1)) {
+        const seconds = second && second.values[0] !== 0 ? `:${pad(second.values[0])}` : '';
+        when = `at ${inWindow.map(h => `${pad(h)}:${pad(minute.values[0])}${seconds}`).join(' and ')}`;
+      } else {
+        when = `during the ${inWindow.map(h => `${pad(h)}:00`).join(' and ')} ${inWindow.length === 1 ? 'hour' : 'hours'}`;
+      }
+      return [fieldFinding(hour, 'hour', `Runs ${when}, which a DST change can skip or repeat; use another hour or a UTC schedule`)];
+    }
+  },
+  {
+    id: 'day-fields',
+    severity: 'warning',
+    description: 'Both day of month and day of week are restricted, so either one matching is enough',
+    check(parsed) {
+      if (!usesEitherDay(parsed)) return [];
+      const dom = parsed.fields['day of month'];
+      const dow = parsed.fields['day of week'];
+      return [fieldFinding(dow, 'day of week',
+        `Runs on days matching either '${dom.raw}' or '${dow.raw}', not only days matching both`)];
+    }
+  },
+  {
+    id: 'uneven-step',
+    severity: 'warning',
+    description: 'A step does not divide its field, so the gap shrinks where the field wraps around',
+    check(parsed) {
+      const findings = [];
+      for (const [name, field] of Object.entries(parsed.fields)) {
+        const match = /^(\*|\d+)\/(\d+)$/.exec(field.raw);
+        if (!match || !CYCLES[name] || field.values.length < 2) continue;
+        const [size, unit] = CYCLES[name];
+        const step = Number(match[2]);
+        const wrap = field.values[0] + size - field.values[field.values.length - 1];
+        if (wrap !== step) {
+          findings.push(fieldFinding(field, name,
+            `'${field.raw}' starts over every ${unit}, so the gap after ${field.values[field.values.length - 1]} is ${wrap}, not ${step}`));
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'impossible-date',
+    severity: 'error',
+    description: 'The schedule never fires',
+    check(parsed, job, options) {
+      const never = findScheduleWarnings(parsed, options).find(warning => warning.code === 'NEVER_FIRES');
+      if (never) {
+        return [{ field: never.field, offset: never.offset, length: never.length, message: never.message }];
+      }
+      const next = findOccurrences(parsed, 1, options.now || new Date(), { timezone: job.timezone || options.timezone });
+      return next.length === 0 ? [{ field: null, offset: null, length: 0, message: 'Schedule never fires: no date matches every field' }] : [];
+    }
+  },
+  {
+    id: 'shared-schedule',
+    severity: 'info',
+    description: 'More jobs than the limit share one schedule and start at the same moment'
+  }
+];
+
+/**
+ * Work out the severity and options of each rule from a config
+ * @param {object} config - { rules: { id: severity | { severity, ...options } } }
+ * @returns {Map} Rule ID -> { severity, options }
+ * @throws {Error} For an unknown rule or severity
+ */
+function resolveRules(config = {}) {
+  const settings = new Map(RULES.map(rule => [rule.id, { severity: rule.severity, options: {} }]));
+  for (const [id, value] of Object.entries(config.rules || {})) {
+    if (!settings.has(id)) {
+      throw new Error(`Unknown lint rule: ${id} (available: ${RULES.map(rule => rule.id).join(', ')})`);
+    }
+    const { severity = settings.get(id).severity, ...options } = typeof value === 'object' && value !== null ? value : { severity: value };
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity for ${id}: ${severity} (expected ${SEVERITIES.join(', ')})`);
+    }
+    settings.set(id, { severity, options });
+  }
+  return settings;
+}
+
+/**
+ * Lint a set of schedules
+ * @param {object[]} jobs - { label, expression, file, line, timezone, parsed }
+ *   for each job, or { label, expression, file, line, error } for one that
+ *   failed to parse, where error is a diagnostic
+ * @param {object} options - Options
+ * @param {object} options.rules - Rule ID -> 'off', 'info', 'warning' or
+ *   'error', or { severity, ...options }; shared-schedule takes `limit`, the
+ *   most jobs that may share a schedule (default: 2)
+ * @param {Date} options.now - Date to judge never-firing schedules from (default: now)
+ * @param {string} options.timezone - Zone for jobs without one of their own
+ * @returns {object} { findings, counts } where each finding is { rule,
+ *   severity, message, job, label, expression, file, line, field, offset, length }
+ *   (job is the index in `jobs`) and counts has the number of findings per severity
+ */
+function lintSchedules(jobs, options = {}) {
+  const settings = resolveRules({ rules: options.rules });
+  const findings = [];
+  const report = (id, index, finding) => {
+    const { severity } = settings.get(id);
+    if (severity === 'off') return;
+    const job = jobs[index];
+    findings.push({
+      rule: id,
+      severity,
+      message: finding.message,
+      job: index,
+      label: job.label || job.expression || null,
+      expression: job.expression || null,
+      file: job.file || null,
+      line: job.line || null,
+      field: finding.field,
+      offset: finding.offset,
+      length: finding.length
+    });
+  };
+
+  jobs.forEach((job, index) => {
+    if (job.error) {
+      report('invalid-expression', index, job.error);
+      return;
+    }
+    // @reboot has no time of day for the rules to look at
+    if (job.parsed.reboot) return;
+    for (const rule of RULES) {
+      if (rule.check && settings.get(rule.id).severity !== 'off') {
+        for (const finding of rule.check(job.parsed, job, options)) {
+          report(rule.id, index, finding);
+        }
+      }
+    }
+  });
+
+  // Jobs with the same canonical schedule in the same zone start together
+  const { limit = DEFAULT_SHARED_LIMIT } = settings.get('shared-schedule').options;
+  const groups = new Map();
+  jobs.forEach((job, index) => {
+    if (!job.parsed || job.parsed.reboot) return;
+    const zone = job.timezone || job.parsed.timezone || options.timezone || '';
+    const key = `${zone} ${normalizeParsed(job.parsed)}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+  for (const indexes of groups.values()) {
+    if (indexes.length <= limit) continue;
+    const schedule = normalizeParsed(jobs[indexes[0]].parsed);
+    for (const index of indexes) {
+      report('shared-schedule', index, {
+        field: null,
+        offset: null,
+        length: 0,
+        message: `${indexes.length} jobs share the schedule '${schedule}'; spread them out so they do not all start at once`
+      });
+    }
+  }
+
+  findings.sort((a, b) => a.job - b.job);
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const finding of findings) {
+    counts[finding.severity]++;
+  }
+  return { findings, counts };
+}
+
+/**
+ * The rules with their default severities
+ * @returns {object[]} { id, severity, description } for each rule
+ */
+function listRules() {
+  return RULES.map(({ id, severity, description }) => ({ id, severity, description }));
+}
+
+module.exports = {
+  lintSchedules,
+  listRules,
+  resolveRules
+};
@@ -0,0 +1,128 @@
+/**
+ * Load analysis for a set of cron jobs
+ *
+ * Counts when the jobs fire over a window of time: runs per minute and per
+ * hour, the minutes where several jobs collide, and a heatmap of runs by day
+ * of week and hour of day. Minutes and hours are read on the wall clock of the
+ * analysis time zone, even for jobs that run in a zone of their own.
+ */
+
+const { iterateOccurrences } = require('./occurrences.js');
+const { createZone } = require('./timezone.js');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const DEFAULT_DAYS = 7;
+const DEFAULT_TOP = 10;
+
+/**
+ * Count the runs of a set of parsed schedules over a window
+ * @param {object[]} jobs - { label, expression, parsed, timezone } for each job
+ * @param {object} options - Options
+ * @param {Date} options.start - Start of the window, inclusive (default: now)
+ * @param {Date} options.end - End of the window, exclusive (default: 7 days after start)
+ * @param {string} options.timezone - Zone for the buckets and for jobs without
+ *   a timezone of their own (default: host local time)
+ * @param {number} options.top - How many collisions to report (default: 10)
+ * @returns {object} {
+ *   start, end, timezone, totalRuns,
+ *   jobs:       [{ label, expression, runs }],
+ *   minutes:    [{ at, jobs, runs }] for every minute with a run, in order,
+ *               where jobs is the number of different jobs firing,
+ *   hours:      [{ at, jobs, runs }] likewise for every hour,
+ *   peak:       { minute, hour }, the minute with the most jobs and the hour
+ *               with the most runs (null when nothing runs),
+ *   collisions: [{ time, at, jobs, occurrences }] minutes where two or more
+ *               jobs fire, grouped by time of day and set of jobs (`at` is the
+ *               first occurrence, `jobs` their labels), busiest first,
+ *   heatmap:    runs by day of week (0 = Sunday) and hour of day, heatmap[weekday][hour]
+ * }
+ */
+function computeLoad(jobs, options = {}) {
+  const zone = createZone(options.timezone);
+  const start = new Date(options.start || Date.now());
+  const end = new Date(options.end || start.getTime() + DEFAULT_DAYS * DAY);
+  if (!(end > start)) {
+    throw new Error('The end of the window must be after its start');
+  }
+
+  // minute since the epoch -> Map(job index -> runs in that minute)
+  const buckets = new Map();
+  const runsPerJob = jobs.map((job, index) => {
+    let runs = 0;
+    const occurrences = iterateOccurrences(job.parsed, new Date(start.getTime() - 1), {
+      timezone: job.timezone || options.timezone,
+      end: new Date(end.getTime() - 1)
+    });
+    for (const date of occurrences) {
+      const key = Math.floor(date.getTime() / MINUTE);
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        bucket = new Map();
+        buckets.set(key, bucket);
+      }
+      bucket.set(index, (bucket.get(index) || 0) + 1);
+      runs++;
+    }
+    return runs;
+  });
+
+  const minutes = [];
+  const hours = [];
+  const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  const collisions = new Map();
+  let hour = null;
+
+  for (const key of [...buckets.keys()].sort((a, b) => a - b)) {
+    const bucket = buckets.get(key);
+    const at = new Date(key * MINUTE);
+    const runs = [...bucket.values()].reduce((sum, n) => sum + n, 0);
+    minutes.push({ at, jobs: bucket.size, runs });
+
+    const wall = zone.toWall(at);
+    heatmap[wall.weekday][wall.hour] += runs;
+
+    const hourStart = at.getTime() - wall.minute * MINUTE;
+    if (!hour || hour.at.getTime() !== hourStart) {
+      hour = { at: new Date(hourStart), jobIndexes: new Set(), runs: 0 };
+      hours.push(hour);
+    }
+    bucket.forEach((_, index) => hour.jobIndexes.add(index));
+    hour.runs += runs;
+
+    if (bucket.size > 1) {
+      const indexes = [...bucket.keys()].sort((a, b) => a - b);
+      const time = `${String(wall.hour).padStart(2, '0')}:${String(wall.minute).padStart(2, '0')}`;
+      const id = `${time} ${indexes.join(',')}`;
+      const collision = collisions.get(id);
+      if (collision) {
+        collision.occurrences++;
+      } else {
+        collisions.set(id, { time, at, jobs: indexes.map(i => jobs[i].label), occurrences: 1 });
+      }
+    }
+  }
+
+  const hourTotals = hours.map(({ at, jobIndexes, runs }) => ({ at, jobs: jobIndexes.size, runs }));
+  const busiest = (list, key) => list.reduce((best, item) => (!best || item[key] > best[key] ? item : best), null);
+  const top = options.top !== undefined ? options.top : DEFAULT_TOP;
+
+  return {
+    start,
+    end,
+    timezone: zone.name,
+    totalRuns: runsPerJob.reduce((sum, n) => sum + n, 0),
+    jobs: jobs.map((job, index) => ({ label: job.label, expression: job.expression, runs: runsPerJob[index] })),
+    minutes,
+    hours: hourTotals,
+    peak: { minute: busiest(minutes, 'jobs'), hour: busiest(hourTotals, 'runs') },
+    collisions: [...collisions.values()]
+      .sort((a, b) => b.jobs.length - a.jobs.length || b.occurrences - a.occurrences || a.at - b.at)
+      .slice(0, top),
+    heatmap
+  };
+}
+
+module.exports = {
+  computeLoad
+};
@@ -0,0 +1,217 @@
+/**
+ * German language pack (see en.js for the interface)
+ */
+
+const { formatTime, joinList, segmentPhrases, capitalize } = require('./shared.js');
+
+const MONTHS = ['', 'Januar', 'Februar', 'März', 'April', 'Mai', 'Juni',
+  'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'];
+const MONTHS_SHORT = ['', 'Jan.', 'Feb.', 'März', 'Apr.', 'Mai', 'Juni', 'Juli', 'Aug.', 'Sept.', 'Okt.', 'Nov.', 'Dez.'];
+const DAYS = ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag'];
+const DAYS_SHORT = ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'];
+const ORDINALS = ['', 'ersten', 'zweiten', 'dritten', 'vierten', 'fünften'];
+const FROM_END = ['letzten', 'vorletzten', 'drittletzten', 'viertletzten', 'fünftletzten'];
+
+const list = items => joinList(items, 'und');
+
+const UNITS = { second: ['Sekunde', 'Sekunden'], minute: ['Minute', 'Minuten'], hour: ['Stunde', 'Stunden'] };
+const UNITS_SHORT = { second: 'Sek.', minute: 'Min.', hour: 'Std.' };
+const PARENT_UNIT = { second: 'Minute', minute: 'Stunde' };
+const ONCE_PER = { second: 'einmal pro Minute', minute: 'einmal pro Stunde', hour: 'einmal am Tag', day: 'einmal am Tag' };
+const CHOSEN = { second: 'Sekunde', minute: 'Minute', hour: 'Stunde', day: 'Uhrzeit' };
+
+function unitName(unit, count, context) {
+  if (context.short) return UNITS_SHORT[unit];
+  return UNITS[unit][count === 1 ? 0 : 1];
+}
+
+function clause(item, context) {
+  const time = t => formatTime(t, context);
+  const hourStart = hour => time({ hour, minute: 0, second: null });
+  // "um 09:00 Uhr", but "um 9:00 AM"
+  const uhr = context.use24HourTime ? ' Uhr' : '';
+  const every = (step, unit) => (step === 1
+    ? `jede ${unitName(unit, 1, context)}`
+    : `alle ${step} ${unitName(unit, step, context)}`);
+  const window = (start, end) => (context.short
+    ? `${time(start)}–${time(end)}`
+    : `zwischen ${time(start)} und ${time(end)}${uhr}`);
+
+  switch (item.type) {
+    case 'times':
+      return `um ${list(item.times.map(time))}${uhr}`;
+    case 'every':
+      return every(1, item.unit);
+    case 'interval': {
+      const text = every(item.step, item.unit);
+      if (item.unit === 'hour') {
+        if (item.end !== null) {
+          return `${text} ${window({ hour: item.start, minute: 0, second: null }, { hour: item.end, minute: 59, second: null })}`;
+        }
+        return item.start !== null ? `${text} ab ${hourStart(item.start)}${uhr}` : text;
+      }
+      if (item.end !== null) {
+        return `${text} von ${UNITS[item.unit][0]} ${item.start} bis ${item.end}`;
+      }
+      return item.start !== null ? `${text} ab ${UNITS[item.unit][0]} ${item.start}` : text;
+    }
+    case 'range':
+      return `in den ${UNITS[item.unit][1]} ${item.start} bis ${item.end} jeder ${PARENT_UNIT[item.unit]}`;
+    case 'values':
+      if (item.unit === 'hour') {
+        return `in der Stunde ab ${list(item.values.map(hourStart))}${uhr}`;
+      }
+      if (item.unit === 'minute' && item.values.length === 1 && item.values[0] === 0) {
+        return 'zur vollen Stunde';
+      }
+      return item.values.length === 1
+        ? `zur ${UNITS[item.unit][0]} ${item.values[0]} jeder ${PARENT_UNIT[item.unit]}`
+        : `zu den ${UNITS[item.unit][1]} ${list(item.values.map(String))} jeder ${PARENT_UNIT[item.unit]}`;
+    case 'segments':
+      if (item.unit === 'hour') {
+        return list(segmentPhrases(item.segments, hour => `in der Stunde ab ${hourStart(hour)}${uhr}`,
+          (start, end) => window({ hour: start, minute: 0, second: null }, { hour: end, minute: 59, second: null })));
+      }
+      return `zu den ${UNITS[item.unit][1]} ${list(segmentPhrases(item.segments, String, (start, end) => `${start} bis ${end}`))} ` +
+        `jeder ${PARENT_UNIT[item.unit]}`;
+    case 'between':
+      return window(item.start, item.end);
+    case 'hourly':
+      return context.short
+        ? `${every(item.step, 'hour')} ${time(item.start)}–${time(item.end)}`
+        : `${every(item.step, 'hour')} von ${time(item.start)} bis ${time(item.end)}${uhr}`;
+    case 'hashed': {
+      const chosen = `einer je Job gewählten ${CHOSEN[item.unit]}`;
+      let text;
+      if (item.step !== null) {
+        text = `${every(item.step, item.unit)} ab ${chosen}`;
+      } else {
+        const at = `${item.unit === 'hour' ? 'in' : 'zu'} ${chosen}`;
+        text = item.once ? `${ONCE_PER[item.unit]} ${at}` : at;
+      }
+      if (item.start === null) {
+        return text;
+      }
+      if (item.unit === 'hour' || item.unit === 'day') {
+        return `${text} ${window({ hour: item.start, minute: 0, second: null }, { hour: item.end, minute: 59, second: null })}`;
+      }
+      return `${text} (${UNITS[item.unit][1]} ${item.start} bis ${item.end})`;
+    }
+    default:
+      return item.type;
+  }
+}
+
+function special(token) {
+  switch (token.type) {
+    case 'last':
+      return token.daysBefore < FROM_END.length
+        ? `am ${FROM_END[token.daysBefore]} Tag des Monats`
+        : `${token.daysBefore} Tage vor dem letzten Tag des Monats`;
+    case 'lastWeekday':
+      return 'am letzten Werktag des Monats';
+    case 'weekday':
+      return `am Werktag, der dem ${token.day}. des Monats am nächsten liegt`;
+    case 'nth':
+      return `am ${ORDINALS[token.nth]} ${DAYS[token.weekday]} des Monats`;
+    case 'lastOf':
+      return `am letzten ${DAYS[token.weekday]} des Monats`;
+    default:
+      return token.type;
+  }
+}
+
+module.exports = {
+  time(clauses, context) {
+    return clauses.map(item => clause(item, context)).join(', ');
+  },
+
+  dayOfMonth(dom) {
+    const phrases = [];
+    if (dom.days.length > 0) {
+      phrases.push(`am ${list(dom.days.map(d => `${d}.`))} Tag des Monats`);
+    } else if (dom.segments.length > 0 && dom.segments[0].step > 1) {
+      const { start, end, step } = dom.segments[0];
+      phrases.push(`jeden ${step}. Tag des Monats${start !== 1 ? ` ab dem ${start}.` : ''}${end !== null ? ` bis zum ${end}.` : ''}`);
+    } else if (dom.segments.length > 0) {
+      phrases.push(list(segmentPhrases(dom.segments, day => `am ${day}.`, (start, end) => `vom ${start}. bis ${end}.`)));
+    } else if (dom.hashed) {
+      phrases.push('an einem je Job gewählten Tag des Monats');
+    }
+    phrases.push(...dom.specials.map(special));
+    return list(phrases);
+  },
+
+  month(month, context) {
+    if (month.hashed) {
+      return 'in einem je Job gewählten Monat';
+    }
+    const name = m => (context.short ? MONTHS_SHORT : MONTHS)[m];
+    if (month.segments.length > 0 && month.segments[0].step > 1) {
+      const { start, end, step } = month.segments[0];
+      return `jeden ${step}. Monat${start !== 1 ? ` ab ${name(start)}` : ''}${end !== null ? ` bis ${name(end)}` : ''}`;
+    }
+    if (month.segments.length > 0) {
+      return list(segmentPhrases(month.segments, m => `im ${name(m)}`, (start, end) => `von ${name(start)} bis ${name(end)}`));
+    }
+    return `im ${list(month.months.map(name))}`;
+  },
+
+  dayOfWeek(dow, context) {
+    const phrases = [];
+    if (dow.weekdays) {
+      phrases.push(context.short ? 'Mo–Fr' : 'montags bis freitags');
+    } else if (dow.weekends) {
+      phrases.push(context.short ? 'Sa und So' : 'am Wochenende');
+    } else if (dow.days.length > 0) {
+      phrases.push(list(dow.days.map(d => (context.short ? DAYS_SHORT[d] : `${DAYS[d].toLowerCase()}s`))));
+    } else if (dow.segments.length > 0) {
+      const name = d => (context.short ? DAYS_SHORT : DAYS)[d];
+      phrases.push(list(segmentPhrases(dow.segments, d => (context.short ? DAYS_SHORT[d] : `${DAYS[d].toLowerCase()}s`),
+        (start, end) => (context.short ? `${name(start)}–${name(end)}` : `${name(start)} bis ${name(end)}`))));
+    } else if (dow.hashed) {
+      phrases.push('an einem je Job gewählten Wochentag');
+    }
+    phrases.push(...dow.specials.map(special));
+    return list(phrases);
+  },
+
+  year(year) {
+    if (year.start !== null && year.step === 1) {
+      return year.end !== null ? `nur von ${year.start} bis ${year.end}` : `erst ab ${year.start}`;
+    }
+    if (year.start !== null) {
+      return year.end !== null ? `alle ${year.step} Jahre von ${year.start} bis ${year.end}` : `alle ${year.step} Jahre ab ${year.start}`;
+    }
+    if (year.segments.length > 0) {
+      return `nur ${list(segmentPhrases(year.segments, String, (start, end) => `${start} bis ${end}`))}`;
+    }
+    return `nur ${list(year.years.map(String))}`;
+  },
+
+  sentence({ time, dayOfMonth, month, dayOfWeek, year, dayMatching, verbose }) {
+    const parts = [time];
+    if (dayMatching === 'or') {
+      parts.push([`${dayOfMonth} oder ${dayOfWeek}`, month].filter(Boolean).join(' '));
+    } else if (dayMatching === 'and') {
+      parts.push([dayOfMonth, month].filter(Boolean).join(' '), `aber nur ${dayOfWeek}`);
+    } else {
+      const datePart = [dayOfMonth, month].filter(Boolean).join(' ');
+      if (datePart) {
+        parts.push(datePart);
+      }
+      if (dayOfWeek) {
+        parts.push(dayOfWeek);
+      }
+      if (verbose && parts.length === 1) {
+        parts.push('jeden Tag');
+      }
+    }
+    if (year) {
+      parts.push(year);
+    }
+    return capitalize(parts.join(', '));
+  },
+
+  startup: 'Beim Systemstart'
+};
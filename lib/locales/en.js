@@ -0,0 +1,280 @@
+/**
+ * English language pack
+ *
+ * A language pack turns the language-neutral descriptions built by
+ * lib/explain.js into words. Every pack provides:
+ *
+ *   time(clauses, context)          -> 'at 09:00', 'every 15 minutes, between 09:00 and 17:59'
+ *     clauses are read in order; see describeTime() in lib/explain.js for
+ *     the clause types ('times', 'every', 'interval', 'range', 'values',
+ *     'segments', 'between', 'hourly', 'hashed')
+ *   dayOfMonth(dom, context)        -> 'day 1', 'the last day of the month'
+ *     dom: { days: [1, 15], segments, specials, hashed } where segments are
+ *     set instead of days when there are too many to list, and hashed for a
+ *     day chosen per job by an H token
+ *   month(month, context)           -> 'in January'
+ *     month: { months: [1, 7], segments, hashed }
+ *   dayOfWeek(dow, context)         -> 'weekdays', 'Monday and Friday'
+ *     dow: { weekdays, weekends, days: [1, 5], segments, specials, hashed }
+ *   year(year, context)             -> 'only in 2026 through 2030'
+ *     year: { years: [2027], start, end, step, segments } where start, end
+ *     and step describe a run of years instead of listing them
+ *
+ * Segments are [{ start, end, step }]: a single value (end equals start), a
+ * range (step 1), or one stepped run whose end is null when it goes on to
+ * the end of the field. Only the day of month and month have stepped runs.
+ *   sentence(parts)                 -> the whole explanation
+ *     parts: { time, timeType, dayOfMonth, month, dayOfWeek, year, dayMatching, verbose }
+ *     holding the phrases above (null for wildcard fields); timeType is
+ *     'times' for a list of exact times, otherwise 'periodic'; dayMatching
+ *     is 'or' or 'and' when both day fields are restricted, otherwise null
+ *   startup                         -> explanation of @reboot
+ *
+ * context is { dayMatching, verbose, short, use24HourTime }: `short` asks for
+ * abbreviated names, `use24HourTime: false` for 9:00 AM style times. Specials
+ * are the Quartz day tokens from parse(): { type: 'last', daysBefore },
+ * { type: 'lastWeekday' }, { type: 'weekday', day }, { type: 'nth', weekday, nth }
+ * and { type: 'lastOf', weekday }.
+ */
+
+const { formatTime, joinList, segmentPhrases, capitalize } = require('./shared.js');
+
+const MONTHS = ['', 'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+const MONTHS_SHORT = ['', 'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAYS_SHORT = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ORDINALS = ['', 'first', 'second', 'third', 'fourth', 'fifth'];
+
+const UNITS = { second: ['second', 'seconds'], minute: ['minute', 'minutes'], hour: ['hour', 'hours'] };
+const UNITS_SHORT = { second: 'sec', minute: 'min', hour: 'hr' };
+const PARENT_UNIT = { second: 'minute', minute: 'hour' };
+const ONCE_PER = { second: 'once a minute', minute: 'once an hour', hour: 'once a day', day: 'once a day' };
+const CHOSEN = { second: 'a second', minute: 'a minute', hour: 'an hour', day: 'a time' };
+
+const list = items => joinList(items, 'and', { serialComma: true });
+
+/**
+ * Name a unit for a count: "minute", "minutes" or "min"
+ */
+function unitName(unit, count, context) {
+  if (context.short) return UNITS_SHORT[unit];
+  return UNITS[unit][count === 1 ? 0 : 1];
+}
+
+/**
+ * Format a number as 1st, 2nd, 3rd, 4th, ...
+ */
+function ordinalSuffix(n) {
+  const tens = n % 100;
+  if (tens >= 11 && tens <= 13) return `${n}th`;
+  return `${n}${['th', 'st', 'nd', 'rd'][n % 10] || 'th'}`;
+}
+
+/**
+ * Read segments of ranges and single values as "1 through 10 and 20"
+ */
+function segmentList(segments, name, context) {
+  const through = context.short ? '–' : ' through ';
+  return list(segmentPhrases(segments, name, (start, end) => `${name(start)}${through}${name(end)}`));
+}
+
+/**
+ * Read a stepped run as "every 2nd day of the month from day 5 through day 25"
+ */
+function stepRun({ start, end, step }, unit, name, min) {
+  return `every ${ordinalSuffix(step)} ${unit}${start !== min ? ` from ${name(start)}` : ''}${end !== null ? ` through ${name(end)}` : ''}`;
+}
+
+function clause(item, context) {
+  const time = t => formatTime(t, context);
+  const hourStart = hour => time({ hour, minute: 0, second: null });
+  const every = (step, unit) => (step === 1
+    ? `every ${unitName(unit, 1, context)}`
+    : `every ${step} ${unitName(unit, step, context)}`);
+  const window = (start, end) => (context.short
+    ? `${time(start)}–${time(end)}`
+    : `between ${time(start)} and ${time(end)}`);
+
+  switch (item.type) {
+    case 'times':
+      return `at ${list(item.times.map(time))}`;
+    case 'every':
+      return every(1, item.unit);
+    case 'interval': {
+      const text = every(item.step, item.unit);
+      if (item.unit === 'hour') {
+        if (item.end !== null) {
+          return `${text} ${window({ hour: item.start, minute: 0, second: null }, { hour: item.end, minute: 59, second: null })}`;
+        }
+        return item.start !== null ? `${text} starting at ${hourStart(item.start)}` : text;
+      }
+      if (item.end !== null) {
+        return `${text} from ${item.unit} ${item.start} through ${item.end}`;
+      }
+      return item.start !== null ? `${text} starting at ${item.unit} ${item.start}` : text;
+    }
+    case 'range':
+      return `${unitName(item.unit, 2, context)} ${item.start} through ${item.end} past the ${PARENT_UNIT[item.unit]}`;
+    case 'values':
+      if (item.unit === 'hour') {
+        return `during the ${list(item.values.map(hourStart))} ${unitName('hour', item.values.length, context)}`;
+      }
+      if (item.unit === 'minute' && item.values.length === 1 && item.values[0] === 0) {
+        return 'on the hour';
+      }
+      return `at ${list(item.values.map(String))} ${unitName(item.unit, item.values.length === 1 ? item.values[0] : 2, context)} ` +
+        `past the ${PARENT_UNIT[item.unit]}`;
+    case 'segments':
+      if (item.unit === 'hour') {
+        return list(segmentPhrases(item.segments, hour => `during the ${hourStart(hour)} hour`,
+          (start, end) => window({ hour: start, minute: 0, second: null }, { hour: end, minute: 59, second: null })));
+      }
+      return `at ${unitName(item.unit, 2, context)} ${segmentList(item.segments, String, context)} past the ${PARENT_UNIT[item.unit]}`;
+    case 'between':
+      return window(item.start, item.end);
+    case 'hourly':
+      return context.short
+        ? `${every(item.step, 'hour')} ${time(item.start)}–${time(item.end)}`
+        : `${every(item.step, 'hour')} from ${time(item.start)} to ${time(item.end)}`;
+    case 'hashed': {
+      const chosen = `${CHOSEN[item.unit]} chosen per job`;
+      let text;
+      if (item.step !== null) {
+        text = `${every(item.step, item.unit)} from ${chosen}`;
+      } else {
+        const at = item.unit === 'hour' ? 'during' : 'at';
+        text = item.once ? `${ONCE_PER[item.unit]} ${at} ${chosen}` : `${at} ${chosen}`;
+      }
+      if (item.start === null) {
+        return text;
+      }
+      if (item.unit === 'hour' || item.unit === 'day') {
+        return `${text} ${window({ hour: item.start, minute: 0, second: null }, { hour: item.end, minute: 59, second: null })}`;
+      }
+      return `${text} (${unitName(item.unit, 2, context)} ${item.start} through ${item.end})`;
+    }
+    default:
+      return item.type;
+  }
+}
+
+function special(token) {
+  switch (token.type) {
+    case 'last':
+      if (token.daysBefore === 0) {
+        return 'the last day of the month';
+      }
+      return `the ${ordinalSuffix(token.daysBefore + 1)}-to-last day of the month`;
+    case 'lastWeekday':
+      return 'the last weekday of the month';
+    case 'weekday':
+      return `the weekday nearest day ${token.day} of the month`;
+    case 'nth':
+      return `the ${ORDINALS[token.nth]} ${DAYS[token.weekday]} of the month`;
+    case 'lastOf':
+      return `the last ${DAYS[token.weekday]} of the month`;
+    default:
+      return token.type;
+  }
+}
+
+module.exports = {
+  time(clauses, context) {
+    return clauses.map(item => clause(item, context)).join(', ');
+  },
+
+  dayOfMonth(dom, context) {
+    const phrases = [];
+    if (dom.days.length === 1) {
+      phrases.push(`day ${dom.days[0]}`);
+    } else if (dom.days.length > 1) {
+      phrases.push(`days ${list(dom.days.map(String))}`);
+    } else if (dom.segments.length > 0 && dom.segments[0].step > 1) {
+      phrases.push(stepRun(dom.segments[0], 'day of the month', day => `day ${day}`, 1));
+    } else if (dom.segments.length > 0) {
+      phrases.push(`days ${segmentList(dom.segments, String, context)}`);
+    } else if (dom.hashed) {
+      phrases.push('a day of the month chosen per job');
+    }
+    phrases.push(...dom.specials.map(special));
+
+    // "on day 1 of the month or on Monday" reads better than "on day 1 or on Monday"
+    const listed = dom.days.length > 0 || (dom.segments.length > 0 && dom.segments[0].step === 1);
+    const ofMonth = context.dayMatching === 'or' && listed && dom.specials.length === 0;
+    return list(phrases) + (ofMonth ? ' of the month' : '');
+  },
+
+  month(month, context) {
+    if (month.hashed) {
+      return 'in a month chosen per job';
+    }
+    const name = m => (context.short ? MONTHS_SHORT : MONTHS)[m];
+    if (month.segments.length > 0 && month.segments[0].step > 1) {
+      return stepRun(month.segments[0], 'month', name, 1);
+    }
+    if (month.segments.length > 0) {
+      // "from March through September" for one range
+      const [first] = month.segments;
+      const from = month.segments.length === 1 && first.start !== first.end && !context.short ? 'from' : 'in';
+      return `${from} ${segmentList(month.segments, name, context)}`;
+    }
+    return `in ${list(month.months.map(name))}`;
+  },
+
+  dayOfWeek(dow, context) {
+    const phrases = [];
+    if (dow.weekdays) {
+      phrases.push(context.short ? 'Mon–Fri' : 'weekdays');
+    } else if (dow.weekends) {
+      phrases.push(context.short ? 'Sat and Sun' : 'weekends');
+    } else if (dow.days.length > 0) {
+      phrases.push(list(dow.days.map(d => (context.short ? DAYS_SHORT : DAYS)[d])));
+    } else if (dow.segments.length > 0) {
+      phrases.push(segmentList(dow.segments, d => (context.short ? DAYS_SHORT : DAYS)[d], context));
+    } else if (dow.hashed) {
+      phrases.push('a day of the week chosen per job');
+    }
+    phrases.push(...dow.specials.map(special));
+    return list(phrases);
+  },
+
+  year(year, context) {
+    if (year.start !== null && year.step === 1) {
+      return year.end !== null ? `only in ${year.start} through ${year.end}` : `only from ${year.start} on`;
+    }
+    if (year.start !== null) {
+      return year.end !== null ? `every ${year.step} years from ${year.start} through ${year.end}` : `every ${year.step} years from ${year.start}`;
+    }
+    if (year.segments.length > 0) {
+      return `only in ${segmentList(year.segments, String, context)}`;
+    }
+    return `only in ${list(year.years.map(String))}`;
+  },
+
+  sentence({ time, dayOfMonth, month, dayOfWeek, year, dayMatching, verbose }) {
+    const parts = [time];
+    if (dayMatching === 'or') {
+      parts.push([`on ${dayOfMonth} or on ${dayOfWeek}`, month].filter(Boolean).join(' '));
+    } else if (dayMatching === 'and') {
+      parts.push([`on ${dayOfMonth}`, month].filter(Boolean).join(' '), `only if it falls on ${dayOfWeek}`);
+    } else {
+      const datePart = [dayOfMonth && `on ${dayOfMonth}`, month].filter(Boolean).join(' ');
+      if (datePart) {
+        parts.push(datePart);
+      }
+      if (dayOfWeek) {
+        parts.push(`on ${dayOfWeek}`);
+      }
+      if (verbose && parts.length === 1) {
+        parts.push('every day');
+      }
+    }
+    if (year) {
+      parts.push(year);
+    }
+    return capitalize(parts.join(', '));
+  },
+
+  startup: 'At system startup'
+};
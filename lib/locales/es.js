@@ -0,0 +1,235 @@
+/**
+ * Spanish language pack (see en.js for the interface)
+ */
+
+const { formatTime, joinList, segmentPhrases, capitalize } = require('./shared.js');
+
+const MONTHS = ['', 'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio',
+  'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+const MONTHS_SHORT = ['', 'ene', 'feb', 'mar', 'abr', 'may', 'jun', 'jul', 'ago', 'sept', 'oct', 'nov', 'dic'];
+const DAYS = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+const DAYS_SHORT = ['dom', 'lun', 'mar', 'mié', 'jue', 'vie', 'sáb'];
+const ORDINALS = ['', 'primer', 'segundo', 'tercer', 'cuarto', 'quinto'];
+
+const UNITS = { second: ['segundo', 'segundos'], minute: ['minuto', 'minutos'], hour: ['hora', 'horas'] };
+const UNITS_SHORT = { second: 's', minute: 'min', hour: 'h' };
+const PARENT_UNIT = { second: 'minuto', minute: 'hora' };
+const ONCE_PER = { second: 'una vez por minuto', minute: 'una vez por hora', hour: 'una vez al día', day: 'una vez al día' };
+const CHOSEN = {
+  second: 'un segundo elegido por tarea',
+  minute: 'un minuto elegido por tarea',
+  hour: 'una hora elegida por tarea',
+  day: 'una hora del día elegida por tarea'
+};
+
+const list = items => joinList(items, 'y');
+
+// "los lunes", "los sábados": names ending in -s are already plural
+const pluralDay = d => (DAYS[d].endsWith('s') ? DAYS[d] : `${DAYS[d]}s`);
+
+// "la 01:00" but "las 09:00"
+const article = hour => (hour === 1 ? 'la' : 'las');
+
+function unitName(unit, count, context) {
+  if (context.short) return UNITS_SHORT[unit];
+  return UNITS[unit][count === 1 ? 0 : 1];
+}
+
+function clause(item, context) {
+  const time = t => formatTime(t, { ...context, am: 'a. m.', pm: 'p. m.' });
+  const at = t => `${article(t.hour)} ${time(t)}`;
+  const hourStart = hour => at({ hour, minute: 0, second: null });
+  const every = (step, unit) => (step === 1
+    ? `cada ${unitName(unit, 1, context)}`
+    : `cada ${step} ${unitName(unit, step, context)}`);
+  const window = (start, end) => (context.short
+    ? `${time(start)}–${time(end)}`
+    : `entre ${at(start)} y ${at(end)}`);
+
+  switch (item.type) {
+    case 'times':
+      return item.times.length === 1
+        ? `a ${at(item.times[0])}`
+        : `a las ${list(item.times.map(time))}`;
+    case 'every':
+      return every(1, item.unit);
+    case 'interval': {
+      const text = every(item.step, item.unit);
+      if (item.unit === 'hour') {
+        if (item.end !== null) {
+          return `${text} ${window({ hour: item.start, minute: 0, second: null }, { hour: item.end, minute: 59, second: null })}`;
+        }
+        return item.start !== null ? `${text} a partir de ${hourStart(item.start)}` : text;
+      }
+      if (item.end !== null) {
+        return `${text} del ${UNITS[item.unit][0]} ${item.start} al ${item.end}`;
+      }
+      return item.start !== null ? `${text} a partir del ${UNITS[item.unit][0]} ${item.start}` : text;
+    }
+    case 'range':
+      return `del ${UNITS[item.unit][0]} ${item.start} al ${item.end} de cada ${PARENT_UNIT[item.unit]}`;
+    case 'values':
+      if (item.unit === 'hour') {
+        return item.values.length === 1
+          ? `durante la hora de ${hourStart(item.values[0])}`
+          : `durante las horas de las ${list(item.values.map(hour => time({ hour, minute: 0, second: null })))}`;
+      }
+      if (item.unit === 'minute' && item.values.length === 1 && item.values[0] === 0) {
+        return 'a la hora en punto';
+      }
+      return item.values.length === 1
+        ? `en el ${UNITS[item.unit][0]} ${item.values[0]} de cada ${PARENT_UNIT[item.unit]}`
+        : `en los ${UNITS[item.unit][1]} ${list(item.values.map(String))} de cada ${PARENT_UNIT[item.unit]}`;
+    case 'segments':
+      if (item.unit === 'hour') {
+        return list(segmentPhrases(item.segments, hour => `durante la hora de ${hourStart(hour)}`,
+          (start, end) => window({ hour: start, minute: 0, second: null }, { hour: end, minute: 59, second: null })));
+      }
+      return `en los ${UNITS[item.unit][1]} ${list(segmentPhrases(item.segments, String, (start, end) => `${start} a ${end}`))} ` +
+        `de cada ${PARENT_UNIT[item.unit]}`;
+    case 'between':
+      return window(item.start, item.end);
+    case 'hourly':
+      return context.short
+        ? `${every(item.step, 'hour')} ${time(item.start)}–${time(item.end)}`
+        : `${every(item.step, 'hour')} de ${at(item.start)} a ${at(item.end)}`;
+    case 'hashed': {
+      let text;
+      if (item.step !== null) {
+        text = `${every(item.step, item.unit)} a partir de ${CHOSEN[item.unit]}`;
+      } else {
+        const at = `${item.unit === 'hour' ? 'durante' : 'en'} ${CHOSEN[item.unit]}`;
+        text = item.once ? `${ONCE_PER[item.unit]} ${at}` : at;
+      }
+      if (item.start === null) {
+        return text;
+      }
+      if (item.unit === 'hour' || item.unit === 'day') {
+        return `${text} ${window({ hour: item.start, minute: 0, second: null }, { hour: item.end, minute: 59, second: null })}`;
+      }
+      return `${text} (${UNITS[item.unit][1]} ${item.start} a ${item.end})`;
+    }
+    default:
+      return item.type;
+  }
+}
+
+function special(token) {
+  switch (token.type) {
+    case 'last':
+      if (token.daysBefore === 0) {
+        return 'el último día del mes';
+      }
+      if (token.daysBefore === 1) {
+        return 'el penúltimo día del mes';
+      }
+      return `${token.daysBefore} días antes del último día del mes`;
+    case 'lastWeekday':
+      return 'el último día hábil del mes';
+    case 'weekday':
+      return `el día hábil más cercano al día ${token.day}`;
+    case 'nth':
+      return `el ${ORDINALS[token.nth]} ${DAYS[token.weekday]} del mes`;
+    case 'lastOf':
+      return `el último ${DAYS[token.weekday]} del mes`;
+    default:
+      return token.type;
+  }
+}
+
+module.exports = {
+  time(clauses, context) {
+    return clauses.map(item => clause(item, context)).join(', ');
+  },
+
+  dayOfMonth(dom) {
+    const phrases = [];
+    if (dom.days.length === 1) {
+      phrases.push(`el día ${dom.days[0]}`);
+    } else if (dom.days.length > 1) {
+      phrases.push(`los días ${list(dom.days.map(String))}`);
+    } else if (dom.segments.length > 0 && dom.segments[0].step > 1) {
+      const { start, end, step } = dom.segments[0];
+      phrases.push(`cada ${step} días del mes${start !== 1 ? ` a partir del día ${start}` : ''}${end !== null ? ` hasta el día ${end}` : ''}`);
+    } else if (dom.segments.length > 0) {
+      phrases.push(list(segmentPhrases(dom.segments, day => `el día ${day}`, (start, end) => `del ${start} al ${end}`)));
+    } else if (dom.hashed) {
+      phrases.push('un día del mes elegido por tarea');
+    }
+    phrases.push(...dom.specials.map(special));
+    return list(phrases);
+  },
+
+  month(month, context) {
+    if (month.hashed) {
+      return 'en un mes elegido por tarea';
+    }
+    const name = m => (context.short ? MONTHS_SHORT : MONTHS)[m];
+    if (month.segments.length > 0 && month.segments[0].step > 1) {
+      const { start, end, step } = month.segments[0];
+      return `cada ${step} meses${start !== 1 ? ` a partir de ${name(start)}` : ''}${end !== null ? ` hasta ${name(end)}` : ''}`;
+    }
+    if (month.segments.length > 0) {
+      return list(segmentPhrases(month.segments, m => `en ${name(m)}`, (start, end) => `de ${name(start)} a ${name(end)}`));
+    }
+    return `en ${list(month.months.map(name))}`;
+  },
+
+  dayOfWeek(dow, context) {
+    const phrases = [];
+    if (dow.weekdays) {
+      phrases.push(context.short ? 'lun–vie' : 'de lunes a viernes');
+    } else if (dow.weekends) {
+      phrases.push(context.short ? 'sáb y dom' : 'los fines de semana');
+    } else if (dow.days.length > 0) {
+      phrases.push(context.short ? list(dow.days.map(d => DAYS_SHORT[d])) : `los ${list(dow.days.map(pluralDay))}`);
+    } else if (dow.segments.length > 0) {
+      const name = d => (context.short ? DAYS_SHORT : DAYS)[d];
+      phrases.push(list(segmentPhrases(dow.segments, d => (context.short ? DAYS_SHORT[d] : `los ${pluralDay(d)}`),
+        (start, end) => (context.short ? `${name(start)}–${name(end)}` : `de ${name(start)} a ${name(end)}`))));
+    } else if (dow.hashed) {
+      phrases.push('un día de la semana elegido por tarea');
+    }
+    phrases.push(...dow.specials.map(special));
+    return list(phrases);
+  },
+
+  year(year) {
+    if (year.start !== null && year.step === 1) {
+      return year.end !== null ? `solo de ${year.start} a ${year.end}` : `a partir de ${year.start}`;
+    }
+    if (year.start !== null) {
+      return year.end !== null ? `cada ${year.step} años de ${year.start} a ${year.end}` : `cada ${year.step} años a partir de ${year.start}`;
+    }
+    if (year.segments.length > 0) {
+      return `solo ${list(segmentPhrases(year.segments, y => `en ${y}`, (start, end) => `de ${start} a ${end}`))}`;
+    }
+    return `solo en ${list(year.years.map(String))}`;
+  },
+
+  sentence({ time, dayOfMonth, month, dayOfWeek, year, dayMatching, verbose }) {
+    const parts = [time];
+    if (dayMatching === 'or') {
+      parts.push([`${dayOfMonth} o ${dayOfWeek}`, month].filter(Boolean).join(' '));
+    } else if (dayMatching === 'and') {
+      parts.push([dayOfMonth, month].filter(Boolean).join(' '), `solo ${dayOfWeek}`);
+    } else {
+      const datePart = [dayOfMonth, month].filter(Boolean).join(' ');
+      if (datePart) {
+        parts.push(datePart);
+      }
+      if (dayOfWeek) {
+        parts.push(dayOfWeek);
+      }
+      if (verbose && parts.length === 1) {
+        parts.push('todos los días');
+      }
+    }
+    if (year) {
+      parts.push(year);
+    }
+    return capitalize(parts.join(', '));
+  },
+
+  startup: 'Al iniciar el sistema'
+};
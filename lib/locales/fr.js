@@ -0,0 +1,225 @@
+/**
+ * French language pack (see en.js for the interface)
+ */
+
+const { formatTime, joinList, segmentPhrases, capitalize } = require('./shared.js');
+
+const MONTHS = ['', 'janvier', 'février', 'mars', 'avril', 'mai', 'juin',
+  'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'];
+const MONTHS_SHORT = ['', 'janv.', 'févr.', 'mars', 'avr.', 'mai', 'juin', 'juil.', 'août', 'sept.', 'oct.', 'nov.', 'déc.'];
+const DAYS = ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'];
+const DAYS_SHORT = ['dim.', 'lun.', 'mar.', 'mer.', 'jeu.', 'ven.', 'sam.'];
+const ORDINALS = ['', 'premier', 'deuxième', 'troisième', 'quatrième', 'cinquième'];
+
+const UNITS = { second: ['seconde', 'secondes'], minute: ['minute', 'minutes'], hour: ['heure', 'heures'] };
+const UNITS_SHORT = { second: 's', minute: 'min', hour: 'h' };
+const PARENT_UNIT = { second: 'minute', minute: 'heure' };
+const ONCE_PER = { second: 'une fois par minute', minute: 'une fois par heure', hour: 'une fois par jour', day: 'une fois par jour' };
+const CHOSEN = {
+  second: 'une seconde choisie par tâche',
+  minute: 'une minute choisie par tâche',
+  hour: 'une heure choisie par tâche',
+  day: 'un moment choisi par tâche'
+};
+
+const list = items => joinList(items, 'et');
+const dayNumber = d => (d === 1 ? '1er' : String(d));
+
+function unitName(unit, count, context) {
+  if (context.short) return UNITS_SHORT[unit];
+  return UNITS[unit][count === 1 ? 0 : 1];
+}
+
+function clause(item, context) {
+  const time = t => formatTime(t, context);
+  const hourStart = hour => time({ hour, minute: 0, second: null });
+  const every = (step, unit) => (step === 1
+    ? `chaque ${unitName(unit, 1, context)}`
+    : `toutes les ${step} ${unitName(unit, step, context)}`);
+  const window = (start, end) => (context.short
+    ? `${time(start)}–${time(end)}`
+    : `entre ${time(start)} et ${time(end)}`);
+
+  switch (item.type) {
+    case 'times':
+      return `à ${list(item.times.map(time))}`;
+    case 'every':
+      return every(1, item.unit);
+    case 'interval': {
+      const text = every(item.step, item.unit);
+      if (item.unit === 'hour') {
+        if (item.end !== null) {
+          return `${text} ${window({ hour: item.start, minute: 0, second: null }, { hour: item.end, minute: 59, second: null })}`;
+        }
+        return item.start !== null ? `${text} à partir de ${hourStart(item.start)}` : text;
+      }
+      if (item.end !== null) {
+        return `${text} de la ${UNITS[item.unit][0]} ${item.start} à ${item.end}`;
+      }
+      return item.start !== null ? `${text} à partir de la ${UNITS[item.unit][0]} ${item.start}` : text;
+    }
+    case 'range':
+      return `des ${UNITS[item.unit][1]} ${item.start} à ${item.end} de chaque ${PARENT_UNIT[item.unit]}`;
+    case 'values':
+      if (item.unit === 'hour') {
+        return `pendant ${item.values.length === 1 ? "l'heure" : 'les heures'} de ${list(item.values.map(hourStart))}`;
+      }
+      if (item.unit === 'minute' && item.values.length === 1 && item.values[0] === 0) {
+        return "à l'heure pile";
+      }
+      return item.values.length === 1
+        ? `à la ${UNITS[item.unit][0]} ${item.values[0]} de chaque ${PARENT_UNIT[item.unit]}`
+        : `aux ${UNITS[item.unit][1]} ${list(item.values.map(String))} de chaque ${PARENT_UNIT[item.unit]}`;
+    case 'segments':
+      if (item.unit === 'hour') {
+        return list(segmentPhrases(item.segments, hour => `pendant l'heure de ${hourStart(hour)}`,
+          (start, end) => window({ hour: start, minute: 0, second: null }, { hour: end, minute: 59, second: null })));
+      }
+      return `aux ${UNITS[item.unit][1]} ${list(segmentPhrases(item.segments, String, (start, end) => `${start} à ${end}`))} ` +
+        `de chaque ${PARENT_UNIT[item.unit]}`;
+    case 'between':
+      return window(item.start, item.end);
+    case 'hourly':
+      return context.short
+        ? `${every(item.step, 'hour')} ${time(item.start)}–${time(item.end)}`
+        : `${every(item.step, 'hour')} de ${time(item.start)} à ${time(item.end)}`;
+    case 'hashed': {
+      let text;
+      if (item.step !== null) {
+        text = `${every(item.step, item.unit)} à partir d'${CHOSEN[item.unit]}`;
+      } else {
+        const at = `${item.unit === 'hour' ? 'pendant' : 'à'} ${CHOSEN[item.unit]}`;
+        text = item.once ? `${ONCE_PER[item.unit]} ${at}` : at;
+      }
+      if (item.start === null) {
+        return text;
+      }
+      if (item.unit === 'hour' || item.unit === 'day') {
+        return `${text} ${window({ hour: item.start, minute: 0, second: null }, { hour: item.end, minute: 59, second: null })}`;
+      }
+      return `${text} (${UNITS[item.unit][1]} ${item.start} à ${item.end})`;
+    }
+    default:
+      return item.type;
+  }
+}
+
+function special(token) {
+  switch (token.type) {
+    case 'last':
+      if (token.daysBefore === 0) {
+        return 'le dernier jour du mois';
+      }
+      if (token.daysBefore === 1) {
+        return "l'avant-dernier jour du mois";
+      }
+      return `${token.daysBefore} jours avant le dernier jour du mois`;
+    case 'lastWeekday':
+      return 'le dernier jour ouvré du mois';
+    case 'weekday':
+      return `le jour ouvré le plus proche du ${dayNumber(token.day)}`;
+    case 'nth':
+      return `le ${ORDINALS[token.nth]} ${DAYS[token.weekday]} du mois`;
+    case 'lastOf':
+      return `le dernier ${DAYS[token.weekday]} du mois`;
+    default:
+      return token.type;
+  }
+}
+
+module.exports = {
+  time(clauses, context) {
+    return clauses.map(item => clause(item, context)).join(', ');
+  },
+
+  dayOfMonth(dom) {
+    const phrases = [];
+    if (dom.days.length === 1) {
+      phrases.push(`le ${dayNumber(dom.days[0])}`);
+    } else if (dom.days.length > 1) {
+      phrases.push(`les ${list(dom.days.map(dayNumber))}`);
+    } else if (dom.segments.length > 0 && dom.segments[0].step > 1) {
+      const { start, end, step } = dom.segments[0];
+      phrases.push(`un jour sur ${step}${start !== 1 ? ` à partir du ${dayNumber(start)}` : ''}${end !== null ? ` jusqu'au ${dayNumber(end)}` : ''}`);
+    } else if (dom.segments.length > 0) {
+      phrases.push(list(segmentPhrases(dom.segments, day => `le ${dayNumber(day)}`,
+        (start, end) => `du ${dayNumber(start)} au ${dayNumber(end)}`)));
+    } else if (dom.hashed) {
+      phrases.push('un jour du mois choisi par tâche');
+    }
+    phrases.push(...dom.specials.map(special));
+    return list(phrases);
+  },
+
+  month(month, context) {
+    if (month.hashed) {
+      return 'pendant un mois choisi par tâche';
+    }
+    const name = m => (context.short ? MONTHS_SHORT : MONTHS)[m];
+    if (month.segments.length > 0 && month.segments[0].step > 1) {
+      const { start, end, step } = month.segments[0];
+      return `un mois sur ${step}${start !== 1 ? ` à partir de ${name(start)}` : ''}${end !== null ? ` jusqu'en ${name(end)}` : ''}`;
+    }
+    if (month.segments.length > 0) {
+      return list(segmentPhrases(month.segments, m => `en ${name(m)}`, (start, end) => `de ${name(start)} à ${name(end)}`));
+    }
+    return `en ${list(month.months.map(name))}`;
+  },
+
+  dayOfWeek(dow, context) {
+    const phrases = [];
+    if (dow.weekdays) {
+      phrases.push(context.short ? 'lun.–ven.' : 'du lundi au vendredi');
+    } else if (dow.weekends) {
+      phrases.push(context.short ? 'sam. et dim.' : 'le week-end');
+    } else if (dow.days.length > 0) {
+      phrases.push(`le ${list(dow.days.map(d => (context.short ? DAYS_SHORT : DAYS)[d]))}`);
+    } else if (dow.segments.length > 0) {
+      const name = d => (context.short ? DAYS_SHORT : DAYS)[d];
+      phrases.push(list(segmentPhrases(dow.segments, d => `le ${name(d)}`, (start, end) => `du ${name(start)} au ${name(end)}`)));
+    } else if (dow.hashed) {
+      phrases.push('un jour de la semaine choisi par tâche');
+    }
+    phrases.push(...dow.specials.map(special));
+    return list(phrases);
+  },
+
+  year(year) {
+    if (year.start !== null && year.step === 1) {
+      return year.end !== null ? `uniquement de ${year.start} à ${year.end}` : `à partir de ${year.start}`;
+    }
+    if (year.start !== null) {
+      return year.end !== null ? `tous les ${year.step} ans de ${year.start} à ${year.end}` : `tous les ${year.step} ans à partir de ${year.start}`;
+    }
+    if (year.segments.length > 0) {
+      return `uniquement ${list(segmentPhrases(year.segments, y => `en ${y}`, (start, end) => `de ${start} à ${end}`))}`;
+    }
+    return `uniquement en ${list(year.years.map(String))}`;
+  },
+
+  sentence({ time, dayOfMonth, month, dayOfWeek, year, dayMatching, verbose }) {
+    const parts = [time];
+    if (dayMatching === 'or') {
+      parts.push([`${dayOfMonth} ou ${dayOfWeek}`, month].filter(Boolean).join(' '));
+    } else if (dayMatching === 'and') {
+      parts.push([dayOfMonth, month].filter(Boolean).join(' '), `uniquement ${dayOfWeek}`);
+    } else {
+      const datePart = [dayOfMonth, month].filter(Boolean).join(' ');
+      if (datePart) {
+        parts.push(datePart);
+      }
+      if (dayOfWeek) {
+        parts.push(dayOfWeek);
+      }
+      if (verbose && parts.length === 1) {
+        parts.push('tous les jours');
+      }
+    }
+    if (year) {
+      parts.push(year);
+    }
+    return capitalize(parts.join(', '));
+  },
+
+  startup: 'Au démarrage du système'
+};
@@ -0,0 +1,66 @@
+/**
+ * Registry of language packs for explain()
+ *
+ * Locale codes follow BCP 47 (`de`, `pt-BR`). Lookups ignore case and fall
+ * back from a regional code to its language (`de-AT` -> `de`) and from a
+ * language to its only regional pack (`pt` -> `pt-BR`).
+ */
+
+const packs = {
+  en: require('./en.js'),
+  de: require('./de.js'),
+  fr: require('./fr.js'),
+  es: require('./es.js'),
+  'pt-BR': require('./pt-BR.js'),
+  ja: require('./ja.js')
+};
+
+/**
+ * Register a language pack, or replace a bundled one
+ * @param {string} code - Locale code, e.g. 'nl' or 'en-GB'
+ * @param {object} pack - Language pack (see en.js); anything it leaves out
+ *   is taken from English
+ */
+function registerLocale(code, pack) {
+  if (!code || typeof code !== 'string') {
+    throw new Error('Locale code must be a non-empty string');
+  }
+  packs[code] = { ...packs.en, ...pack };
+}
+
+/**
+ * Find the language pack for a locale code
+ * @param {string} [code] - Locale code (default: 'en')
+ * @returns {object} Language pack
+ * @throws {Error} If no pack matches
+ */
+function getLocale(code) {
+  if (!code) {
+    return packs.en;
+  }
+  const codes = Object.keys(packs);
+  const wanted = String(code).toLowerCase().replace('_', '-');
+  const language = wanted.split('-')[0];
+
+  const match = codes.find(c => c.toLowerCase() === wanted) ||
+    codes.find(c => c.toLowerCase() === language) ||
+    codes.find(c => c.toLowerCase().split('-')[0] === language);
+  if (!match) {
+    throw new Error(`Unknown locale: ${code} (available: ${codes.join(', ')})`);
+  }
+  return packs[match];
+}
+
+/**
+ * Codes of every registered language pack
+ * @returns {string[]} Locale codes
+ */
+function listLocales() {
+  return Object.keys(packs);
+}
+
+module.exports = {
+  registerLocale,
+  getLocale,
+  listLocales
+};
@@ -0,0 +1,203 @@
+/**
+ * Japanese language pack (see en.js for the interface)
+ *
+ * Japanese puts the date before the time: 平日の09:00, 毎月1日の00:00.
+ */
+
+const { formatTime, segmentPhrases } = require('./shared.js');
+
+const DAYS = ['日曜日', '月曜日', '火曜日', '水曜日', '木曜日', '金曜日', '土曜日'];
+const DAYS_SHORT = ['日', '月', '火', '水', '木', '金', '土'];
+
+const UNITS = { second: '秒', minute: '分', hour: '時間' };
+const EVERY = { second: '毎秒', minute: '毎分', hour: '毎時' };
+// 毎時30分, 毎分15秒
+const PER_PARENT = { second: '毎分', minute: '毎時' };
+const ONCE_PER = { second: '毎分1回', minute: '毎時1回', hour: '1日1回', day: '1日1回' };
+const CHOSEN = { second: '秒', minute: '分', hour: '時間帯', day: '時刻' };
+
+const list = items => items.join('、');
+
+function clause(item, context) {
+  const time = t => formatTime(t, { ...context, am: '午前', pm: '午後', meridiemFirst: true });
+  const hourStart = hour => time({ hour, minute: 0, second: null });
+  const every = (step, unit) => (step === 1 ? EVERY[unit] : `${step}${UNITS[unit]}ごと`);
+  const window = (start, end) => (context.short
+    ? `${time(start)}〜${time(end)}`
+    : `${time(start)}から${time(end)}まで`);
+  // 秒 and 分 read as positions within the parent unit: 5分, 30秒
+  const position = (unit, value) => `${value}${unit === 'second' ? '秒' : '分'}`;
+
+  switch (item.type) {
+    case 'times':
+      return list(item.times.map(time));
+    case 'every':
+      return EVERY[item.unit];
+    case 'interval': {
+      const text = every(item.step, item.unit);
+      if (item.unit === 'hour') {
+        if (item.end !== null) {
+          return `${window({ hour: item.start, minute: 0, second: null }, { hour: item.end, minute: 59, second: null })}${text}`;
+        }
+        return item.start !== null ? `${hourStart(item.start)}から${text}` : text;
+      }
+      if (item.end !== null) {
+        return `${position(item.unit, item.start)}から${position(item.unit, item.end)}まで${text}`;
+      }
+      return item.start !== null ? `${position(item.unit, item.start)}から${text}` : text;
+    }
+    case 'range':
+      return `${PER_PARENT[item.unit]}${position(item.unit, item.start)}から${position(item.unit, item.end)}まで`;
+    case 'values':
+      if (item.unit === 'hour') {
+        return list(item.values.map(hour => `${hour}時台`));
+      }
+      return `${PER_PARENT[item.unit]}${list(item.values.map(v => position(item.unit, v)))}`;
+    case 'segments':
+      if (item.unit === 'hour') {
+        return list(segmentPhrases(item.segments, hour => `${hour}時台`,
+          (start, end) => window({ hour: start, minute: 0, second: null }, { hour: end, minute: 59, second: null })));
+      }
+      return `${PER_PARENT[item.unit]}${list(segmentPhrases(item.segments, v => position(item.unit, v),
+        (start, end) => `${position(item.unit, start)}〜${position(item.unit, end)}`))}`;
+    case 'between':
+      return window(item.start, item.end);
+    case 'hourly':
+      return `${window(item.start, item.end)}${every(item.step, 'hour')}`;
+    case 'hashed': {
+      const chosen = `ジョブごとに決まる${CHOSEN[item.unit]}`;
+      let text;
+      if (item.step !== null) {
+        text = `${chosen}から${every(item.step, item.unit)}`;
+      } else {
+        text = item.once ? `${chosen}に${ONCE_PER[item.unit]}` : chosen;
+      }
+      if (item.start === null) {
+        return text;
+      }
+      if (item.unit === 'hour' || item.unit === 'day') {
+        return `${window({ hour: item.start, minute: 0, second: null }, { hour: item.end, minute: 59, second: null })}の${text}`;
+      }
+      return `${text}（${position(item.unit, item.start)}〜${position(item.unit, item.end)}）`;
+    }
+    default:
+      return item.type;
+  }
+}
+
+function special(token) {
+  switch (token.type) {
+    case 'last':
+      return token.daysBefore === 0 ? '月末' : `月末の${token.daysBefore}日前`;
+    case 'lastWeekday':
+      return '最終平日';
+    case 'weekday':
+      return `${token.day}日に最も近い平日`;
+    case 'nth':
+      return `第${token.nth}${DAYS[token.weekday]}`;
+    case 'lastOf':
+      return `最終${DAYS[token.weekday]}`;
+    default:
+      return token.type;
+  }
+}
+
+module.exports = {
+  time(clauses, context) {
+    return clauses.map(item => clause(item, context)).join('、');
+  },
+
+  dayOfMonth(dom) {
+    const phrases = [];
+    if (dom.days.length > 0) {
+      phrases.push(list(dom.days.map(d => `${d}日`)));
+    } else if (dom.segments.length > 0 && dom.segments[0].step > 1) {
+      const { start, end, step } = dom.segments[0];
+      phrases.push(`${start !== 1 ? `${start}日から` : ''}${end !== null ? `${end}日まで` : ''}${step}日ごと`);
+    } else if (dom.segments.length > 0) {
+      phrases.push(list(segmentPhrases(dom.segments, d => `${d}日`, (start, end) => `${start}日〜${end}日`)));
+    } else if (dom.hashed) {
+      phrases.push('ジョブごとに決まる日');
+    }
+    phrases.push(...dom.specials.map(special));
+    return list(phrases);
+  },
+
+  month(month) {
+    if (month.hashed) {
+      return 'ジョブごとに決まる月';
+    }
+    if (month.segments.length > 0 && month.segments[0].step > 1) {
+      const { start, end, step } = month.segments[0];
+      return `${start !== 1 ? `${start}月から` : ''}${end !== null ? `${end}月まで` : ''}${step}か月ごと`;
+    }
+    if (month.segments.length > 0) {
+      return list(segmentPhrases(month.segments, m => `${m}月`, (start, end) => `${start}月〜${end}月`));
+    }
+    return list(month.months.map(m => `${m}月`));
+  },
+
+  dayOfWeek(dow, context) {
+    const phrases = [];
+    if (dow.weekdays) {
+      phrases.push(context.short ? '月〜金' : '平日');
+    } else if (dow.weekends) {
+      phrases.push(context.short ? '土日' : '週末');
+    } else if (dow.days.length > 0) {
+      phrases.push(context.short ? `${dow.days.map(d => DAYS_SHORT[d]).join('・')}曜` : list(dow.days.map(d => DAYS[d])));
+    } else if (dow.segments.length > 0) {
+      const name = d => (context.short ? DAYS_SHORT : DAYS)[d];
+      phrases.push(list(segmentPhrases(dow.segments, name, (start, end) => `${name(start)}〜${name(end)}`)));
+    } else if (dow.hashed) {
+      phrases.push('ジョブごとに決まる曜日');
+    }
+    phrases.push(...dow.specials.map(special));
+    return list(phrases);
+  },
+
+  year(year) {
+    if (year.start !== null && year.step === 1) {
+      return year.end !== null ? `${year.start}年から${year.end}年まで` : `${year.start}年以降`;
+    }
+    if (year.start !== null) {
+      return year.end !== null ? `${year.start}年から${year.end}年まで${year.step}年ごと` : `${year.start}年から${year.step}年ごと`;
+    }
+    if (year.segments.length > 0) {
+      return list(segmentPhrases(year.segments, y => `${y}年`, (start, end) => `${start}年〜${end}年`));
+    }
+    return list(year.years.map(y => `${y}年`));
+  },
+
+  sentence({ time, timeType, dayOfMonth, month, dayOfWeek, year, dayMatching, verbose }) {
+    let days = null;
+    if (dayMatching === 'or') {
+      days = `${dayOfMonth}または${dayOfWeek}`;
+    } else if (dayMatching === 'and') {
+      days = `${dayOfMonth}（${dayOfWeek}の場合のみ）`;
+    } else {
+      days = dayOfMonth || dayOfWeek;
+    }
+
+    let date = null;
+    if (month) {
+      // 1月1日 for dates, but 1月の月曜日 and ジョブごとに決まる月の1日
+      date = days ? `${month}${/^\d/.test(dayOfMonth || '') && /\d月$/.test(month) ? '' : 'の'}${days}` : `${month}の毎日`;
+    } else if (dayOfMonth) {
+      date = `毎月${days}`;
+    } else {
+      date = days;
+    }
+
+    // The years come first: 2026年から2030年まで、平日の09:00
+    const inYears = text => (year ? `${year}、${text}` : text);
+    if (timeType === 'times') {
+      return inYears(date ? `${date}の${time}` : `毎日${time}`);
+    }
+    if (!date && verbose) {
+      return inYears(`毎日、${time}`);
+    }
+    return inYears(date ? `${date}、${time}` : time);
+  },
+
+  startup: 'システム起動時'
+};
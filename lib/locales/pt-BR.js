@@ -0,0 +1,240 @@
+/**
+ * Brazilian Portuguese language pack (see en.js for the interface)
+ */
+
+const { formatTime, joinList, segmentPhrases, capitalize } = require('./shared.js');
+
+const MONTHS = ['', 'janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho',
+  'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'];
+const MONTHS_SHORT = ['', 'jan.', 'fev.', 'mar.', 'abr.', 'mai.', 'jun.', 'jul.', 'ago.', 'set.', 'out.', 'nov.', 'dez.'];
+const DAYS = ['domingo', 'segunda-feira', 'terça-feira', 'quarta-feira', 'quinta-feira', 'sexta-feira', 'sábado'];
+const DAYS_SHORT = ['dom.', 'seg.', 'ter.', 'qua.', 'qui.', 'sex.', 'sáb.'];
+const ORDINALS_MASCULINE = ['', 'primeiro', 'segundo', 'terceiro', 'quarto', 'quinto'];
+const ORDINALS_FEMININE = ['', 'primeira', 'segunda', 'terceira', 'quarta', 'quinta'];
+
+const UNITS = { second: ['segundo', 'segundos'], minute: ['minuto', 'minutos'], hour: ['hora', 'horas'] };
+const UNITS_SHORT = { second: 's', minute: 'min', hour: 'h' };
+const PARENT_UNIT = { second: 'minuto', minute: 'hora' };
+const ONCE_PER = { second: 'uma vez por minuto', minute: 'uma vez por hora', hour: 'uma vez por dia', day: 'uma vez por dia' };
+const CHOSEN = {
+  second: 'um segundo escolhido por tarefa',
+  minute: 'um minuto escolhido por tarefa',
+  hour: 'uma hora escolhida por tarefa',
+  day: 'um horário escolhido por tarefa'
+};
+
+const list = items => joinList(items, 'e');
+
+// Sunday and Saturday are masculine, the -feira days feminine
+const isFeminine = d => d >= 1 && d <= 5;
+const onDay = d => `${isFeminine(d) ? 'na' : 'no'} ${DAYS[d]}`;
+
+function unitName(unit, count, context) {
+  if (context.short) return UNITS_SHORT[unit];
+  return UNITS[unit][count === 1 ? 0 : 1];
+}
+
+function clause(item, context) {
+  const time = t => formatTime(t, context);
+  // "à 01:00" but "às 09:00"; "da 01:00" but "das 09:00"
+  const at = t => `${t.hour === 1 ? 'à' : 'às'} ${time(t)}`;
+  const of = t => `${t.hour === 1 ? 'da' : 'das'} ${time(t)}`;
+  const hourStart = hour => ({ hour, minute: 0, second: null });
+  const every = (step, unit) => (step === 1
+    ? `a cada ${unitName(unit, 1, context)}`
+    : `a cada ${step} ${unitName(unit, step, context)}`);
+  const window = (start, end) => (context.short
+    ? `${time(start)}–${time(end)}`
+    : `entre ${time(start)} e ${time(end)}`);
+
+  switch (item.type) {
+    case 'times':
+      return item.times.length === 1
+        ? at(item.times[0])
+        : `às ${list(item.times.map(time))}`;
+    case 'every':
+      return every(1, item.unit);
+    case 'interval': {
+      const text = every(item.step, item.unit);
+      if (item.unit === 'hour') {
+        if (item.end !== null) {
+          return `${text} ${window(hourStart(item.start), { hour: item.end, minute: 59, second: null })}`;
+        }
+        return item.start !== null ? `${text} a partir ${of(hourStart(item.start))}` : text;
+      }
+      if (item.end !== null) {
+        return `${text} do ${UNITS[item.unit][0]} ${item.start} ao ${item.end}`;
+      }
+      return item.start !== null ? `${text} a partir do ${UNITS[item.unit][0]} ${item.start}` : text;
+    }
+    case 'range':
+      return `do ${UNITS[item.unit][0]} ${item.start} ao ${item.end} de cada ${PARENT_UNIT[item.unit]}`;
+    case 'values':
+      if (item.unit === 'hour') {
+        return item.values.length === 1
+          ? `durante a hora ${of(hourStart(item.values[0]))}`
+          : `durante as horas das ${list(item.values.map(hour => time(hourStart(hour))))}`;
+      }
+      if (item.unit === 'minute' && item.values.length === 1 && item.values[0] === 0) {
+        return 'na hora cheia';
+      }
+      return item.values.length === 1
+        ? `no ${UNITS[item.unit][0]} ${item.values[0]} de cada ${PARENT_UNIT[item.unit]}`
+        : `nos ${UNITS[item.unit][1]} ${list(item.values.map(String))} de cada ${PARENT_UNIT[item.unit]}`;
+    case 'segments':
+      if (item.unit === 'hour') {
+        return list(segmentPhrases(item.segments, hour => `durante a hora ${of(hourStart(hour))}`,
+          (start, end) => window(hourStart(start), { hour: end, minute: 59, second: null })));
+      }
+      return `nos ${UNITS[item.unit][1]} ${list(segmentPhrases(item.segments, String, (start, end) => `${start} a ${end}`))} ` +
+        `de cada ${PARENT_UNIT[item.unit]}`;
+    case 'between':
+      return window(item.start, item.end);
+    case 'hourly':
+      return context.short
+        ? `${every(item.step, 'hour')} ${time(item.start)}–${time(item.end)}`
+        : `${every(item.step, 'hour')} ${of(item.start)} ${at(item.end)}`;
+    case 'hashed': {
+      let text;
+      if (item.step !== null) {
+        text = `${every(item.step, item.unit)} a partir de ${CHOSEN[item.unit]}`;
+      } else {
+        const at = `${item.unit === 'hour' ? 'durante' : 'em'} ${CHOSEN[item.unit]}`;
+        text = item.once ? `${ONCE_PER[item.unit]} ${at}` : at;
+      }
+      if (item.start === null) {
+        return text;
+      }
+      if (item.unit === 'hour' || item.unit === 'day') {
+        return `${text} ${window({ hour: item.start, minute: 0, second: null }, { hour: item.end, minute: 59, second: null })}`;
+      }
+      return `${text} (${UNITS[item.unit][1]} ${item.start} a ${item.end})`;
+    }
+    default:
+      return item.type;
+  }
+}
+
+function special(token) {
+  switch (token.type) {
+    case 'last':
+      if (token.daysBefore === 0) {
+        return 'no último dia do mês';
+      }
+      if (token.daysBefore === 1) {
+        return 'no penúltimo dia do mês';
+      }
+      return `${token.daysBefore} dias antes do último dia do mês`;
+    case 'lastWeekday':
+      return 'no último dia útil do mês';
+    case 'weekday':
+      return `no dia útil mais próximo do dia ${token.day}`;
+    case 'nth': {
+      const ordinal = (isFeminine(token.weekday) ? ORDINALS_FEMININE : ORDINALS_MASCULINE)[token.nth];
+      return `${isFeminine(token.weekday) ? 'na' : 'no'} ${ordinal} ${DAYS[token.weekday]} do mês`;
+    }
+    case 'lastOf':
+      return isFeminine(token.weekday)
+        ? `na última ${DAYS[token.weekday]} do mês`
+        : `no último ${DAYS[token.weekday]} do mês`;
+    default:
+      return token.type;
+  }
+}
+
+module.exports = {
+  time(clauses, context) {
+    return clauses.map(item => clause(item, context)).join(', ');
+  },
+
+  dayOfMonth(dom) {
+    const phrases = [];
+    if (dom.days.length === 1) {
+      phrases.push(`no dia ${dom.days[0]}`);
+    } else if (dom.days.length > 1) {
+      phrases.push(`nos dias ${list(dom.days.map(String))}`);
+    } else if (dom.segments.length > 0 && dom.segments[0].step > 1) {
+      const { start, end, step } = dom.segments[0];
+      phrases.push(`a cada ${step} dias do mês${start !== 1 ? ` a partir do dia ${start}` : ''}${end !== null ? ` até o dia ${end}` : ''}`);
+    } else if (dom.segments.length > 0) {
+      phrases.push(list(segmentPhrases(dom.segments, day => `no dia ${day}`, (start, end) => `do dia ${start} ao ${end}`)));
+    } else if (dom.hashed) {
+      phrases.push('em um dia do mês escolhido por tarefa');
+    }
+    phrases.push(...dom.specials.map(special));
+    return list(phrases);
+  },
+
+  month(month, context) {
+    if (month.hashed) {
+      return 'em um mês escolhido por tarefa';
+    }
+    const name = m => (context.short ? MONTHS_SHORT : MONTHS)[m];
+    if (month.segments.length > 0 && month.segments[0].step > 1) {
+      const { start, end, step } = month.segments[0];
+      return `a cada ${step} meses${start !== 1 ? ` a partir de ${name(start)}` : ''}${end !== null ? ` até ${name(end)}` : ''}`;
+    }
+    if (month.segments.length > 0) {
+      return list(segmentPhrases(month.segments, m => `em ${name(m)}`, (start, end) => `de ${name(start)} a ${name(end)}`));
+    }
+    return `em ${list(month.months.map(name))}`;
+  },
+
+  dayOfWeek(dow, context) {
+    const phrases = [];
+    if (dow.weekdays) {
+      phrases.push(context.short ? 'seg.–sex.' : 'de segunda a sexta-feira');
+    } else if (dow.weekends) {
+      phrases.push(context.short ? 'sáb. e dom.' : 'nos fins de semana');
+    } else if (dow.days.length > 0) {
+      phrases.push(context.short ? list(dow.days.map(d => DAYS_SHORT[d])) : list(dow.days.map(onDay)));
+    } else if (dow.segments.length > 0) {
+      const name = d => (context.short ? DAYS_SHORT : DAYS)[d];
+      phrases.push(list(segmentPhrases(dow.segments, d => (context.short ? DAYS_SHORT[d] : onDay(d)),
+        (start, end) => (context.short ? `${name(start)}–${name(end)}` : `de ${name(start)} a ${name(end)}`))));
+    } else if (dow.hashed) {
+      phrases.push('em um dia da semana escolhido por tarefa');
+    }
+    phrases.push(...dow.specials.map(special));
+    return list(phrases);
+  },
+
+  year(year) {
+    if (year.start !== null && year.step === 1) {
+      return year.end !== null ? `somente de ${year.start} a ${year.end}` : `a partir de ${year.start}`;
+    }
+    if (year.start !== null) {
+      return year.end !== null ? `a cada ${year.step} anos de ${year.start} a ${year.end}` : `a cada ${year.step} anos a partir de ${year.start}`;
+    }
+    if (year.segments.length > 0) {
+      return `somente ${list(segmentPhrases(year.segments, y => `em ${y}`, (start, end) => `de ${start} a ${end}`))}`;
+    }
+    return `somente em ${list(year.years.map(String))}`;
+  },
+
+  sentence({ time, dayOfMonth, month, dayOfWeek, year, dayMatching, verbose }) {
+    const parts = [time];
+    if (dayMatching === 'or') {
+      parts.push([`${dayOfMonth} ou ${dayOfWeek}`, month].filter(Boolean).join(' '));
+    } else if (dayMatching === 'and') {
+      parts.push([dayOfMonth, month].filter(Boolean).join(' '), `somente ${dayOfWeek}`);
+    } else {
+      const datePart = [dayOfMonth, month].filter(Boolean).join(' ');
+      if (datePart) {
+        parts.push(datePart);
+      }
+      if (dayOfWeek) {
+        parts.push(dayOfWeek);
+      }
+      if (verbose && parts.length === 1) {
+        parts.push('todos os dias');
+      }
+    }
+    if (year) {
+      parts.push(year);
+    }
+    return capitalize(parts.join(', '));
+  },
+
+  startup: 'Na inicialização do sistema'
+};
@@ -0,0 +1,64 @@
+/**
+ * Helpers shared by the language packs
+ */
+
+/**
+ * Format a time as 09:00 (or 09:00:30 when it has seconds), or as 9:00 AM
+ * when `use24HourTime` is false
+ * @param {object} time - { hour, minute, second }
+ * @param {object} options - { use24HourTime, am, pm, meridiemFirst } where
+ *   am/pm default to 'AM'/'PM' and meridiemFirst gives 午前9:00
+ * @returns {string} Formatted time
+ */
+function formatTime({ hour, minute, second = null }, options = {}) {
+  const pad = n => n.toString().padStart(2, '0');
+  const rest = second !== null ? `${pad(minute)}:${pad(second)}` : pad(minute);
+  if (options.use24HourTime !== false) {
+    return `${pad(hour)}:${rest}`;
+  }
+  const meridiem = hour < 12 ? (options.am || 'AM') : (options.pm || 'PM');
+  const clock = `${hour % 12 || 12}:${rest}`;
+  return options.meridiemFirst ? `${meridiem}${clock}` : `${clock} ${meridiem}`;
+}
+
+/**
+ * Join items as "a, b and c"
+ * @param {string[]} items - Items to join
+ * @param {string} conjunction - Word before the last item, e.g. 'and'
+ * @param {object} options - { serialComma: true for "a, b, and c",
+ *   separator: ', ' by default }
+ * @returns {string} Joined list
+ */
+function joinList(items, conjunction, options = {}) {
+  const separator = options.separator !== undefined ? options.separator : ', ';
+  if (items.length === 0) return '';
+  if (items.length === 1) return items[0];
+  if (items.length === 2) return `${items[0]} ${conjunction} ${items[1]}`;
+  const last = options.serialComma ? `${separator.trim()} ${conjunction} ` : ` ${conjunction} `;
+  return `${items.slice(0, -1).join(separator)}${last}${items[items.length - 1]}`;
+}
+
+/**
+ * Phrase each segment of ranges and single values (see en.js)
+ * @param {object[]} segments - { start, end } items
+ * @param {function} single - Phrases one value
+ * @param {function} range - Phrases a range from its first and last values
+ * @returns {string[]} One phrase per segment
+ */
+function segmentPhrases(segments, single, range) {
+  return segments.map(({ start, end }) => (start === end ? single(start) : range(start, end)));
+}
+
+/**
+ * Upper-case the first letter of a sentence
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+  formatTime,
+  joinList,
+  segmentPhrases,
+  capitalize
+};
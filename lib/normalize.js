@@ -0,0 +1,198 @@
+/**
+ * Canonical forms of parsed cron expressions
+ *
+ * Each field is rewritten from its values as the shortest of `*`, a step
+ * (`5/10`, `9-17/2`, or every n from the start) or a list of ranges and
+ * single values, so that expressions that select the same times are written
+ * the same way. Weekdays are numbered as the dialect numbers them (Sunday is
+ * 0, or 1 for AWS), and Quartz special tokens are kept after the values.
+ *
+ * Day fields need care: standard cron ORs day of month and day of week only
+ * when neither starts with `*` (see usesEitherDay()), so a field never gains
+ * or loses its leading `*` where that would change which days match.
+ */
+
+const { usesEitherDay } = require('./occurrences.js');
+const { getDialect } = require('./dialects.js');
+
+const MONTH_NAMES = ['', 'JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const RANGES = {
+  second: [0, 59],
+  minute: [0, 59],
+  hour: [0, 23],
+  'day of month': [1, 31],
+  month: [1, 12],
+  'day of week': [0, 6],
+  year: [1970, 2099]
+};
+
+/**
+ * Write a Quartz special token back in cron syntax: L, L-3, LW, 15W, 5#3, 5L
+ * @param {object} token - Special token from parse()
+ * @param {number} sunday - Number of Sunday in the weekdays written (default: 0)
+ * @returns {string} Token text
+ */
+function formatSpecial(token, sunday = 0) {
+  switch (token.type) {
+    case 'last':
+      return token.daysBefore === 0 ? 'L' : `L-${token.daysBefore}`;
+    case 'lastWeekday':
+      return 'LW';
+    case 'weekday':
+      return `${token.day}W`;
+    case 'nth':
+      return `${token.weekday + sunday}#${token.nth}`;
+    case 'lastOf':
+      return `${token.weekday + sunday}L`;
+    default:
+      return token.type;
+  }
+}
+
+/**
+ * Step between evenly spaced values, or null. A single value counts as a
+ * step that jumps past the end of the field.
+ */
+function progressionStep(values, min, max) {
+  if (values.length === 1) return max - min + 1;
+  const step = values[1] - values[0];
+  for (let i = 2; i < values.length; i++) {
+    if (values[i] - values[i - 1] !== step) return null;
+  }
+  return step;
+}
+
+/**
+ * Every way of writing a set of values, shortest first
+ * @param {number[]} values - Sorted values
+ * @param {number} min - Lowest value of the field
+ * @param {number} max - Highest value of the field
+ * @param {function} name - Writes one value (a number or a name)
+ * @returns {string[]} Candidate field texts
+ */
+function candidates(values, min, max, name) {
+  const forms = [];
+  const range = (start, end) => `${name(start)}-${name(end)}`;
+
+  const runs = [];
+  for (const value of values) {
+    const run = runs[runs.length - 1];
+    if (run && value === run[1] + 1) {
+      run[1] = value;
+    } else {
+      runs.push([value, value]);
+    }
+  }
+  forms.push(runs.map(([start, end]) => {
+    if (start === end) return name(start);
+    if (end === start + 1) return `${name(start)},${name(end)}`;
+    return range(start, end);
+  }).join(','));
+
+  if (values.length === max - min + 1) {
+    forms.push('*');
+  }
+
+  const step = progressionStep(values, min, max);
+  const first = values[0];
+  const last = values[values.length - 1];
+  if (step && last + step > max) {
+    forms.push(first === min ? `*/${step}` : `${name(first)}/${step}`);
+    if (first === min) forms.push(`${name(min)}/${step}`);
+  }
+  if (step && values.length > 2) {
+    forms.push(`${range(first, last)}/${step}`);
+  }
+
+  // Stable sort: ties go to the plain list
+  return forms.sort((a, b) => a.length - b.length);
+}
+
+/**
+ * Rewrite one field in canonical form
+ * @param {object} field - Parsed field
+ * @param {string} name - Field name
+ * @param {object} options - { names, sunday, star } where sunday is the
+ *   number of Sunday and star is true when the field must start with `*`,
+ *   false when it must not, undefined when free
+ * @returns {string} Field text
+ */
+function normalizeField(field, name, options) {
+  if (field.raw === '?') {
+    return '?';
+  }
+  const weekdays = name === 'day of week';
+  const shift = weekdays ? options.sunday : 0;
+  const [min, max] = RANGES[name].map(bound => bound + shift);
+  const values = weekdays
+    ? [...new Set(field.values.map(v => (v % 7) + shift))].sort((a, b) => a - b)
+    : field.values;
+
+  let names = null;
+  if (options.names && name === 'month') names = MONTH_NAMES;
+  if (options.names && weekdays) names = DAY_NAMES;
+  const label = value => (names ? names[value - shift] : String(value));
+
+  const specials = field.specials.map(token => formatSpecial(token, shift));
+  if (values.length === 0) {
+    return specials.join(',');
+  }
+
+  const forms = candidates(values, min, max, label).filter(form => {
+    if (options.star === undefined) return true;
+    return form.startsWith('*') === options.star;
+  });
+  return [forms[0], ...specials].join(',');
+}
+
+/**
+ * Rewrite a parsed expression in canonical form
+ * @param {object} parsed - Result of parse()
+ * @param {object} options - Options
+ * @param {boolean} options.names - Write months and weekdays as JAN and MON
+ *   instead of numbers (default: false)
+ * @param {string} options.dialect - Dialect whose weekday numbering to use
+ *   (default: the expression's own)
+ * @returns {string} Canonical expression with the same number of fields
+ */
+function normalizeParsed(parsed, options = {}) {
+  if (parsed.reboot) {
+    return '@reboot';
+  }
+  const dom = parsed.fields['day of month'];
+  const dow = parsed.fields['day of week'];
+  const sunday = getDialect(options.dialect || parsed.dialect).weekdays.sunday;
+
+  // Keep a day field's leading `*` (or its absence) whenever the other day
+  // field is restricted, unless the days are ANDed anyway
+  const either = usesEitherDay(parsed);
+  const starts = field => field.raw.startsWith('*') || field.raw === '?';
+  const dayStar = (field, other) => {
+    if (parsed.dayMatching === 'and' || starts(other)) return undefined;
+    return starts(field);
+  };
+
+  // With OR matching, a day field that allows every day makes the other irrelevant
+  const domAll = dom.values.length === 31 && dom.specials.length === 0;
+  const dowAll = new Set(dow.values.map(v => v % 7)).size === 7 && dow.specials.length === 0;
+  if (either && (domAll || dowAll)) {
+    return Object.keys(parsed.fields).map(name => (name === 'day of month' || name === 'day of week'
+      ? '*'
+      : normalizeField(parsed.fields[name], name, { ...options, sunday }))).join(' ');
+  }
+
+  return Object.keys(parsed.fields).map(name => {
+    const field = parsed.fields[name];
+    let star;
+    if (name === 'day of month') star = dayStar(dom, dow);
+    if (name === 'day of week') star = dayStar(dow, dom);
+    return normalizeField(field, name, { ...options, sunday, star });
+  }).join(' ');
+}
+
+module.exports = {
+  normalizeParsed,
+  formatSpecial
+};
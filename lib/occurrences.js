@@ -0,0 +1,307 @@
+/**
+ * Occurrence engine for cron-explain
+ *
+ * Finds the wall-clock times that match a parsed expression by jumping
+ * straight to the next allowed month, day, hour, minute and second, rather
+ * than testing every minute. Wall-clock times are converted to instants
+ * through a zone from timezone.js, which applies the DST rules.
+ */
+
+const { createZone } = require('./timezone.js');
+
+// How many calendar years past the start to search by default
+const DEFAULT_MAX_YEARS = 10;
+
+/**
+ * Resolve a Quartz special token to a day of the month
+ * @param {object} special - Special token from parseField()
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @returns {number|null} Day of the month, or null if it does not occur
+ */
+function resolveSpecialDay(special, year, month) {
+  const lastDay = daysInMonth(year, month);
+  const weekdayOf = day => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+  switch (special.type) {
+    case 'last': {
+      const day = lastDay - special.daysBefore;
+      return day >= 1 ? day : null;
+    }
+    case 'lastWeekday': {
+      const weekday = weekdayOf(lastDay);
+      return lastDay - (weekday === 6 ? 1 : weekday === 0 ? 2 : 0);
+    }
+    case 'weekday': {
+      const day = special.day;
+      if (day > lastDay) {
+        return null;
+      }
+      const weekday = weekdayOf(day);
+      if (weekday === 6) {
+        return day === 1 ? 3 : day - 1;
+      }
+      if (weekday === 0) {
+        return day === lastDay ? day - 2 : day + 1;
+      }
+      return day;
+    }
+    case 'nth': {
+      const day = 1 + (special.weekday - weekdayOf(1) + 7) % 7 + (special.nth - 1) * 7;
+      return day <= lastDay ? day : null;
+    }
+    case 'lastOf':
+      return lastDay - (weekdayOf(lastDay) - special.weekday + 7) % 7;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Number of days in a month
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Whether a date may match on either day field. Standard (Vixie) cron ORs the
+ * two fields when both are restricted. Like Vixie cron, a field that starts
+ * with `*` (including stepped wildcards) or is `?` does not count as restricted.
+ * @param {object} parsed - Result of parse()
+ * @returns {boolean} True for OR semantics
+ */
+function usesEitherDay(parsed) {
+  const isRestricted = field => !field.raw.startsWith('*') && field.raw !== '?';
+  return !parsed.reboot && parsed.dayMatching !== 'and' &&
+    isRestricted(parsed.fields['day of month']) &&
+    isRestricted(parsed.fields['day of week']);
+}
+
+/**
+ * Check whether a calendar date satisfies the day-of-month and day-of-week fields
+ * @param {object} fields - Parsed fields
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @param {number} weekday - Day of the week (0-6, Sunday is 0)
+ * @param {boolean} either - Match when either field matches, see usesEitherDay()
+ * @returns {boolean} True if the date matches
+ */
+function matchesDay(fields, year, month, day, weekday, either = false) {
+  const dom = fields['day of month'];
+  const dow = fields['day of week'];
+
+  const domMatches = dom.values.includes(day) ||
+    dom.specials.some(special => resolveSpecialDay(special, year, month) === day);
+  const dowMatches = dow.values.includes(weekday) ||
+    (weekday === 0 && dow.values.includes(7)) ||
+    dow.specials.some(special => resolveSpecialDay(special, year, month) === day);
+
+  return either ? domMatches || dowMatches : domMatches && dowMatches;
+}
+
+/**
+ * Nearest value in a sorted list at or beyond `from`, in the search direction
+ */
+function pickValue(values, from, direction) {
+  if (direction > 0) {
+    for (const value of values) {
+      if (value >= from) return value;
+    }
+  } else {
+    for (let i = values.length - 1; i >= 0; i--) {
+      if (values[i] <= from) return values[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Nearest day in the month at or beyond `from` that satisfies the day fields
+ */
+function pickDay(fields, year, month, from, direction, either) {
+  const lastDay = daysInMonth(year, month);
+  for (let day = from; day >= 1 && day <= lastDay; day += direction) {
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    if (matchesDay(fields, year, month, day, weekday, either)) return day;
+  }
+  return null;
+}
+
+// Wall-clock units, largest first: year, month, day, hour, minute, second
+const UNIT_MIN = [null, 1, 1, 0, 0, 0];
+const UNIT_MAX = [null, 12, 31, 23, 59, 59];
+
+/**
+ * Reset every unit from `index` down to its first (forward) or last
+ * (backward) value
+ */
+function resetUnits(wall, index, direction) {
+  for (let i = index; i < wall.length; i++) {
+    if (direction > 0) {
+      wall[i] = UNIT_MIN[i];
+    } else {
+      wall[i] = i === 2 ? daysInMonth(wall[0], wall[1]) : UNIT_MAX[i];
+    }
+  }
+}
+
+/**
+ * Find the nearest wall-clock time at or beyond `from` that matches the fields
+ * @param {object} parsed - Result of parse()
+ * @param {object} from - Wall-clock time { year, month, day, hour, minute, second }
+ * @param {number} limitYear - Give up once the search passes this year
+ * @param {number} direction - 1 to search forward, -1 to search backward
+ * @returns {object|null} Matching wall-clock time, or null if none within the limit
+ */
+function findMatch(parsed, from, limitYear, direction) {
+  const { fields, isExtended } = parsed;
+  const either = usesEitherDay(parsed);
+  const years = fields.year ? fields.year.values : null;
+  const values = [
+    null,
+    fields.month.values,
+    null,
+    fields.hour.values,
+    fields.minute.values,
+    isExtended ? fields.second.values : [0]
+  ];
+  const wall = [from.year, from.month, from.day, from.hour, from.minute, from.second];
+
+  search:
+  while (direction > 0 ? wall[0] <= limitYear : wall[0] >= limitYear) {
+    if (years) {
+      const year = pickValue(years, wall[0], direction);
+      if (year === null) return null;
+      if (year !== wall[0]) {
+        wall[0] = year;
+        resetUnits(wall, 1, direction);
+        continue search;
+      }
+    }
+    for (let i = 1; i < wall.length; i++) {
+      const value = i === 2
+        ? pickDay(fields, wall[0], wall[1], wall[2], direction, either)
+        : pickValue(values[i], wall[i], direction);
+
+      if (value === null) {
+        // Nothing left in this unit: move the next larger unit along
+        wall[i - 1] += direction;
+        if (wall[1] > 12) {
+          wall[0]++;
+          wall[1] = 1;
+        } else if (wall[1] < 1) {
+          wall[0]--;
+          wall[1] = 12;
+        }
+        resetUnits(wall, i, direction);
+        continue search;
+      }
+      if (value !== wall[i]) {
+        wall[i] = value;
+        resetUnits(wall, i + 1, direction);
+      }
+    }
+
+    const [year, month, day, hour, minute, second] = wall;
+    return { year, month, day, hour, minute, second };
+  }
+
+  return null;
+}
+
+/**
+ * Add seconds to a wall-clock time, carrying into the larger fields
+ */
+function addSeconds(wall, amount) {
+  const date = new Date(Date.UTC(wall.year, wall.month - 1, wall.day,
+    wall.hour, wall.minute, wall.second + amount));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds()
+  };
+}
+
+/**
+ * Lazily generate the occurrences of a parsed expression
+ * @param {object} parsed - Result of parse()
+ * @param {Date} startFrom - Occurrences are strictly after (or, in reverse, before) this instant
+ * @param {object} options - Options
+ * @param {boolean} options.reverse - Walk backward in time
+ * @param {Date} options.end - Stop at this instant (inclusive)
+ * @param {string} options.timezone - IANA time zone name, unless the expression
+ *   fixes one (default: host local time)
+ * @param {number} options.maxYears - How many years to search when there is no end
+ * @returns {Generator<Date>} Occurrences in time order (descending when reversed)
+ */
+function* iterateOccurrences(parsed, startFrom, options = {}) {
+  // @reboot runs at startup, never at a time of day
+  if (parsed.reboot) return;
+  const zone = createZone(parsed.timezone || options.timezone);
+  const direction = options.reverse ? -1 : 1;
+  const unit = parsed.isExtended ? 1 : 60;
+  const start = new Date(startFrom);
+  const end = options.end ? new Date(options.end) : null;
+
+  let wall = zone.toWall(start);
+  if (!parsed.isExtended) {
+    wall.second = 0;
+  }
+
+  const maxYears = options.maxYears || DEFAULT_MAX_YEARS;
+  let limitYear = end ? zone.toWall(end).year : wall.year + direction * maxYears;
+  // A year field bounds the search itself, however far ahead its years are
+  const year = parsed.fields.year;
+  if (!end && year && year.raw !== '*') {
+    limitYear = direction > 0 ? year.values[year.values.length - 1] : year.values[0];
+  }
+
+  let last = start;
+  for (;;) {
+    const match = findMatch(parsed, wall, limitYear, direction);
+    if (!match) return;
+
+    const instant = zone.fromWall(match);
+    if (end && (direction > 0 ? instant > end : instant < end)) return;
+
+    // Skipped and repeated wall times can land on or beyond an earlier run
+    if (direction > 0 ? instant > last : instant < last) {
+      yield instant;
+      last = instant;
+    }
+    wall = addSeconds(match, direction * unit);
+  }
+}
+
+/**
+ * Collect up to `count` occurrences of a parsed expression
+ * @param {object} parsed - Result of parse()
+ * @param {number} count - Number of occurrences to return
+ * @param {Date} startFrom - Starting instant (exclusive)
+ * @param {object} options - Same as iterateOccurrences()
+ * @returns {Date[]} Occurrences
+ */
+function findOccurrences(parsed, count, startFrom, options = {}) {
+  const results = [];
+  if (count <= 0) return results;
+  for (const date of iterateOccurrences(parsed, startFrom, options)) {
+    results.push(date);
+    if (results.length >= count) break;
+  }
+  return results;
+}
+
+module.exports = {
+  DEFAULT_MAX_YEARS,
+  iterateOccurrences,
+  findOccurrences,
+  matchesDay,
+  usesEitherDay,
+  resolveSpecialDay,
+  daysInMonth
+};
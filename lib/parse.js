@@ -0,0 +1,853 @@
+/**
+ * Parsing and validation for cron-explain
+ *
+ * Turns an expression into the field model shared by explain, the
+ * occurrence engine and the converters: one entry per field with the raw
+ * text, a type, the sorted numeric values and any Quartz special tokens.
+ */
+
+const { usesEitherDay } = require('./occurrences.js');
+const { createZone } = require('./timezone.js');
+const { getDialect } = require('./dialects.js');
+const { createHash } = require('./hash.js');
+
+const MONTHS = ['', 'January', 'February', 'March', 'April', 'May', 'June',
+                'July', 'August', 'September', 'October', 'November', 'December'];
+
+const MONTH_ABBREVS = {
+  'jan': 1, 'feb': 2, 'mar': 3, 'apr': 4, 'may': 5, 'jun': 6,
+  'jul': 7, 'aug': 8, 'sep': 9, 'oct': 10, 'nov': 11, 'dec': 12
+};
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DAY_ABBREVS = {
+  'sun': 0, 'mon': 1, 'tue': 2, 'wed': 3, 'thu': 4, 'fri': 5, 'sat': 6
+};
+
+const FIELD_NAMES = ['minute', 'hour', 'day of month', 'month', 'day of week'];
+const FIELD_NAMES_6 = ['second', 'minute', 'hour', 'day of month', 'month', 'day of week'];
+
+const FIELD_RANGES = {
+  second: { min: 0, max: 59 },
+  minute: { min: 0, max: 59 },
+  hour: { min: 0, max: 23 },
+  'day of month': { min: 1, max: 31 },
+  month: { min: 1, max: 12 },
+  'day of week': { min: 0, max: 7 },
+  year: { min: 1970, max: 2099 }
+};
+
+const UTC_NAMES = ['UTC', 'Etc/UTC'];
+
+const DAYS_IN_MONTH = [0, 31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const ORDINALS = ['', 'first', 'second', 'third', 'fourth', 'fifth'];
+
+/**
+ * Error raised for a malformed cron expression. Carries enough detail to
+ * point at the offending characters in the original expression.
+ */
+class CronError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {object} details - { code, field, offset, length }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CronError';
+    this.code = details.code || 'INVALID_EXPRESSION';
+    this.field = details.field || null;
+    this.offset = details.offset !== undefined ? details.offset : null;
+    this.length = details.length !== undefined ? details.length : null;
+  }
+
+  /**
+   * Convert the error to a diagnostic as returned by validate()
+   * @returns {object} Diagnostic
+   */
+  toDiagnostic() {
+    return {
+      code: this.code,
+      severity: 'error',
+      field: this.field,
+      offset: this.offset,
+      length: this.length,
+      message: this.message
+    };
+  }
+}
+
+/**
+ * Parse a cron expression into its component parts
+ * @param {string} expression - The cron expression
+ * @param {object} options - Options
+ * @param {string} options.dayMatching - How day of month and day of week combine
+ *   when both are restricted: 'or' (standard cron, the default) or 'and'
+ * @param {string} options.dialect - Platform syntax: 'unix' (default), 'aws',
+ *   'kubernetes', 'github' or 'jenkins', see lib/dialects.js
+ * @param {string} options.seed - Job name that H tokens are resolved from, as
+ *   Jenkins does (default: none, which picks the lowest values)
+ * @returns {object} Parsed cron fields, with the dialect's name and the time
+ *   zone the expression runs in when it or its dialect fixes one (else null)
+ */
+function parse(expression, options = {}) {
+  const errors = [];
+  const parsed = parseExpression(expression, errors, options);
+  if (errors.length > 0) {
+    throw errors[0];
+  }
+  return parsed;
+}
+
+/**
+ * Parse an expression, collecting errors instead of throwing so that every
+ * bad field can be reported at once.
+ * @param {string} expression - The cron expression
+ * @param {CronError[]} errors - Receives one error per bad field
+ * @param {object} options - Same as parse()
+ * @returns {object|null} Parsed cron fields, or null if the shape is wrong
+ */
+function parseExpression(expression, errors, options = {}) {
+  const dayMatching = options.dayMatching || 'or';
+  if (dayMatching !== 'or' && dayMatching !== 'and') {
+    throw new Error(`Invalid dayMatching option: ${dayMatching} (expected 'or' or 'and')`);
+  }
+
+  if (!expression || typeof expression !== 'string') {
+    errors.push(new CronError('Invalid cron expression: must be a non-empty string', {
+      code: 'EMPTY_EXPRESSION'
+    }));
+    return null;
+  }
+
+  const dialect = getDialect(options.dialect);
+  let parts = splitFields(expression);
+
+  // Kubernetes (like cronie) takes the time zone as a prefix: CRON_TZ=Europe/Berlin 0 9 * * *
+  let timezone = null;
+  const prefix = dialect.timezonePrefix && parts.length > 0 && /^(?:CRON_)?TZ=(.*)$/.exec(parts[0].text);
+  if (prefix) {
+    timezone = prefix[1];
+    try {
+      createZone(timezone);
+    } catch (error) {
+      errors.push(new CronError(`Invalid time zone: ${timezone}`, {
+        code: 'INVALID_TIMEZONE',
+        offset: parts[0].offset,
+        length: parts[0].text.length
+      }));
+    }
+    parts = parts.slice(1);
+  }
+  if (dialect.fixedTimezone && options.timezone && !UTC_NAMES.includes(options.timezone)) {
+    errors.push(new CronError(`${dialect.label} schedules always run in ${dialect.timezone}`, {
+      code: 'UNSUPPORTED_TIMEZONE'
+    }));
+  }
+
+  if (parts.length > 0 && parts[0].text.startsWith('@')) {
+    let resolved;
+    try {
+      resolved = resolvePreset(parts, dialect);
+    } catch (error) {
+      if (!(error instanceof CronError)) throw error;
+      errors.push(error);
+      return null;
+    }
+    if (resolved.reboot) {
+      return {
+        expression,
+        reboot: true,
+        isExtended: false,
+        dayMatching,
+        fields: {},
+        dialect: dialect.name,
+        timezone: timezone || null
+      };
+    }
+    parts = resolved.parts;
+  }
+
+  // Six fields start with seconds, unless the last one holds a year: 0 0 * * ? 2026-2030
+  const layouts = dialect.layouts.filter(layout => layout.length === parts.length);
+  const endsInYear = parts.length > 0 && /\d{4}/.test(parts[parts.length - 1].text);
+  const fieldNames = layouts.find(layout => layout.includes('year') === endsInYear) || layouts[0];
+  if (!fieldNames) {
+    const lengths = [...new Set(dialect.layouts.map(layout => layout.length))];
+    const counts = lengths.length > 1 ? `${lengths.slice(0, -1).join(', ')} or ${lengths[lengths.length - 1]}` : lengths[0];
+    const label = dialect.name === 'unix' ? 'cron' : dialect.label;
+    errors.push(new CronError(`Invalid ${label} expression: expected ${counts} fields, got ${parts.length}`, {
+      code: 'FIELD_COUNT',
+      offset: 0,
+      length: expression.length
+    }));
+    return null;
+  }
+
+  const isExtended = fieldNames.includes('second');
+  const hash = createHash(options.seed);
+
+  const fields = {};
+  parts.forEach((part, index) => {
+    const fieldName = fieldNames[index];
+    try {
+      fields[fieldName] = parseField(part.text, fieldName, part.offset, dialect, hash);
+    } catch (error) {
+      if (!(error instanceof CronError)) throw error;
+      errors.push(error);
+    }
+  });
+
+  const dom = fields['day of month'];
+  const dow = fields['day of week'];
+  if (dialect.question === 'required' && dom && dow && (dom.raw === '?') === (dow.raw === '?')) {
+    errors.push(new CronError(`${dialect.label} needs ? in exactly one of day of month and day of week`, {
+      code: 'DAY_FIELDS',
+      field: 'day of week',
+      offset: dow.offset,
+      length: dow.raw.length
+    }));
+  }
+
+  return {
+    expression,
+    isExtended,
+    dayMatching,
+    fields,
+    dialect: dialect.name,
+    timezone: timezone || (dialect.fixedTimezone || !options.timezone ? dialect.timezone || null : null)
+  };
+}
+
+/**
+ * Replace a preset (@daily, @every 15m or one added with registerPreset())
+ * with the fields it stands for; errors in them point at the preset
+ * @param {object[]} parts - Fields from splitFields(), the first starting with @
+ * @param {object} dialect - Dialect from lib/dialects.js
+ * @param {boolean} custom - Whether registered presets apply; a registered
+ *   preset may stand for a built-in one, but not for another registered one
+ * @returns {object} { parts, reboot } where reboot is true for @reboot
+ * @throws {CronError} For unknown presets, presets the dialect does not
+ *   accept and bad @every durations
+ */
+function resolvePreset(parts, dialect, custom = true) {
+  const preset = parts[0];
+  const name = preset.text.toLowerCase();
+  const last = parts[parts.length - 1];
+  const location = { offset: preset.offset, length: last.offset + last.text.length - preset.offset };
+  const at = text => splitFields(text).map(part => ({ text: part.text, offset: preset.offset }));
+
+  if (custom && parts.length === 1 && customPresets[name] !== undefined) {
+    const expanded = at(customPresets[name]);
+    return expanded[0].text.startsWith('@') ? resolvePreset(expanded, dialect, false) : { parts: expanded, reboot: false };
+  }
+
+  const macros = dialect.macros === true ? presets : dialect.macros;
+  const supported = name === '@every' ? dialect.every : name === '@reboot' ? dialect.reboot : macros && macros[name];
+  if (!supported) {
+    const known = name === '@every' || name === '@reboot' || presets[name];
+    throw new CronError(known ? `${dialect.label} does not support ${preset.text}` : `Unknown preset: ${preset.text}`, {
+      code: known ? 'UNSUPPORTED_TOKEN' : 'UNKNOWN_PRESET',
+      ...location
+    });
+  }
+  if (name === '@every') {
+    if (parts.length !== 2) {
+      throw new CronError('@every needs one duration, such as @every 15m', { code: 'INVALID_DURATION', ...location });
+    }
+    return { parts: at(everyExpression(parts[1].text, parts[1].offset)), reboot: false };
+  }
+  if (parts.length !== 1) {
+    throw new CronError(`${preset.text} takes no fields after it`, { code: 'FIELD_COUNT', ...location });
+  }
+  if (name === '@reboot') {
+    return { parts: [], reboot: true };
+  }
+  return { parts: at(macros[name]), reboot: false };
+}
+
+const DURATION_UNITS = { d: 86400, h: 3600, m: 60, s: 1 };
+const DAY_SECONDS = 86400;
+
+/**
+ * The cron expression for `@every <duration>`. Cron runs line up with the
+ * clock, so the interval must divide a minute, an hour or a day: @every 15m
+ * runs at :00, :15, :30 and :45, and @every 90m has no equivalent.
+ * @param {string} duration - e.g. 30s, 15m, 2h, 1d or 1h30m
+ * @param {number} offset - Position of the duration in the expression
+ * @returns {string} Cron expression
+ * @throws {CronError} INVALID_DURATION
+ */
+function everyExpression(duration, offset = 0) {
+  const location = { code: 'INVALID_DURATION', offset, length: duration.length };
+  const match = /^(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/i.exec(duration);
+  if (!match || duration === '') {
+    throw new CronError(`Invalid duration: ${duration} (use e.g. 30s, 15m, 2h, 1d or 1h30m)`, location);
+  }
+  const seconds = ['d', 'h', 'm', 's'].reduce((sum, unit, i) => sum + Number(match[i + 1] || 0) * DURATION_UNITS[unit], 0);
+  const every = n => (n === 1 ? '*' : `*/${n}`);
+
+  if (seconds > 0 && seconds < 60 && 60 % seconds === 0) {
+    return `${every(seconds)} * * * * *`;
+  }
+  if (seconds % 60 === 0 && seconds < 3600 && 3600 % seconds === 0) {
+    return `${every(seconds / 60)} * * * *`;
+  }
+  if (seconds % 3600 === 0 && seconds < DAY_SECONDS && DAY_SECONDS % seconds === 0) {
+    return `0 ${every(seconds / 3600)} * * *`;
+  }
+  if (seconds === DAY_SECONDS) {
+    return '0 0 * * *';
+  }
+  throw new CronError(seconds === 0
+    ? `Invalid duration: ${duration} is zero`
+    : `@every ${duration} has no cron equivalent: the interval must divide a minute, an hour or a day`, location);
+}
+
+/**
+ * Split an expression on whitespace, remembering where each field starts
+ * @param {string} expression - The cron expression
+ * @returns {object[]} Fields as { text, offset }
+ */
+function splitFields(expression) {
+  const parts = [];
+  const pattern = /\S+/g;
+  let match;
+  while ((match = pattern.exec(expression)) !== null) {
+    parts.push({ text: match[0], offset: match.index });
+  }
+  return parts;
+}
+
+/**
+ * Parse a single cron field
+ * @param {string} field - Field value
+ * @param {string} fieldName - Name of the field
+ * @param {number} offset - Position of the field in the expression
+ * @param {object} dialect - Dialect from lib/dialects.js (default: unix)
+ * @param {object} hash - Resolves H tokens, from createHash() in lib/hash.js
+ * @returns {object} Parsed field info; a field that is a single H token has
+ *   type 'hash' and a `hash` of { start, end, step } giving its bounds (null
+ *   when not written) and step (null without one)
+ */
+function parseField(field, fieldName, offset = 0, dialect = getDialect(), hash = createHash()) {
+  const result = {
+    raw: field,
+    type: 'unknown',
+    values: [],
+    offset
+  };
+
+  const items = [];
+  let position = 0;
+  for (const item of field.split(',')) {
+    const itemOffset = offset + position;
+    position += item.length + 1;
+
+    if (item === '') {
+      throw new CronError(`Empty list item in field '${fieldName}': ${field}`, {
+        code: 'EMPTY_ITEM',
+        field: fieldName,
+        offset: itemOffset,
+        length: 0
+      });
+    }
+    items.push(parseItem(item, fieldName, itemOffset, dialect, hash));
+  }
+
+  result.type = items.length > 1 ? 'list' : items[0].type;
+  if (result.type === 'hash') {
+    result.hash = items[0].hash;
+  }
+
+  const values = [];
+  const specials = [];
+  for (const item of items) {
+    if (item.special) {
+      specials.push(item.special);
+      continue;
+    }
+    for (let i = item.start; i <= item.end; i += item.step) {
+      values.push(i);
+    }
+  }
+  result.values = [...new Set(values)].sort((a, b) => a - b);
+  result.specials = specials;
+  return result;
+}
+
+/**
+ * Parse a Quartz special token (`L`, `L-3`, `15W`, `LW`, `5#3`, `6L`, `?`)
+ * @param {string} item - List item
+ * @param {string} fieldName - Name of the field
+ * @param {number} offset - Position of the item in the expression
+ * @param {object} dialect - Dialect from lib/dialects.js
+ * @returns {object|null} Parsed item, or null if the item is not special
+ */
+function parseSpecial(item, fieldName, offset, dialect) {
+  const fail = message => {
+    throw new CronError(`${message} in field '${fieldName}': ${item}`, {
+      code: 'OUT_OF_RANGE',
+      field: fieldName,
+      offset,
+      length: item.length
+    });
+  };
+
+  if (item === '?') {
+    const range = FIELD_RANGES[fieldName];
+    return { type: 'wildcard', start: range.min, end: range.max, step: 1 };
+  }
+
+  let match;
+  if (fieldName === 'day of month') {
+    if (/^l$/i.test(item)) {
+      return { type: 'special', special: { type: 'last', daysBefore: 0 } };
+    }
+    if ((match = /^l-(\d+)$/i.exec(item))) {
+      const daysBefore = parseInt(match[1], 10);
+      if (daysBefore > 30) fail('Offset from the last day must be 0-30');
+      return { type: 'special', special: { type: 'last', daysBefore } };
+    }
+    if (/^lw$/i.test(item)) {
+      return { type: 'special', special: { type: 'lastWeekday' } };
+    }
+    if ((match = /^(\d+)w$/i.exec(item))) {
+      const day = parseValue(match[1], fieldName, offset, dialect);
+      return { type: 'special', special: { type: 'weekday', day } };
+    }
+    return null;
+  }
+
+  if (/^l$/i.test(item)) {
+    // Quartz: `L` on its own in day-of-week is the last day of the week
+    return { type: 'single', start: 6, end: 6, step: 1 };
+  }
+  if ((match = /^(\w+?)l$/i.exec(item))) {
+    const weekday = parseValue(match[1], fieldName, offset, dialect) % 7;
+    return { type: 'special', special: { type: 'lastOf', weekday } };
+  }
+  if ((match = /^(\w+)#(\d+)$/.exec(item))) {
+    const weekday = parseValue(match[1], fieldName, offset, dialect) % 7;
+    const nth = parseInt(match[2], 10);
+    if (nth < 1 || nth > 5) {
+      throw new CronError(`Occurrence after '#' must be 1-5 in field '${fieldName}': ${item}`, {
+        code: 'OUT_OF_RANGE',
+        field: fieldName,
+        offset: offset + match[1].length + 1,
+        length: match[2].length
+      });
+    }
+    return { type: 'special', special: { type: 'nth', weekday, nth } };
+  }
+  return null;
+}
+
+/**
+ * Parse one item of a list: `*`, `n`, `a-b`, optionally followed by `/step`,
+ * or one of the Quartz special tokens in the day fields
+ * @param {string} item - List item
+ * @param {string} fieldName - Name of the field
+ * @param {number} offset - Position of the item in the expression
+ * @param {object} dialect - Dialect from lib/dialects.js
+ * @param {object} hash - Resolves H tokens
+ * @returns {object} { type, start, end, step } or { type: 'special', special }
+ */
+function parseItem(item, fieldName, offset, dialect, hash) {
+  const range = FIELD_RANGES[fieldName];
+  // Weekdays run to 7 (Sunday again) only where the dialect numbers them that far
+  const max = fieldName === 'day of week' ? dialect.weekdays.max - dialect.weekdays.sunday : range.max;
+
+  if (fieldName === 'day of month' || fieldName === 'day of week') {
+    const special = parseSpecial(item, fieldName, offset, dialect);
+    if (special) {
+      if (!(item === '?' ? dialect.question : dialect.quartz)) {
+        throw new CronError(`'${item}' is not supported by ${dialect.label} in field '${fieldName}'`, {
+          code: 'UNSUPPORTED_TOKEN',
+          field: fieldName,
+          offset,
+          length: item.length
+        });
+      }
+      return special;
+    }
+  }
+
+  if (/^H(?![a-z])/.test(item)) {
+    return parseHash(item, fieldName, offset, dialect, hash);
+  }
+
+  const slash = item.indexOf('/');
+  const base = slash === -1 ? item : item.slice(0, slash);
+
+  let type, start, end;
+  if (base === '*') {
+    type = 'wildcard';
+    start = range.min;
+    end = max;
+  } else if (base.includes('-')) {
+    const dash = base.indexOf('-');
+    type = 'range';
+    start = parseValue(base.slice(0, dash), fieldName, offset, dialect);
+    end = parseValue(base.slice(dash + 1), fieldName, offset + dash + 1, dialect);
+    if (start > end) {
+      throw new CronError(`Invalid range in field '${fieldName}': ${base} (start is greater than end)`, {
+        code: 'REVERSED_RANGE',
+        field: fieldName,
+        offset,
+        length: base.length
+      });
+    }
+  } else {
+    type = 'single';
+    start = end = parseValue(base, fieldName, offset, dialect);
+  }
+
+  let step = 1;
+  if (slash !== -1) {
+    const stepStr = item.slice(slash + 1);
+    step = /^\d+$/.test(stepStr) ? parseInt(stepStr, 10) : NaN;
+    if (isNaN(step) || step < 1) {
+      throw new CronError(`Invalid step value in field '${fieldName}': ${item}`, {
+        code: 'INVALID_STEP',
+        field: fieldName,
+        offset: offset + slash + 1,
+        length: stepStr.length
+      });
+    }
+    // `5/15` means "from 5 through the end of the range, every 15"
+    if (type === 'single') {
+      end = max;
+    }
+    type = 'step';
+  }
+
+  return { type, start, end, step };
+}
+
+/**
+ * Parse and resolve a Jenkins-style hash token: `H`, `H(0-29)`, `H/15` or
+ * `H(0-29)/10`. `H` picks one value per seed; with a step it picks where the
+ * steps start. A bare H in day of month stays within 1-28, which every month has.
+ * @param {string} item - List item
+ * @param {string} fieldName - Name of the field
+ * @param {number} offset - Position of the item in the expression
+ * @param {object} dialect - Dialect from lib/dialects.js
+ * @param {object} hash - Resolves H tokens
+ * @returns {object} { type: 'hash', start, end, step, hash }
+ */
+function parseHash(item, fieldName, offset, dialect, hash) {
+  const fail = (message, code = 'INVALID_VALUE') => {
+    throw new CronError(`${message} in field '${fieldName}': ${item}`, {
+      code,
+      field: fieldName,
+      offset,
+      length: item.length
+    });
+  };
+  if (!dialect.hash) {
+    fail(`'H' is not supported by ${dialect.label}`, 'UNSUPPORTED_TOKEN');
+  }
+  const match = /^H(?:\((\d+)-(\d+)\))?(?:\/(\d+))?$/.exec(item);
+  if (!match) {
+    fail('Invalid H token, expected H, H(a-b), H/n or H(a-b)/n');
+  }
+
+  const range = FIELD_RANGES[fieldName];
+  const bounded = match[1] !== undefined;
+  let start = range.min;
+  let end = range.max;
+  if (fieldName === 'day of month') end = 28;
+  if (fieldName === 'day of week') end = 6;
+  if (bounded) {
+    start = parseValue(match[1], fieldName, offset + 2, dialect);
+    end = parseValue(match[2], fieldName, offset + 3 + match[1].length, dialect);
+    if (start > end) {
+      fail('Invalid H range (start is greater than end)', 'REVERSED_RANGE');
+    }
+  }
+
+  const step = match[3] !== undefined ? parseInt(match[3], 10) : null;
+  if (step !== null && (step < 1 || step > end - start + 1)) {
+    fail(`Step must be 1-${end - start + 1}`, 'INVALID_STEP');
+  }
+
+  const info = { start: bounded ? start : null, end: bounded ? end : null, step };
+  if (step === null) {
+    const value = start + hash.next(end - start + 1);
+    return { type: 'hash', start: value, end: value, step: 1, hash: info };
+  }
+  return { type: 'hash', start: start + hash.next(step), end, step, hash: info };
+}
+
+/**
+ * Parse a single number or month/day name and check it against the field
+ * range. Weekday numbers are read in the dialect's numbering and returned
+ * with Sunday as 0.
+ * @param {string} text - Value text
+ * @param {string} fieldName - Name of the field
+ * @param {number} offset - Position of the value in the expression
+ * @param {object} dialect - Dialect from lib/dialects.js
+ * @returns {number} Numeric value
+ */
+function parseValue(text, fieldName, offset, dialect) {
+  const range = fieldName === 'day of week' ? dialect.weekdays : FIELD_RANGES[fieldName];
+  const lower = text.toLowerCase();
+
+  let value;
+  if (/^\d+$/.test(text)) {
+    value = parseInt(text, 10);
+    if (value < range.min || value > range.max) {
+      throw new CronError(`Value ${value} out of range for field '${fieldName}' (${range.min}-${range.max})`, {
+        code: 'OUT_OF_RANGE',
+        field: fieldName,
+        offset,
+        length: text.length
+      });
+    }
+    if (fieldName === 'day of week') {
+      value -= dialect.weekdays.sunday;
+    }
+  } else if (fieldName === 'month' && MONTH_ABBREVS[lower] !== undefined) {
+    value = MONTH_ABBREVS[lower];
+  } else if (fieldName === 'day of week' && DAY_ABBREVS[lower] !== undefined) {
+    value = DAY_ABBREVS[lower];
+  } else {
+    throw new CronError(`Invalid value in field '${fieldName}': ${text === '' ? '(empty)' : text}`, {
+      code: 'INVALID_VALUE',
+      field: fieldName,
+      offset,
+      length: text.length
+    });
+  }
+  return value;
+}
+
+/**
+ * Validate a cron expression
+ * @param {string} expression - The cron expression
+ * @param {object} options - Same as parse(), and `now` (a Date) to judge
+ *   which years in a year field are past (default: the current date)
+ * @returns {object} Validation result with a list of diagnostics; for
+ *   @reboot, which has no fields, `reboot` is true and `fields` is 0
+ */
+function validate(expression, options = {}) {
+  const errors = [];
+  const parsed = parseExpression(expression, errors, options);
+
+  if (errors.length > 0) {
+    return {
+      valid: false,
+      expression,
+      error: errors[0].message,
+      diagnostics: errors.map(error => error.toDiagnostic())
+    };
+  }
+  if (parsed.reboot) {
+    return { valid: true, expression, reboot: true, fields: 0, isExtended: false, diagnostics: [] };
+  }
+
+  return {
+    valid: true,
+    expression,
+    fields: Object.keys(parsed.fields).length,
+    isExtended: parsed.isExtended,
+    diagnostics: findScheduleWarnings(parsed, options)
+  };
+}
+
+/**
+ * Look for schedules that parse but can never fire, such as the 30th of February
+ * or that are limited to years already past
+ * @param {object} parsed - Result of parse()
+ * @param {object} options - { now } to judge which years are past (default: the current date)
+ * @returns {object[]} Warning diagnostics
+ */
+function findScheduleWarnings(parsed, options = {}) {
+  const warnings = [];
+  if (parsed.reboot) {
+    return warnings;
+  }
+  const dom = parsed.fields['day of month'];
+  const month = parsed.fields.month;
+
+  // Quartz specials (L, W, #) always resolve to a day that exists, and with
+  // standard cron semantics a restricted day of week fires on its own
+  const firstDay = dom.values[0];
+  const reachable = dom.specials.length > 0 || usesEitherDay(parsed) ||
+    month.values.some(m => DAYS_IN_MONTH[m] >= firstDay);
+  if (!reachable) {
+    const days = formatList(dom.values.map(d => d.toString()));
+    const months = formatList(month.values.map(m => MONTHS[m]));
+    warnings.push({
+      code: 'NEVER_FIRES',
+      severity: 'warning',
+      field: 'day of month',
+      offset: dom.offset,
+      length: dom.raw.length,
+      message: `Schedule never fires: ${months} never ${month.values.length === 1 ? 'has' : 'have'} day ${days}`
+    });
+  }
+
+  const year = parsed.fields.year;
+  const thisYear = (options.now || new Date()).getFullYear();
+  // Every year, as `*` and AWS' required year field allow, is not a restriction
+  const restricted = year && year.values.length < FIELD_RANGES.year.max - FIELD_RANGES.year.min + 1;
+  const past = restricted ? year.values.filter(y => y < thisYear) : [];
+  if (past.length > 0) {
+    const allPast = past.length === year.values.length;
+    warnings.push({
+      // With no years left the schedule never fires, like Feb 30
+      code: allPast ? 'NEVER_FIRES' : 'PAST_YEAR',
+      severity: 'warning',
+      field: 'year',
+      offset: year.offset,
+      length: year.raw.length,
+      message: allPast
+        ? `Schedule never fires again: ${year.values.length === 1 ? year.values[0] : `every year in ${year.raw}`} is in the past`
+        : `${past.length === 1 ? `Year ${past[0]} is` : `${past.length} of the years in ${year.raw} are`} already in the past`
+    });
+  }
+
+  const { minInterval, label } = getDialect(parsed.dialect);
+  const gap = minInterval && shortestGap(parsed);
+  if (minInterval && gap < minInterval) {
+    const minute = parsed.fields.minute;
+    warnings.push({
+      code: 'TOO_FREQUENT',
+      severity: 'warning',
+      field: 'minute',
+      offset: minute.offset,
+      length: minute.raw.length,
+      message: `${label} runs schedules at most once every ${minInterval} minutes; ` +
+        `this one asks for ${gap < 1 ? 'several runs a minute' : `a run every ${gap === 1 ? 'minute' : `${gap} minutes`}`}`
+    });
+  }
+
+  return warnings;
+}
+
+/**
+ * Shortest gap between two runs in minutes, from the second, minute and hour
+ * fields (0 when a minute has several runs)
+ */
+function shortestGap(parsed) {
+  const { second, minute, hour } = parsed.fields;
+  if (second && second.values.length > 1) return 0;
+
+  const minutes = minute.values;
+  let gap = Infinity;
+  for (let i = 1; i < minutes.length; i++) {
+    gap = Math.min(gap, minutes[i] - minutes[i - 1]);
+  }
+  // From the last minute of one hour to the first of the next
+  const hours = hour.values;
+  if (hours.some(h => hours.includes((h + 1) % 24))) {
+    gap = Math.min(gap, 60 - minutes[minutes.length - 1] + minutes[0]);
+  }
+  return gap;
+}
+
+/**
+ * Common cron presets
+ */
+const presets = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Presets added with registerPreset(), by lowercase name
+const customPresets = {};
+
+/**
+ * Add a named schedule that parse(), and so every function taking an
+ * expression, accepts in any dialect; it replaces a built-in of the same name
+ * @param {string} name - '@' and a name, e.g. '@business-hours'
+ * @param {string} expression - Cron expression, or a built-in preset such
+ *   as '@daily' or '@every 10m'
+ * @throws {Error} For a malformed name, @reboot or @every, or no expression
+ */
+function registerPreset(name, expression) {
+  if (typeof name !== 'string' || !/^@[a-z0-9][\w-]*$/i.test(name)) {
+    throw new Error(`Invalid preset name: ${name} (use @ followed by letters, digits, - or _)`);
+  }
+  const lower = name.toLowerCase();
+  if (lower === '@reboot' || lower === '@every') {
+    throw new Error(`${name} cannot be redefined`);
+  }
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new Error(`Preset ${name} needs an expression`);
+  }
+  customPresets[lower] = expression.trim();
+}
+
+/**
+ * Every preset: the built-in ones, then those added with registerPreset()
+ * @returns {object[]} { name, expression, custom } for each; a built-in
+ *   replaced by a registered preset is listed once, as custom
+ */
+function listPresets() {
+  return [
+    ...Object.entries(presets)
+      .filter(([name]) => customPresets[name] === undefined)
+      .map(([name, expression]) => ({ name, expression, custom: false })),
+    ...Object.entries(customPresets).map(([name, expression]) => ({ name, expression, custom: true }))
+  ];
+}
+
+/**
+ * Expand a preset to its cron expression
+ * @param {string} preset - Preset name (e.g., '@daily', '@every 15m' or a
+ *   registered one)
+ * @returns {string} Cron expression; anything else, including @reboot and
+ *   presets that cannot be expanded, is returned unchanged for parse() to
+ *   accept or report
+ */
+function expandPreset(preset) {
+  const lower = preset.toLowerCase();
+  const text = customPresets[lower] !== undefined ? customPresets[lower] : preset;
+  const every = /^@every\s+(\S+)$/i.exec(text.trim());
+  if (every) {
+    try {
+      return everyExpression(every[1]);
+    } catch (error) {
+      return text;
+    }
+  }
+  return presets[text.toLowerCase()] || text;
+}
+
+/**
+ * Format a list with proper grammar
+ */
+function formatList(items) {
+  if (items.length === 0) return '';
+  if (items.length === 1) return items[0];
+  if (items.length === 2) return `${items[0]} and ${items[1]}`;
+  return `${items.slice(0, -1).join(', ')}, and ${items[items.length - 1]}`;
+}
+
+module.exports = {
+  MONTHS,
+  DAYS,
+  ORDINALS,
+  FIELD_RANGES,
+  CronError,
+  parse,
+  parseField,
+  validate,
+  findScheduleWarnings,
+  presets,
+  resolvePreset,
+  splitFields,
+  registerPreset,
+  listPresets,
+  expandPreset,
+  formatList
+};
@@ -0,0 +1,214 @@
+/**
+ * In-process scheduler for parsed cron expressions
+ *
+ * Each timer is set for the absolute time of the next occurrence, as found by
+ * the occurrence engine, rather than for a fixed interval, so runs do not
+ * drift and DST changes are handled the way nextOccurrences() handles them.
+ * Delays longer than setTimeout allows (about 24.8 days) are covered by
+ * waking up early and setting the timer again.
+ */
+
+const { EventEmitter } = require('events');
+const { iterateOccurrences } = require('./occurrences.js');
+
+// Longest delay setTimeout accepts: 2^31 - 1 ms
+const MAX_DELAY = 2147483647;
+// Missed runs reported one by one after a late wake-up; any beyond are skipped silently
+const MISSED_LIMIT = 1000;
+const OVERLAP_POLICIES = ['allow', 'skip', 'queue'];
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: handle => clearTimeout(handle)
+};
+
+/**
+ * Run a handler at every occurrence of a parsed expression
+ * @param {object} parsed - Result of parse()
+ * @param {function} handler - Called with { scheduled, job } at each run; may
+ *   return a promise, and the run lasts until it settles
+ * @param {object} options - Options
+ * @param {string} options.timezone - IANA time zone name, unless the expression
+ *   fixes one (default: host local time)
+ * @param {string} options.overlap - When a run is due while an earlier one is
+ *   still going: 'allow' runs both (as cron does, the default), 'skip' drops
+ *   the new run and 'queue' starts it once the earlier runs have finished
+ * @param {object} options.clock - { now, setTimeout, clearTimeout } to use
+ *   instead of the system clock, e.g. a fake clock in tests
+ * @returns {EventEmitter} The job, with pause(), resume(), stop(), nextRun()
+ *   and the `state` ('scheduled', 'paused' or 'stopped') and `running`
+ *   (runs in progress) properties. It emits:
+ *     'run'    ({ scheduled, started }) when a run starts
+ *     'done'   ({ scheduled, started, finished }) when it finishes
+ *     'error'  (error, { scheduled, started }) when the handler throws or rejects
+ *     'missed' ({ scheduled, reason }) for a run that did not happen: 'late'
+ *              when the process woke up after it (only the latest of the runs
+ *              due at a wake-up is made), 'overlap' when skipped by the
+ *              overlap policy
+ *   An 'error' without a listener is passed to process.emitWarning() instead
+ *   of being thrown, so a failing handler cannot stop the job.
+ */
+function scheduleParsed(parsed, handler, options = {}) {
+  if (typeof handler !== 'function') {
+    throw new TypeError('Handler must be a function');
+  }
+  const overlap = options.overlap || 'allow';
+  if (!OVERLAP_POLICIES.includes(overlap)) {
+    throw new Error(`Invalid overlap option: ${overlap} (expected 'allow', 'skip' or 'queue')`);
+  }
+  const clock = options.clock || systemClock;
+  const now = () => new Date(Number(clock.now()));
+
+  const job = new EventEmitter();
+  let state = 'scheduled';
+  let running = 0;
+  let timer = null;
+  let next = null;
+  const queue = [];
+
+  // First occurrence strictly after `date`, or strictly before it in reverse
+  const occurrenceAfter = (date, reverse = false) => {
+    const result = iterateOccurrences(parsed, date, { ...options, reverse }).next();
+    return result.done ? null : result.value;
+  };
+
+  const arm = () => {
+    if (next === null) {
+      state = 'stopped';
+      return;
+    }
+    const delay = next.getTime() - clock.now();
+    timer = clock.setTimeout(wake, Math.max(0, Math.min(delay, MAX_DELAY)));
+  };
+
+  const wake = () => {
+    timer = null;
+    if (state !== 'scheduled') return;
+    const time = now();
+    // Woken early: a long delay in steps, or the clock was set back
+    if (time < next) {
+      arm();
+      return;
+    }
+
+    // Every run from `next` up to now is due; only the latest is made
+    const due = next.getTime() === time.getTime() ? next : occurrenceAfter(new Date(time.getTime() + 1), true);
+    let reported = 0;
+    for (let missed = next; missed && missed < due && reported < MISSED_LIMIT; missed = occurrenceAfter(missed)) {
+      job.emit('missed', { scheduled: missed, reason: 'late' });
+      reported++;
+    }
+
+    next = occurrenceAfter(due);
+    start(due);
+    if (state === 'scheduled') {
+      arm();
+    }
+  };
+
+  const start = scheduled => {
+    if (running > 0 && overlap === 'skip') {
+      job.emit('missed', { scheduled, reason: 'overlap' });
+      return;
+    }
+    if (running > 0 && overlap === 'queue') {
+      queue.push(scheduled);
+      return;
+    }
+    run(scheduled);
+  };
+
+  const run = scheduled => {
+    const info = { scheduled, started: now() };
+    running++;
+    let settled = false;
+    const finish = error => {
+      if (settled) return;
+      settled = true;
+      running--;
+      if (error !== undefined) {
+        if (job.listenerCount('error') > 0) {
+          job.emit('error', error, info);
+        } else {
+          process.emitWarning(error instanceof Error ? error : String(error));
+        }
+      }
+      job.emit('done', { ...info, finished: now() });
+      if (running === 0 && queue.length > 0 && state !== 'stopped') {
+        run(queue.shift());
+      }
+    };
+
+    job.emit('run', info);
+    let result;
+    try {
+      result = handler({ scheduled, job });
+    } catch (error) {
+      finish(error);
+      return;
+    }
+    if (result && typeof result.then === 'function') {
+      result.then(() => finish(), error => finish(error === undefined ? new Error('Handler rejected') : error));
+    } else {
+      finish();
+    }
+  };
+
+  const cancel = () => {
+    if (timer !== null) {
+      clock.clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  /**
+   * Stop firing until resume(); runs in progress carry on
+   */
+  job.pause = () => {
+    if (state !== 'scheduled') return job;
+    cancel();
+    state = 'paused';
+    return job;
+  };
+
+  /**
+   * Fire again from the next occurrence after now; runs that fell due while
+   * paused are not made or reported
+   */
+  job.resume = () => {
+    if (state !== 'paused') return job;
+    state = 'scheduled';
+    next = occurrenceAfter(now());
+    arm();
+    return job;
+  };
+
+  /**
+   * Stop for good and drop queued runs; runs in progress carry on
+   */
+  job.stop = () => {
+    cancel();
+    queue.length = 0;
+    state = 'stopped';
+    next = null;
+    return job;
+  };
+
+  /**
+   * Time of the next run, or null when paused, stopped or out of occurrences
+   * @returns {Date|null}
+   */
+  job.nextRun = () => (state === 'scheduled' ? next : null);
+
+  Object.defineProperty(job, 'state', { get: () => state, enumerable: true });
+  Object.defineProperty(job, 'running', { get: () => running, enumerable: true });
+
+  next = occurrenceAfter(now());
+  arm();
+  return job;
+}
+
+module.exports = {
+  scheduleParsed
+};
@@ -0,0 +1,390 @@
+/**
+ * Conversion between cron and systemd OnCalendar= expressions
+ *
+ * OnCalendar syntax: [weekdays] [[year-]month-day] [hour:minute[:second]] [time zone]
+ * e.g. `Mon..Fri *-*-* 09:00:00`. Components accept `*`, lists (`1,15`), ranges
+ * (`1..5`) and repetitions (`00/15`); `~` counts days from the end of the month.
+ *
+ * systemd only fires when the weekday AND the date match, while standard cron
+ * fires when either day field matches, so some schedules have no exact
+ * counterpart. Those are reported with a CronError whose code is NO_EQUIVALENT.
+ */
+
+const { CronError, FIELD_RANGES } = require('./parse.js');
+const { usesEitherDay } = require('./occurrences.js');
+const { createZone } = require('./timezone.js');
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAY_FULL_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const SHORTHANDS = {
+  minutely: '*-*-* *:*:00',
+  hourly: '*-*-* *:00:00',
+  daily: '*-*-* 00:00:00',
+  weekly: 'Mon *-*-* 00:00:00',
+  monthly: '*-*-01 00:00:00',
+  quarterly: '*-01,04,07,10-01 00:00:00',
+  semiannually: '*-01,07-01 00:00:00',
+  yearly: '*-01-01 00:00:00',
+  annually: '*-01-01 00:00:00'
+};
+
+/**
+ * Report a construct that cannot be converted exactly
+ */
+function noEquivalent(message, field = null) {
+  return new CronError(message, { code: 'NO_EQUIVALENT', field });
+}
+
+/**
+ * Split sorted values into runs of consecutive numbers
+ * @param {number[]} values - Sorted, unique values
+ * @returns {number[][]} Runs as [start, end]
+ */
+function toRuns(values) {
+  const runs = [];
+  for (const value of values) {
+    const last = runs[runs.length - 1];
+    if (last && value === last[1] + 1) {
+      last[1] = value;
+    } else {
+      runs.push([value, value]);
+    }
+  }
+  return runs;
+}
+
+/**
+ * Step of an arithmetic progression that runs to the end of the range, or null
+ */
+function progressionStep(values, max) {
+  if (values.length < 2) return null;
+  const step = values[1] - values[0];
+  if (step < 2) return null;
+  for (let i = 2; i < values.length; i++) {
+    if (values[i] - values[i - 1] !== step) return null;
+  }
+  return values[values.length - 1] + step > max ? step : null;
+}
+
+/**
+ * Format values as an OnCalendar component (`*`, `09`, `01..05`, `00/15`)
+ */
+function formatComponent(values, min, max) {
+  const pad = n => String(n).padStart(2, '0');
+  if (values.length === max - min + 1) {
+    return '*';
+  }
+  const step = progressionStep(values, max);
+  if (step) {
+    return `${pad(values[0])}/${step}`;
+  }
+  return toRuns(values).map(([start, end]) => {
+    if (start === end) return pad(start);
+    if (end === start + 1) return `${pad(start)},${pad(end)}`;
+    return `${pad(start)}..${pad(end)}`;
+  }).join(',');
+}
+
+/**
+ * Format weekday numbers as OnCalendar weekday names (`Mon..Fri`)
+ */
+function formatWeekdays(values) {
+  return toRuns(values).map(([start, end]) => {
+    if (start === end) return WEEKDAY_NAMES[start];
+    if (end === start + 1) return `${WEEKDAY_NAMES[start]},${WEEKDAY_NAMES[end]}`;
+    return `${WEEKDAY_NAMES[start]}..${WEEKDAY_NAMES[end]}`;
+  }).join(',');
+}
+
+/**
+ * Convert a parsed cron expression to an OnCalendar expression
+ * @param {object} parsed - Result of parse()
+ * @returns {string} OnCalendar expression
+ * @throws {CronError} NO_EQUIVALENT if systemd cannot express the schedule
+ */
+function toOnCalendar(parsed) {
+  if (parsed.reboot) {
+    throw noEquivalent('@reboot has no OnCalendar= equivalent; systemd starts boot-time units with OnBootSec=');
+  }
+  const { fields, isExtended } = parsed;
+  const dom = fields['day of month'];
+  const dow = fields['day of week'];
+
+  if (usesEitherDay(parsed)) {
+    throw noEquivalent(
+      'systemd requires both the weekday and the date to match, but this cron expression runs when either matches; ' +
+      "use one OnCalendar= line for each day field, or the dayMatching: 'and' option to require both");
+  }
+
+  let weekdays = null;
+  let dayPart = null;
+
+  if (dow.specials.length > 0) {
+    if (dow.specials.length > 1 || dow.type === 'list') {
+      throw noEquivalent(`Day of week '${dow.raw}' mixes several weekday rules; systemd allows one`, 'day of week');
+    }
+    if (dom.type !== 'wildcard') {
+      throw noEquivalent(`Day of week '${dow.raw}' cannot be combined with a day of month in systemd`, 'day of week');
+    }
+    const special = dow.specials[0];
+    weekdays = WEEKDAY_NAMES[special.weekday];
+    dayPart = special.type === 'nth'
+      ? `-${String((special.nth - 1) * 7 + 1).padStart(2, '0')}..${String(special.nth * 7).padStart(2, '0')}`
+      : '~07/1';
+  } else if (dow.type !== 'wildcard') {
+    const values = [...new Set(dow.values.map(v => v % 7))].sort((a, b) => a - b);
+    if (values.length < 7) {
+      weekdays = formatWeekdays(values);
+    }
+  }
+
+  if (!dayPart) {
+    if (dom.specials.length > 0) {
+      const special = dom.specials[0];
+      if (dom.specials.length > 1 || dom.values.length > 0 || special.type !== 'last') {
+        throw noEquivalent(`Day of month '${dom.raw}' has no OnCalendar equivalent`, 'day of month');
+      }
+      dayPart = `~${String(special.daysBefore + 1).padStart(2, '0')}`;
+    } else {
+      dayPart = `-${formatComponent(dom.values, 1, 31)}`;
+    }
+  }
+
+  const year = fields.year ? formatComponent(fields.year.values, FIELD_RANGES.year.min, FIELD_RANGES.year.max) : '*';
+  const month = formatComponent(fields.month.values, 1, 12);
+  const time = [
+    formatComponent(fields.hour.values, 0, 23),
+    formatComponent(fields.minute.values, 0, 59),
+    isExtended ? formatComponent(fields.second.values, 0, 59) : '00'
+  ].join(':');
+
+  return [weekdays, `${year}-${month}${dayPart}`, time].filter(Boolean).join(' ');
+}
+
+/**
+ * Format values as a cron field: `*`, a step, ranges (`1-5`) and lists (`1,15`)
+ */
+function formatCronField(values, min, max, allowStep = true) {
+  if (values.length === max - min + 1) {
+    return '*';
+  }
+  const step = allowStep && progressionStep(values, max);
+  if (step) {
+    return values[0] === min ? `*/${step}` : `${values[0]}/${step}`;
+  }
+  return toRuns(values).map(([start, end]) => {
+    if (start === end) return `${start}`;
+    if (end === start + 1) return `${start},${end}`;
+    return `${start}-${end}`;
+  }).join(',');
+}
+
+/**
+ * Parse one numeric OnCalendar component into values. With `countDown`, a
+ * repetition without an end (`~07/1`) runs towards `min`, as days counted
+ * from the end of the month do.
+ */
+function parseComponent(text, min, max, field, countDown = false) {
+  const fail = (message, code = 'INVALID_VALUE') => {
+    throw new CronError(`${message} in OnCalendar ${field}: ${text}`, { code, field });
+  };
+  const number = str => {
+    // Seconds may carry a fraction (00.000); only whole seconds map to cron
+    if (!/^\d+(\.0+)?$/.test(str)) fail('Invalid value');
+    const value = parseInt(str, 10);
+    if (value < min || value > max) fail(`Value ${value} out of range (${min}-${max})`, 'OUT_OF_RANGE');
+    return value;
+  };
+
+  const values = new Set();
+  for (const item of text.split(',')) {
+    const [base, stepText, extra] = item.split('/');
+    if (extra !== undefined) fail('Invalid repetition');
+
+    let start, end;
+    if (base === '*') {
+      start = min;
+      end = max;
+    } else if (base.includes('..')) {
+      [start, end] = base.split('..').map(number);
+      if (start > end) fail('Invalid range', 'REVERSED_RANGE');
+    } else {
+      start = number(base);
+      end = stepText === undefined ? start : max;
+    }
+
+    let step = 1;
+    if (stepText !== undefined) {
+      step = parseInt(stepText, 10);
+      if (!/^\d+$/.test(stepText) || step < 1) fail('Invalid repetition', 'INVALID_STEP');
+    }
+    if (countDown && stepText !== undefined && base !== '*' && !base.includes('..')) {
+      for (let i = start; i >= min; i -= step) {
+        values.add(i);
+      }
+      continue;
+    }
+    for (let i = start; i <= end; i += step) {
+      values.add(i);
+    }
+  }
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse an OnCalendar weekday list (`Mon..Fri`, `Sat,Sun`, `Monday`)
+ */
+function parseWeekdays(text) {
+  const lookup = name => {
+    const index = WEEKDAY_FULL_NAMES.findIndex(full =>
+      name.length >= 3 && full.startsWith(name.toLowerCase()));
+    if (index === -1) {
+      throw new CronError(`Invalid weekday in OnCalendar expression: ${name}`, {
+        code: 'INVALID_VALUE',
+        field: 'weekday'
+      });
+    }
+    return index;
+  };
+
+  const values = new Set();
+  for (const item of text.split(',')) {
+    const range = item.split(/\.\.|-/);
+    const start = lookup(range[0]);
+    const end = range.length > 1 ? lookup(range[1]) : start;
+    for (let day = start; day !== (end + 1) % 7; day = (day + 1) % 7) {
+      values.add(day);
+    }
+  }
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Whether a token looks like a weekday list rather than a time zone
+ */
+function isWeekdayList(token) {
+  const match = /^([a-z]+)([.,-]+[a-z]+)*$/i.exec(token);
+  return Boolean(match) && match[1].length >= 3 &&
+    WEEKDAY_FULL_NAMES.some(full => full.startsWith(match[1].toLowerCase()));
+}
+
+/**
+ * Turn the weekday and day-of-month parts into cron day fields
+ */
+function convertDays(weekdays, dayText, fromEnd, options) {
+  const days = parseComponent(dayText, 1, 31, 'day', fromEnd);
+  const allDays = days.length === 31;
+
+  if (fromEnd) {
+    // `~07/1` on a single weekday is the last such weekday of the month
+    if (weekdays && weekdays.length === 1 && days.length === 7 && days[0] === 1 && days[6] === 7) {
+      return { dom: '?', dow: `${weekdays[0]}L` };
+    }
+    if (weekdays) {
+      throw noEquivalent('A weekday combined with days counted from the end of the month has no cron equivalent', 'day');
+    }
+    return { dom: days.map(d => (d === 1 ? 'L' : `L-${d - 1}`)).join(','), dow: '*' };
+  }
+
+  if (!weekdays || weekdays.length === 7) {
+    return { dom: formatCronField(days, 1, 31), dow: '*' };
+  }
+  if (allDays) {
+    return { dom: '*', dow: formatCronField(weekdays, 0, 6, false) };
+  }
+
+  // A single weekday within a seven-day block is the nth weekday of the month
+  const first = days[0];
+  if (weekdays.length === 1 && days.length === 7 && days[6] === first + 6 && (first - 1) % 7 === 0 && first <= 22) {
+    return { dom: '?', dow: `${weekdays[0]}#${(first - 1) / 7 + 1}` };
+  }
+
+  if (options.dayMatching === 'and') {
+    return { dom: formatCronField(days, 1, 31), dow: formatCronField(weekdays, 0, 6, false) };
+  }
+  throw noEquivalent(
+    'systemd requires both the weekday and the date to match, but standard cron runs when either matches; ' +
+    "use the dayMatching: 'and' option for schedulers that require both", 'day');
+}
+
+/**
+ * Convert an OnCalendar expression to a cron expression
+ * @param {string} text - OnCalendar expression, e.g. `Mon..Fri *-*-* 09:00:00`
+ * @param {object} options - Options
+ * @param {string} options.dayMatching - Set to 'and' to allow a weekday and a
+ *   date restriction together (otherwise that has no standard cron equivalent)
+ * @returns {object} { expression, timezone } where timezone is null unless given
+ * @throws {CronError} For malformed input or NO_EQUIVALENT constructs
+ */
+function parseOnCalendar(text, options = {}) {
+  let spec = String(text || '').trim();
+  if (!spec) {
+    throw new CronError('Invalid OnCalendar expression: must be a non-empty string', { code: 'EMPTY_EXPRESSION' });
+  }
+  if (SHORTHANDS[spec.toLowerCase()]) {
+    spec = SHORTHANDS[spec.toLowerCase()];
+  }
+
+  const tokens = spec.split(/\s+/);
+  let index = 0;
+  let weekdayText = null;
+  let dateText = '*-*-*';
+  let timeText = '00:00:00';
+  let timezone = null;
+
+  if (isWeekdayList(tokens[index])) {
+    weekdayText = tokens[index++];
+  }
+  if (index < tokens.length && !tokens[index].includes(':') && /[-~]/.test(tokens[index])) {
+    dateText = tokens[index++];
+  }
+  if (index < tokens.length && tokens[index].includes(':')) {
+    timeText = tokens[index++];
+  }
+  if (index < tokens.length) {
+    timezone = tokens[index++];
+    try {
+      createZone(timezone);
+    } catch (error) {
+      throw new CronError(`Unexpected '${timezone}' in OnCalendar expression`, { code: 'INVALID_VALUE' });
+    }
+  }
+  if (index < tokens.length) {
+    throw new CronError(`Unexpected '${tokens[index]}' in OnCalendar expression`, { code: 'INVALID_VALUE' });
+  }
+
+  const date = /^(?:([^-~]+)-)?([^-~]+)([-~])([^-~]+)$/.exec(dateText);
+  if (!date) {
+    throw new CronError(`Invalid OnCalendar date: ${dateText}`, { code: 'INVALID_VALUE', field: 'day' });
+  }
+  const [, yearText = '*', monthText, separator, dayText] = date;
+
+  const time = timeText.split(':');
+  if (time.length < 2 || time.length > 3) {
+    throw new CronError(`Invalid OnCalendar time: ${timeText}`, { code: 'INVALID_VALUE', field: 'hour' });
+  }
+
+  const weekdays = weekdayText ? parseWeekdays(weekdayText) : null;
+  const { dom, dow } = convertDays(weekdays, dayText, separator === '~', options);
+  const month = formatCronField(parseComponent(monthText, 1, 12, 'month'), 1, 12);
+  const hour = formatCronField(parseComponent(time[0], 0, 23, 'hour'), 0, 23);
+  const minute = formatCronField(parseComponent(time[1], 0, 59, 'minute'), 0, 59);
+  const seconds = parseComponent(time[2] || '00', 0, 59, 'second');
+
+  const fields = [minute, hour, dom, month, dow];
+  if (seconds.length !== 1 || seconds[0] !== 0) {
+    fields.unshift(formatCronField(seconds, FIELD_RANGES.second.min, FIELD_RANGES.second.max));
+  }
+  if (yearText !== '*') {
+    const { min, max } = FIELD_RANGES.year;
+    fields.push(formatCronField(parseComponent(yearText, min, max, 'year'), min, max));
+  }
+
+  return { expression: fields.join(' '), timezone };
+}
+
+module.exports = {
+  toOnCalendar,
+  parseOnCalendar
+};
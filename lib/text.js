@@ -0,0 +1,490 @@
+/**
+ * Compile constrained English descriptions into cron expressions
+ *
+ * The grammar is a sequence of phrases in any order:
+ *   - frequency: `every minute`, `every 15 minutes`, `every other hour`,
+ *     `every 10 seconds`, `hourly`, `daily`, `weekly`, `monthly`, `yearly`
+ *   - times: `at 9:30am`, `at noon`, `at 9 and 17`, `at 14:00`
+ *   - hour window: `between 8 and 18`, `from 9am to 5pm`
+ *   - weekdays: `on weekdays`, `weekends`, `every monday`, `mon-fri`,
+ *     `tuesday and thursday`
+ *   - days of the month: `on the 1st and 15th`, `on day 10`, `every 3 days`,
+ *     `on the last day of the month`, `on the last weekday`
+ *   - nth weekday: `first monday of every month`, `last friday of the month`
+ *   - months: `in january`, `jan through mar`, `on july 4th`
+ *
+ * Anything else is reported with a CronError (code UNKNOWN_WORD) whose
+ * offset and length point at the word that was not understood.
+ */
+
+const { CronError, FIELD_RANGES } = require('./parse.js');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30
+};
+
+const ORDINAL_WORDS = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5 };
+
+const UNITS = {
+  second: 'second', seconds: 'second', sec: 'second', secs: 'second',
+  minute: 'minute', minutes: 'minute', min: 'minute', mins: 'minute',
+  hour: 'hour', hours: 'hour', hr: 'hour', hrs: 'hour',
+  day: 'day', days: 'day',
+  month: 'month', months: 'month'
+};
+
+const FILLER = new Set(['and', ',', '.', 'on', 'the', 'in', 'of', 'run', 'runs', 'job', 'once', 'past']);
+
+/**
+ * Split a description into lower-case tokens that remember their position
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /\d+:\d{2}(?::\d{2})?(?:[ap]m)?|\d+(?:st|nd|rd|th|[ap]m)?|[a-z]+|[^\sa-z\d]/gi;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push({ word: match[0].toLowerCase(), offset: match.index, length: match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Look up a weekday by full name or an abbreviation of at least three letters
+ * (`mon`, `tues`, `thurs`), allowing a plural `s`
+ */
+function weekdayIndex(word) {
+  const name = word.length > 3 && word.endsWith('s') && !WEEKDAYS.includes(word) ? word.slice(0, -1) : word;
+  if (name.length < 3) return -1;
+  return WEEKDAYS.findIndex(full => full.startsWith(name));
+}
+
+/**
+ * Look up a month by full name or three-letter abbreviation (1-12, or 0)
+ */
+function monthNumber(word) {
+  if (word.length < 3) return 0;
+  return MONTH_NAMES.findIndex(full => full.startsWith(word) && (word.length === 3 || word === full || word === 'sept')) + 1;
+}
+
+/**
+ * Compile a description into a cron expression
+ * @param {string} description - e.g. "every weekday at 9:30am"
+ * @returns {string} Cron expression (six fields when seconds are involved)
+ * @throws {CronError} UNKNOWN_WORD, OUT_OF_RANGE or CONFLICT, with offset and length
+ */
+function compileText(description) {
+  const text = String(description || '');
+  const tokens = tokenize(text);
+  if (tokens.length === 0) {
+    throw new CronError('Description is empty', { code: 'EMPTY_EXPRESSION' });
+  }
+
+  const state = {
+    frequency: null, // { unit, every }
+    times: [],
+    window: null, // [startHour, endHour]
+    weekdays: [],
+    weekdaySpecial: null,
+    days: [],
+    dayStep: null,
+    months: [],
+    period: null // 'week' | 'month' | 'year' from weekly, monthly, yearly
+  };
+
+  let index = 0;
+  const peek = (ahead = 0) => tokens[index + ahead] || null;
+  const next = () => tokens[index++] || null;
+
+  const fail = (token, message, code = 'UNKNOWN_WORD') => {
+    const at = token || { offset: text.length, length: 0 };
+    throw new CronError(message, { code, offset: at.offset, length: at.length });
+  };
+  const unknown = token => fail(token, token
+    ? `Could not understand '${text.substr(token.offset, token.length)}'`
+    : 'Description ended unexpectedly');
+
+  const setFrequency = (token, unit, every) => {
+    if (state.frequency) {
+      fail(token, 'Only one repeating interval can be given', 'CONFLICT');
+    }
+    state.frequency = { unit, every, token };
+  };
+
+  const readNumber = () => {
+    const token = peek();
+    if (!token) return null;
+    if (/^\d+$/.test(token.word)) {
+      index++;
+      return parseInt(token.word, 10);
+    }
+    if (NUMBER_WORDS[token.word] !== undefined) {
+      index++;
+      return NUMBER_WORDS[token.word];
+    }
+    return null;
+  };
+
+  // A time such as 9, 9am, 9:30, 9:30 pm, noon or midnight
+  const readTime = () => {
+    const token = peek();
+    if (!token) return null;
+    if (token.word === 'noon' || token.word === 'midday') {
+      index++;
+      return { hour: 12, minute: 0, token };
+    }
+    if (token.word === 'midnight') {
+      index++;
+      return { hour: 0, minute: 0, token };
+    }
+    const match = /^(\d+)(?::(\d{2}))?(?::(\d{2}))?([ap]m)?$/.exec(token.word);
+    if (!match) return null;
+    index++;
+
+    let meridiem = match[4];
+    if (!meridiem && peek() && (peek().word === 'am' || peek().word === 'pm')) {
+      meridiem = next().word;
+    }
+    let hour = parseInt(match[1], 10);
+    const minute = match[2] ? parseInt(match[2], 10) : 0;
+    if (match[3] && parseInt(match[3], 10) !== 0) {
+      fail(token, 'Times with seconds are not supported; use "every N seconds"', 'CONFLICT');
+    }
+    if (meridiem) {
+      if (hour < 1 || hour > 12) fail(token, `Hour ${hour} out of range (1-12) in '${token.word}'`, 'OUT_OF_RANGE');
+      hour = hour % 12 + (meridiem === 'pm' ? 12 : 0);
+    }
+    if (hour > 23) fail(token, `Hour ${hour} out of range (0-23)`, 'OUT_OF_RANGE');
+    if (minute > 59) fail(token, `Minute ${minute} out of range (0-59)`, 'OUT_OF_RANGE');
+    return { hour, minute, token };
+  };
+
+  // A day of the month such as 1st, 15th or 15
+  const readDay = () => {
+    const token = peek();
+    if (!token) return null;
+    const match = /^(\d+)(st|nd|rd|th)?$/.exec(token.word);
+    if (!match) return null;
+    const day = parseInt(match[1], 10);
+    if (day < 1 || day > 31) fail(token, `Day ${day} out of range (1-31)`, 'OUT_OF_RANGE');
+    index++;
+    return day;
+  };
+
+  const isJoiner = token => token && (token.word === 'and' || token.word === ',' || token.word === 'or');
+  const isRangeWord = token => token && ['-', 'to', 'through', 'thru', 'till', 'until'].includes(token.word);
+
+  // Weekday list: monday, tuesday and thursday, mon-fri, monday through friday
+  const readWeekdays = first => {
+    const days = [];
+    let start = weekdayIndex(first.word);
+    for (;;) {
+      if (isRangeWord(peek()) && peek(1) && weekdayIndex(peek(1).word) !== -1) {
+        index++;
+        const end = weekdayIndex(next().word);
+        for (let day = start; day !== (end + 1) % 7; day = (day + 1) % 7) days.push(day);
+      } else {
+        days.push(start);
+      }
+      if (isJoiner(peek()) && peek(1) && weekdayIndex(peek(1).word) !== -1) {
+        index++;
+        start = weekdayIndex(next().word);
+      } else {
+        return days;
+      }
+    }
+  };
+
+  // Month list: january, jan through mar, june and december
+  const readMonths = first => {
+    const months = [];
+    let start = monthNumber(first.word);
+    for (;;) {
+      if (isRangeWord(peek()) && peek(1) && monthNumber(peek(1).word)) {
+        index++;
+        const end = monthNumber(next().word);
+        for (let month = start; month !== end % 12 + 1; month = month % 12 + 1) months.push(month);
+      } else {
+        months.push(start);
+      }
+      if (isJoiner(peek()) && peek(1) && monthNumber(peek(1).word)) {
+        index++;
+        start = monthNumber(next().word);
+      } else {
+        return months;
+      }
+    }
+  };
+
+  // Day-of-month list after "the" or "day": 1st and 15th, 1-7
+  const readDays = () => {
+    const days = [];
+    let start = readDay();
+    for (;;) {
+      if (isRangeWord(peek()) && peek(1) && /^\d+(st|nd|rd|th)?$/.test(peek(1).word)) {
+        index++;
+        const end = readDay();
+        for (let day = start; day <= end; day++) days.push(day);
+      } else {
+        days.push(start);
+      }
+      const joined = isJoiner(peek()) && peek(1) && peek(1).word === 'the' ? 2 : 1;
+      if (isJoiner(peek()) && peek(joined) && /^\d+(st|nd|rd|th)?$/.test(peek(joined).word) &&
+          !(peek(joined + 1) && /^[ap]m$/.test(peek(joined + 1).word))) {
+        index += joined;
+        start = readDay();
+      } else {
+        return days;
+      }
+    }
+  };
+
+  // Optional "of every month" / "of the month" / "each month"
+  const skipOfMonth = () => {
+    let ahead = 0;
+    while (peek(ahead) && ['of', 'every', 'each', 'the'].includes(peek(ahead).word)) ahead++;
+    if (peek(ahead) && (peek(ahead).word === 'month' || peek(ahead).word === 'months')) {
+      index += ahead + 1;
+    }
+  };
+
+  const readTimes = () => {
+    const time = readTime();
+    if (!time) unknown(peek());
+    state.times.push(time);
+    while (isJoiner(peek())) {
+      const save = index;
+      index++;
+      if (peek() && peek().word === 'at') index++;
+      const more = readTime();
+      if (!more) {
+        index = save;
+        break;
+      }
+      state.times.push(more);
+    }
+  };
+
+  while (index < tokens.length) {
+    const token = next();
+    const word = token.word;
+
+    if (word === 'every' || word === 'each') {
+      // every [N|other] unit, every weekday, every monday, every month...
+      let every = readNumber();
+      if (every === null && peek() && peek().word === 'other') {
+        index++;
+        every = 2;
+      }
+      if (every === null && peek() && peek().word === 'half' && peek(1) && /^hours?$/.test(peek(1).word)) {
+        index += 2;
+        setFrequency(token, 'minute', 30);
+        continue;
+      }
+      const unitToken = next();
+      if (!unitToken) unknown(null);
+      const unit = UNITS[unitToken.word];
+
+      if (unit === 'second' || unit === 'minute' || unit === 'hour') {
+        setFrequency(token, unit, every || 1);
+      } else if (unit === 'day') {
+        if (every && every > 1) state.dayStep = every;
+      } else if (unit === 'month') {
+        if (every && every > 1) state.months.push({ step: every });
+      } else if (every === null && (unitToken.word === 'weekday' || unitToken.word === 'weekdays')) {
+        state.weekdays.push(1, 2, 3, 4, 5);
+      } else if (every === null && /^weekends?$/.test(unitToken.word)) {
+        state.weekdays.push(0, 6);
+      } else if (every === null && (unitToken.word === 'week' || unitToken.word === 'year')) {
+        state.period = unitToken.word;
+      } else if (every === null && weekdayIndex(unitToken.word) !== -1) {
+        state.weekdays.push(...readWeekdays(unitToken));
+      } else if (every === null && ORDINAL_WORDS[unitToken.word] && peek() && weekdayIndex(peek().word) !== -1) {
+        index--;
+      } else {
+        unknown(unitToken);
+      }
+    } else if (word === 'hourly') {
+      setFrequency(token, 'hour', 1);
+    } else if (word === 'minutely') {
+      setFrequency(token, 'minute', 1);
+    } else if (word === 'daily' || word === 'nightly') {
+      // Every day is the default
+    } else if (word === 'weekly' || word === 'monthly' || word === 'yearly' || word === 'annually') {
+      state.period = { weekly: 'week', monthly: 'month' }[word] || 'year';
+    } else if (word === 'at' || word === '@') {
+      readTimes();
+    } else if (word === 'between' || word === 'from') {
+      const start = readTime();
+      if (!start) unknown(peek());
+      const joiner = next();
+      if (!joiner || !(isRangeWord(joiner) || joiner.word === 'and')) unknown(joiner);
+      const end = readTime();
+      if (!end) unknown(peek());
+      if (start.minute !== 0 || end.minute !== 0) {
+        fail(start.minute !== 0 ? start.token : end.token, 'Time windows must start and end on the hour', 'CONFLICT');
+      }
+      if (start.hour > end.hour) {
+        fail(end.token, `Window ends (${end.hour}:00) before it starts (${start.hour}:00)`, 'REVERSED_RANGE');
+      }
+      state.window = [start.hour, end.hour];
+    } else if (word === 'weekdays' || word === 'weekday' || word === 'workdays') {
+      state.weekdays.push(1, 2, 3, 4, 5);
+    } else if (word === 'weekends' || word === 'weekend') {
+      state.weekdays.push(0, 6);
+    } else if (weekdayIndex(word) !== -1) {
+      state.weekdays.push(...readWeekdays(token));
+    } else if ((ORDINAL_WORDS[word] || word === 'last' || /^[1-5](st|nd|rd|th)$/.test(word)) &&
+        peek() && weekdayIndex(peek().word) !== -1) {
+      // nth or last weekday of the month
+      if (state.weekdaySpecial) fail(token, 'Only one nth weekday can be given', 'CONFLICT');
+      const weekday = weekdayIndex(next().word);
+      const nth = word === 'last' ? null : ORDINAL_WORDS[word] || parseInt(word, 10);
+      state.weekdaySpecial = nth ? `${weekday}#${nth}` : `${weekday}L`;
+      skipOfMonth();
+    } else if (word === 'last' && peek() && (peek().word === 'day' || /^(weekday|workday|business)$/.test(peek().word))) {
+      const kind = next().word;
+      if (kind === 'business' && peek() && peek().word === 'day') index++;
+      state.days.push(kind === 'day' ? 'L' : 'LW');
+      skipOfMonth();
+    } else if (word === 'day' || word === 'days') {
+      if (!readDay()) unknown(peek());
+      index--;
+      state.days.push(...readDays());
+      skipOfMonth();
+    } else if (/^\d+(st|nd|rd|th)$/.test(word) || (/^\d+$/.test(word) && index > 1 && tokens[index - 2].word === 'the')) {
+      index--;
+      state.days.push(...readDays());
+      skipOfMonth();
+    } else if (monthNumber(word)) {
+      state.months.push(...readMonths(token));
+      if (peek() && /^\d+(st|nd|rd|th)?$/.test(peek().word) && !(peek(1) && /^[ap]m$/.test(peek(1).word)) &&
+          !/[ap]m$/.test(peek().word)) {
+        state.days.push(...readDays());
+      }
+    } else if (/^(\d+(:\d{2})*([ap]m)?|noon|midday|midnight)$/.test(word)) {
+      index--;
+      readTimes();
+    } else if (word === 'month' || word === 'months') {
+      // "of every month" after another phrase
+    } else if (!FILLER.has(word)) {
+      unknown(token);
+    }
+  }
+
+  return buildExpression(state, fail);
+}
+
+/**
+ * Format a list of numbers as a cron field, using ranges for consecutive runs
+ */
+function formatValues(values) {
+  const sorted = [...new Set(values)].sort((a, b) => a - b);
+  const parts = [];
+  for (let i = 0; i < sorted.length; i++) {
+    let j = i;
+    while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] + 1) j++;
+    parts.push(j - i >= 2 ? `${sorted[i]}-${sorted[j]}` : sorted.slice(i, j + 1).join(','));
+    i = j;
+  }
+  return parts.join(',');
+}
+
+/**
+ * Turn the collected phrases into cron fields
+ */
+function buildExpression(state, fail) {
+  const { frequency, times, window } = state;
+  let second = null;
+  let minute;
+  let hour;
+
+  if (frequency && times.length > 0) {
+    fail(times[0].token, `'at' times cannot be combined with '${frequency.token.word} ...'; use 'between' for a window`, 'CONFLICT');
+  }
+
+  const hours = window ? `${window[0]}-${window[1]}` : '*';
+  const step = (every, max) => {
+    if (every > max) fail(frequency.token, `Cannot repeat every ${every} ${frequency.unit}s`, 'OUT_OF_RANGE');
+    return every === 1 ? '*' : `*/${every}`;
+  };
+
+  if (!frequency) {
+    if (window) {
+      fail(null, "A 'between' window needs a repeating interval such as 'every 15 minutes'", 'CONFLICT');
+    }
+    const chosen = times.length > 0 ? times : [{ hour: 0, minute: 0 }];
+    const minutes = [...new Set(chosen.map(t => t.minute))];
+    const hourList = [...new Set(chosen.map(t => t.hour))];
+    if (minutes.length > 1 && hourList.length > 1) {
+      fail(chosen[1].token, 'These times need different minutes and hours, which one cron expression cannot express', 'CONFLICT');
+    }
+    minute = formatValues(minutes);
+    hour = formatValues(hourList);
+  } else if (frequency.unit === 'second') {
+    second = step(frequency.every, FIELD_RANGES.second.max);
+    minute = '*';
+    hour = hours;
+  } else if (frequency.unit === 'minute') {
+    minute = step(frequency.every, 59);
+    hour = hours;
+  } else {
+    minute = '0';
+    const every = step(frequency.every, 23);
+    hour = window ? (every === '*' ? hours : `${hours}/${frequency.every}`) : every;
+  }
+
+  let dom = state.days.length > 0 ? state.days.map(d => String(d)) : [];
+  if (state.dayStep) {
+    dom.push(`*/${state.dayStep}`);
+  }
+  let dow = state.weekdays.length > 0 ? [formatValues(state.weekdays)] : [];
+  if (state.weekdaySpecial) {
+    dow.push(state.weekdaySpecial);
+  }
+  let month = [];
+  for (const entry of state.months) {
+    month.push(typeof entry === 'object' ? `*/${entry.step}` : entry);
+  }
+
+  if (state.period === 'week' && dow.length === 0 && dom.length === 0) {
+    dow = ['0'];
+  } else if (state.period === 'month' && dom.length === 0 && dow.length === 0) {
+    dom = ['1'];
+  } else if (state.period === 'year') {
+    if (dom.length === 0 && dow.length === 0) dom = ['1'];
+    if (month.length === 0) month = [1];
+  }
+
+  const numeric = month.filter(m => typeof m === 'number');
+  month = [...(numeric.length > 0 ? [formatValues(numeric)] : []), ...month.filter(m => typeof m !== 'number')];
+
+  const fields = [
+    minute,
+    hour,
+    dom.length > 0 ? formatDays(dom) : '*',
+    month.length > 0 ? month.join(',') : '*',
+    dow.length > 0 ? dow.join(',') : '*'
+  ];
+  if (second !== null) {
+    fields.unshift(second);
+  }
+  return fields.join(' ');
+}
+
+/**
+ * Format day-of-month entries, collapsing numeric days into ranges
+ */
+function formatDays(days) {
+  const numeric = days.filter(d => /^\d+$/.test(d)).map(Number);
+  const other = days.filter(d => !/^\d+$/.test(d));
+  return [...(numeric.length > 0 ? [formatValues(numeric)] : []), ...new Set(other)].join(',');
+}
+
+module.exports = {
+  compileText
+};
@@ -0,0 +1,208 @@
+/**
+ * Time zone support for cron-explain
+ *
+ * Cron fields describe wall-clock times. A zone converts between instants
+ * (Date objects) and wall-clock readings in a particular time zone, using the
+ * built-in Intl API for IANA names and the host's Date methods otherwise.
+ *
+ * DST rules applied when turning a wall-clock time back into an instant:
+ *   - a time skipped by a spring-forward transition resolves to the first
+ *     instant after the gap (02:30 -> 03:00 when clocks jump 02:00 -> 03:00)
+ *   - a time repeated by a fall-back transition resolves to its first
+ *     (earlier) instant
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter that reads wall-clock fields in a time zone
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+    } catch (error) {
+      throw new Error(`Invalid time zone: ${timeZone}`);
+    }
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Create a zone object for converting between instants and wall-clock time
+ * @param {string} [timeZone] - IANA time zone name (default: host local time)
+ * @returns {object} Zone with name, offsetAt(), toWall() and fromWall()
+ */
+function createZone(timeZone) {
+  let offsetAt;
+
+  if (!timeZone) {
+    offsetAt = ms => -new Date(ms).getTimezoneOffset() * 60 * 1000;
+  } else if (timeZone === 'UTC' || timeZone === 'Etc/UTC') {
+    offsetAt = () => 0;
+  } else {
+    const formatter = getFormatter(timeZone);
+    offsetAt = ms => {
+      const values = {};
+      for (const part of formatter.formatToParts(new Date(ms))) {
+        values[part.type] = part.value;
+      }
+      const hour = parseInt(values.hour, 10) % 24;
+      const wall = Date.UTC(parseInt(values.year, 10), parseInt(values.month, 10) - 1,
+        parseInt(values.day, 10), hour, parseInt(values.minute, 10), parseInt(values.second, 10));
+      return wall - Math.floor(ms / 1000) * 1000;
+    };
+  }
+
+  return {
+    name: timeZone || localTimeZone(),
+    offsetAt,
+    toWall: date => toWall(date, offsetAt),
+    fromWall: wall => fromWall(wall, offsetAt)
+  };
+}
+
+/**
+ * Name of the host's time zone
+ * @returns {string} IANA name, or 'local' if the host does not report one
+ */
+function localTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'local';
+}
+
+/**
+ * Read the wall-clock fields of an instant
+ * @param {Date} date - Instant
+ * @param {function} offsetAt - Offset lookup in milliseconds
+ * @returns {object} { year, month, day, hour, minute, second, weekday }
+ */
+function toWall(date, offsetAt) {
+  const shifted = new Date(date.getTime() + offsetAt(date.getTime()));
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    hour: shifted.getUTCHours(),
+    minute: shifted.getUTCMinutes(),
+    second: shifted.getUTCSeconds(),
+    weekday: shifted.getUTCDay()
+  };
+}
+
+/**
+ * Find the instant for a wall-clock time, applying the DST rules above
+ * @param {object} wall - { year, month, day, hour, minute, second }
+ * @param {function} offsetAt - Offset lookup in milliseconds
+ * @returns {Date} Instant
+ */
+function fromWall(wall, offsetAt) {
+  const wallMs = Date.UTC(wall.year, wall.month - 1, wall.day,
+    wall.hour, wall.minute || 0, wall.second || 0);
+
+  // Offsets a day either side bracket at most one transition
+  const before = offsetAt(wallMs - DAY);
+  const after = offsetAt(wallMs + DAY);
+
+  const candidates = [];
+  for (const offset of new Set([before, after])) {
+    const instant = wallMs - offset;
+    if (offsetAt(instant) === offset) {
+      candidates.push(instant);
+    }
+  }
+  if (candidates.length > 0) {
+    return new Date(Math.min(...candidates));
+  }
+
+  // Skipped by a spring-forward gap: find when the new offset takes effect
+  let lo = wallMs - Math.max(before, after);
+  let hi = wallMs - Math.min(before, after);
+  const initial = offsetAt(lo);
+  while (hi - lo > 1000) {
+    const mid = lo + Math.floor((hi - lo) / 2000) * 1000;
+    if (offsetAt(mid) === initial) {
+      lo = mid;
+    } else {
+      hi = mid;
+    }
+  }
+  return new Date(hi);
+}
+
+/**
+ * Format an offset as +HH:MM
+ * @param {number} offset - Offset in milliseconds
+ * @returns {string} Formatted offset
+ */
+function formatOffset(offset) {
+  const sign = offset < 0 ? '-' : '+';
+  const minutes = Math.round(Math.abs(offset) / 60000);
+  const h = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const m = String(minutes % 60).padStart(2, '0');
+  return `${sign}${h}:${m}`;
+}
+
+/**
+ * Format an instant as ISO 8601 with the zone's offset, e.g. 2026-03-08T03:00:00-04:00
+ * @param {Date} date - Instant
+ * @param {object} zone - Zone from createZone()
+ * @returns {string} Formatted date
+ */
+function formatISO(date, zone) {
+  const wall = zone.toWall(date);
+  const pad = n => String(n).padStart(2, '0');
+  return `${wall.year}-${pad(wall.month)}-${pad(wall.day)}` +
+    `T${pad(wall.hour)}:${pad(wall.minute)}:${pad(wall.second)}` +
+    formatOffset(zone.offsetAt(date.getTime()));
+}
+
+/**
+ * Parse a date argument. Plain dates and times without an offset
+ * (2026-03-08, 2026-03-08 14:05, 2026-03-08T14:05:30) are read as wall-clock
+ * time in the zone; anything else is handed to the Date constructor.
+ * @param {string} text - Date text
+ * @param {object} zone - Zone from createZone()
+ * @returns {Date} Instant
+ */
+function parseDateTime(text, zone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(String(text).trim());
+  const date = match
+    ? zone.fromWall({
+      year: parseInt(match[1], 10),
+      month: parseInt(match[2], 10),
+      day: parseInt(match[3], 10),
+      hour: parseInt(match[4] || '0', 10),
+      minute: parseInt(match[5] || '0', 10),
+      second: parseInt(match[6] || '0', 10)
+    })
+    : new Date(text);
+
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${text}`);
+  }
+  return date;
+}
+
+module.exports = {
+  createZone,
+  parseDateTime,
+  localTimeZone,
+  formatOffset,
+  formatISO
+};
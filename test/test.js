@@ -2,7 +2,15 @@
  * Tests for cron-explain
  */
 
-const { parse, explain, validate, nextOccurrences, expandPreset } = require('../lib/index.js');
+const {
+  parse, explain, validate, nextOccurrences, previousOccurrences, occurrencesBetween, occurrences, schedule,
+  parseCrontab, explainCrontab, toSystemd, fromSystemd, toRRule, fromRRule, toICS, convertDialect, listDialects, fromText, analyzeLoad, lint, listRules, compare, normalize, registerLocale, listLocales, expandPreset,
+  registerPreset, listPresets, loadConfig
+} = require('../lib/index.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
 
 let passed = 0;
 let failed = 0;
@@ -30,6 +38,17 @@ function assertEqual(actual, expected, message) {
   }
 }
 
+/**
+ * Run the CLI and return { status, stdout, stderr }
+ */
+function cli(args, input = '') {
+  return spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'cli.js'), ...args], {
+    encoding: 'utf8',
+    input,
+    timeout: 10000
+  });
+}
+
 console.log('\n=== cron-explain tests ===\n');
 
 // Test: parse()
@@ -93,6 +112,71 @@ console.log('\nexpandPreset():');
   assertEqual(expandPreset('0 0 * * *'), '0 0 * * *', 'non-preset unchanged');
 }
 
+// Test: presets in the API
+console.log('\npresets:');
+{
+  assertEqual(explain('@daily'), 'At 00:00', 'parse() understands presets');
+  assertEqual(nextOccurrences('@hourly', 2, new Date('2026-10-19T10:30:00Z'), { timezone: 'UTC' }),
+    [new Date('2026-10-19T11:00:00Z'), new Date('2026-10-19T12:00:00Z')], 'in every function');
+  assertEqual(['@every 30s', '@every 15m', '@every 1h', '@every 6h', '@every 1d', '@every 1h0m'].map(expandPreset),
+    ['*/30 * * * * *', '*/15 * * * *', '0 * * * *', '0 */6 * * *', '0 0 * * *', '0 * * * *'], '@every durations');
+  assertEqual(explain('@every 15m'), 'Every 15 minutes', '@every explains');
+  assertEqual(['@every 90m', '@every 7m', '@every 0s', '@every soon', '@every'].map(expression => validate(expression).diagnostics[0].code),
+    ['INVALID_DURATION', 'INVALID_DURATION', 'INVALID_DURATION', 'INVALID_DURATION', 'INVALID_DURATION'], 'durations that do not line up with the clock');
+  assertEqual(validate('@every 90m').error, '@every 90m has no cron equivalent: the interval must divide a minute, an hour or a day', 'and why');
+  assertEqual(expandPreset('@every 90m'), '@every 90m', 'expandPreset() leaves them for parse() to report');
+  assertEqual(validate('@every 5m', { dialect: 'jenkins' }).diagnostics[0].code, 'UNSUPPORTED_TOKEN', 'only where the dialect has @every');
+  assertEqual(validate('@every 5m', { dialect: 'kubernetes' }).diagnostics[0].code, 'UNSUPPORTED_TOKEN', 'which Kubernetes does not');
+  const rejected = cli(['--dialect', 'kubernetes', '@every 5m']);
+  assert(rejected.status === 1 && /does not support @every/.test(rejected.stderr), 'nor does the CLI under --dialect kubernetes');
+  assertEqual(cli(['--dialect', 'kubernetes', '@daily']).status, 0, 'which still takes its macros');
+
+  assertEqual(explain('@reboot'), 'At system startup', '@reboot');
+  assertEqual(explain('@reboot', { locale: 'de' }), 'Beim Systemstart', 'in other languages');
+  assertEqual(parse('@reboot').reboot, true, 'parses without fields');
+  assertEqual(nextOccurrences('@reboot', 3), [], 'and has no runs');
+  assertEqual([normalize('@reboot'), validate('@reboot').diagnostics], ['@reboot', []], 'normalizes and validates');
+  assertEqual([validate('@reboot').reboot, validate('@reboot').fields], [true, 0], 'validates as @reboot, not as a 0-field expression');
+  assertEqual(cli(['-v', '@reboot']).stdout.trim(), '✓ Valid @reboot entry: runs at system startup, not on a schedule', 'and says so with -v');
+  assertEqual(validate('@reboot', { dialect: 'aws' }).error, 'AWS EventBridge does not support @reboot', 'only where the dialect has it');
+  let error = null;
+  try { toSystemd('@reboot'); } catch (e) { error = e; }
+  assert(error && error.code === 'NO_EQUIVALENT', 'no OnCalendar equivalent');
+  assertEqual([validate('@sometimes').diagnostics[0].code, validate('@daily 5').diagnostics[0].code],
+    ['UNKNOWN_PRESET', 'FIELD_COUNT'], 'unknown presets and extra fields are errors');
+
+  registerPreset('@Business-Hours', '0 9-17 * * 1-5');
+  registerPreset('@etl-poll', '@every 10m');
+  assertEqual(explain('@business-hours'), 'Every hour from 09:00 to 17:00, on weekdays', 'registered presets');
+  assertEqual(explain('@etl-poll'), 'Every 10 minutes', 'may stand for a built-in preset');
+  assertEqual(expandPreset('@BUSINESS-HOURS'), '0 9-17 * * 1-5', 'expandPreset() knows them, in any case');
+  assertEqual(nextOccurrences('@business-hours', 1, new Date('2026-10-19T18:00:00Z'), { timezone: 'UTC' }),
+    [new Date('2026-10-20T09:00:00Z')], 'and so does every other function');
+  assertEqual(validate('@business-hours', { dialect: 'aws' }).diagnostics[0].code, 'FIELD_COUNT', 'expanded, then read in the dialect');
+  assertEqual(listPresets().filter(preset => preset.custom).map(preset => preset.name), ['@business-hours', '@etl-poll'], 'listPresets()');
+  error = null;
+  try { registerPreset('nightly', '0 2 * * *'); } catch (e) { error = e; }
+  assert(error && /Invalid preset name/.test(error.message), 'names start with @');
+  error = null;
+  try { registerPreset('@reboot', '0 0 * * *'); } catch (e) { error = e; }
+  assert(error && /cannot be redefined/.test(error.message), '@reboot and @every are reserved');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cron-explain-'));
+  try {
+    assertEqual(loadConfig({ cwd: dir }), { config: {}, file: null }, 'no config');
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ name: 'app', cronExplain: { presets: { '@nightly': '0 2 * * *' } } }));
+    assertEqual(loadConfig({ cwd: dir }).config.presets, { '@nightly': '0 2 * * *' }, 'a package.json key');
+    fs.writeFileSync(path.join(dir, '.cronexplainrc'), JSON.stringify({ rules: { 'every-minute': 'off' } }));
+    assertEqual(loadConfig({ cwd: dir }).config, { rules: { 'every-minute': 'off' } }, '.cronexplainrc comes first');
+    fs.writeFileSync(path.join(dir, 'other.json'), JSON.stringify({ presets: { '@x': 5 } }));
+    error = null;
+    try { loadConfig({ path: path.join(dir, 'other.json') }); } catch (e) { error = e; }
+    assert(error && /must map names to expressions/.test(error.message), 'presets must be expressions');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
 // Test: special characters
 console.log('\nspecial characters:');
 {
@@ -140,6 +224,1035 @@ console.log('\nedge cases:');
   assert(sun7.fields['day of week'].values.includes(7), 'Sunday as 7');
 }
 
+// Test: field validation
+console.log('\nfield validation:');
+{
+  const throwsCode = (expr, code) => {
+    try {
+      parse(expr);
+      return false;
+    } catch (e) {
+      return e.code === code;
+    }
+  };
+  assert(throwsCode('99 * * * *', 'OUT_OF_RANGE'), 'rejects out-of-range minute');
+  assert(throwsCode('0 0 0 * *', 'OUT_OF_RANGE'), 'rejects day of month 0');
+  assert(throwsCode('5-1 * * * *', 'REVERSED_RANGE'), 'rejects reversed range');
+  assert(throwsCode('1-x * * * *', 'INVALID_VALUE'), 'rejects non-numeric range end');
+  assert(throwsCode('1,,2 * * * *', 'EMPTY_ITEM'), 'rejects empty list item');
+  assert(throwsCode('*/0 * * * *', 'INVALID_STEP'), 'rejects zero step');
+  assertEqual(parse('0-20/5,45 * * * *').fields.minute.values, [0, 5, 10, 15, 20, 45], 'stepped range inside a list');
+}
+
+// Test: validate() diagnostics
+console.log('\nvalidate() diagnostics:');
+{
+  const result = validate('0 99 32 * *');
+  assert(result.valid === false, 'invalid fields make the expression invalid');
+  assertEqual(result.diagnostics.map(d => [d.code, d.field, d.offset, d.severity]),
+    [['OUT_OF_RANGE', 'hour', 2, 'error'], ['OUT_OF_RANGE', 'day of month', 5, 'error']],
+    'reports every bad field with its offset');
+
+  const feb30 = validate('0 0 30 2 *');
+  assert(feb30.valid === true, 'Feb 30 is syntactically valid');
+  assertEqual(feb30.diagnostics.map(d => [d.code, d.severity]), [['NEVER_FIRES', 'warning']], 'Feb 30 warns that it never fires');
+
+  assertEqual(validate('0 0 31 4,6,9,11 *').diagnostics.length, 1, 'day 31 in 30-day months warns');
+  assertEqual(validate('0 0 31 1,4 *').diagnostics.length, 0, 'day 31 reachable in January does not warn');
+  assertEqual(cli(['-v', '0 0 * * *']).status, 0, '-v exits with status 0 for a valid expression');
+  assertEqual(cli(['-v', '61 * * * *']).status, 1, 'and 1 for an invalid one');
+  assertEqual(cli(['-v', '0 0 30 2 *']).status, 1, 'or one that never fires, even without --strict');
+  assertEqual(cli(['-v', '0 0 1 1 * 2020']).status, 1, 'or one whose years are all past');
+  assertEqual([cli(['-v', '0 0 * * * 2020-2099']).status, cli(['-v', '--strict', '0 0 * * * 2020-2099']).status], [0, 1],
+    'other warnings only fail with --strict');
+  const zoned = cli(['--dialect', 'github', '--tz', 'Europe/Berlin', '-v', '0 9 * * *']);
+  assert(zoned.status === 1 && zoned.stdout.includes('[UNSUPPORTED_TIMEZONE]'), '-v checks --tz against the dialect');
+}
+
+// Test: Quartz special characters
+console.log('\nQuartz special characters:');
+{
+  const last = parse('0 0 L * ?');
+  assertEqual(last.fields['day of month'].specials, [{ type: 'last', daysBefore: 0 }], 'parses L');
+  assertEqual(last.fields['day of week'].type, 'wildcard', 'parses ? as no specific value');
+  assertEqual(parse('0 0 ? * 5#3').fields['day of week'].specials, [{ type: 'nth', weekday: 5, nth: 3 }], 'parses #');
+  assertEqual(parse('0 0 ? * FRIL').fields['day of week'].specials, [{ type: 'lastOf', weekday: 5 }], 'parses named last weekday');
+
+  assertEqual(explain('0 0 L * *'), 'At 00:00, on the last day of the month', 'explains L');
+  assertEqual(explain('0 0 15W * *'), 'At 00:00, on the weekday nearest day 15 of the month', 'explains W');
+  assertEqual(explain('0 0 ? * 5#3'), 'At 00:00, on the third Friday of the month', 'explains #');
+  assertEqual(explain('0 0 ? * 6L'), 'At 00:00, on the last Saturday of the month', 'explains nL');
+
+  const day = d => d.getDate();
+  const base = new Date(2026, 0, 1);
+  assertEqual(nextOccurrences('0 0 L * *', 3, base).map(day), [31, 28, 31], 'L follows month lengths');
+  assertEqual(nextOccurrences('0 0 LW * *', 2, base).map(day), [30, 27], 'LW is the last weekday');
+  // 2026-02-15 is a Sunday, 2026-03-01 is a Sunday
+  assertEqual(nextOccurrences('0 0 15W 2 *', 1, base).map(day), [16], '15W moves Sunday to Monday');
+  assertEqual(nextOccurrences('0 0 1W 3 *', 1, base).map(day), [2], '1W does not leave the month');
+  assertEqual(nextOccurrences('0 0 ? * 5#3', 2, base).map(day), [16, 20], '5#3 is the third Friday');
+  assertEqual(nextOccurrences('0 0 ? * 6L', 2, base).map(day), [31, 28], '6L is the last Saturday');
+
+  assert(validate('0 0 L 2 *').diagnostics.length === 0, 'L in February does not warn');
+  assert(validate('0 0 L * 5W').valid === false, 'W is rejected in day of week');
+}
+
+// Test: time zones
+console.log('\ntime zones:');
+{
+  const ny = { timezone: 'America/New_York' };
+  const iso = dates => dates.map(d => d.toISOString());
+
+  assertEqual(iso(nextOccurrences('0 9 * * *', 2, new Date('2026-03-07T00:00:00Z'), ny)),
+    ['2026-03-07T14:00:00.000Z', '2026-03-08T13:00:00.000Z'], 'follows the zone across spring-forward');
+  assertEqual(iso(nextOccurrences('30 2 * * *', 2, new Date('2026-03-07T12:00:00Z'), ny)),
+    ['2026-03-08T07:00:00.000Z', '2026-03-09T06:30:00.000Z'], 'skipped time fires at the end of the gap');
+  assertEqual(iso(nextOccurrences('0,30 2-3 * * *', 3, new Date('2026-03-08T06:00:00Z'), ny)),
+    ['2026-03-08T07:00:00.000Z', '2026-03-08T07:30:00.000Z', '2026-03-09T06:00:00.000Z'], 'skipped times do not duplicate real ones');
+  assertEqual(iso(nextOccurrences('30 1 * * *', 2, new Date('2026-10-31T12:00:00Z'), ny)),
+    ['2026-11-01T05:30:00.000Z', '2026-11-02T06:30:00.000Z'], 'repeated time fires once, on its first pass');
+  assertEqual(iso(nextOccurrences('0 0 * * *', 1, new Date('2026-01-01T12:00:00Z'), { timezone: 'Asia/Kolkata' })),
+    ['2026-01-01T18:30:00.000Z'], 'handles half-hour offsets');
+
+  try {
+    nextOccurrences('* * * * *', 1, new Date(), { timezone: 'Not/AZone' });
+    assert(false, 'unknown time zone should throw');
+  } catch (e) {
+    assert(/Invalid time zone/.test(e.message), 'unknown time zone throws');
+  }
+}
+
+// Test: occurrence search
+console.log('\noccurrence search:');
+{
+  const utc = { timezone: 'UTC' };
+  const iso = dates => dates.map(d => d.toISOString());
+  const base = new Date('2029-03-01T00:00:00Z');
+
+  assertEqual(iso(nextOccurrences('0 0 29 2 *', 2, base, utc)),
+    ['2032-02-29T00:00:00.000Z', '2036-02-29T00:00:00.000Z'], 'finds leap days more than a year out');
+  const and = { timezone: 'UTC', dayMatching: 'and' };
+  assertEqual(nextOccurrences('0 0 29 2 1', 1, base, and).length, 0, 'stops at the default horizon');
+  assertEqual(iso(nextOccurrences('0 0 29 2 1', 1, base, { ...and, maxYears: 20 })),
+    ['2044-02-29T00:00:00.000Z'], 'horizon is configurable');
+  assertEqual(nextOccurrences('0 0 30 2 *', 1, base, utc).length, 0, 'impossible date returns nothing');
+  assertEqual(iso(nextOccurrences('30 15 10 1 6 *', 2, base, utc)),
+    ['2029-06-01T10:15:30.000Z', '2030-06-01T10:15:30.000Z'], 'jumps to a yearly 6-field schedule');
+  assertEqual(iso(nextOccurrences('*/20 * * * * *', 3, new Date('2026-01-01T00:00:05Z'), utc)),
+    ['2026-01-01T00:00:20.000Z', '2026-01-01T00:00:40.000Z', '2026-01-01T00:01:00.000Z'], 'carries seconds into minutes');
+  assertEqual(iso(nextOccurrences('59 23 31 12 *', 1, new Date('2026-12-31T23:59:00Z'), utc)),
+    ['2027-12-31T23:59:00.000Z'], 'occurrences are strictly after the start');
+}
+
+// Test: previous occurrences and windows
+console.log('\npreviousOccurrences() / occurrencesBetween() / occurrences():');
+{
+  const utc = { timezone: 'UTC' };
+  const iso = dates => dates.map(d => d.toISOString());
+
+  assertEqual(iso(previousOccurrences('0 9 * * 1-5', 2, new Date('2026-10-19T14:05:00Z'), utc)),
+    ['2026-10-19T09:00:00.000Z', '2026-10-16T09:00:00.000Z'], 'previous runs, most recent first');
+  assertEqual(iso(previousOccurrences('0 0 L * *', 2, new Date('2026-03-31T00:00:00Z'), utc)),
+    ['2026-02-28T00:00:00.000Z', '2026-01-31T00:00:00.000Z'], 'previous runs are strictly before the start');
+  assertEqual(iso(previousOccurrences('*/20 * * * * *', 2, new Date('2026-01-01T00:00:10Z'), utc)),
+    ['2026-01-01T00:00:00.000Z', '2025-12-31T23:59:40.000Z'], 'previous runs cross a year boundary');
+  assertEqual(iso(previousOccurrences('30 2 * * *', 1, new Date('2026-03-08T12:00:00Z'), { timezone: 'America/New_York' })),
+    ['2026-03-08T07:00:00.000Z'], 'previous runs apply the DST gap rule');
+
+  assertEqual(iso(occurrencesBetween('0 */6 * * *', new Date('2026-01-01T00:00:00Z'), new Date('2026-01-02T00:00:00Z'), utc)),
+    ['2026-01-01T00:00:00.000Z', '2026-01-01T06:00:00.000Z', '2026-01-01T12:00:00.000Z',
+      '2026-01-01T18:00:00.000Z', '2026-01-02T00:00:00.000Z'], 'window includes both ends');
+  assertEqual(occurrencesBetween('0 0 1 1 *', new Date('2026-02-01T00:00:00Z'), new Date('2026-12-31T00:00:00Z'), utc).length,
+    0, 'empty window');
+
+  const iterator = occurrences('* * * * *', { start: new Date('2026-01-01T00:00:00Z'), timezone: 'UTC' });
+  assertEqual(iterator.next().value.toISOString(), '2026-01-01T00:01:00.000Z', 'iterator yields lazily');
+  assertEqual(iterator.next().value.toISOString(), '2026-01-01T00:02:00.000Z', 'iterator continues');
+  const reversed = occurrences('0 0 * * *', { start: new Date('2026-01-03T12:00:00Z'), reverse: true, timezone: 'UTC' });
+  assertEqual(reversed.next().value.toISOString(), '2026-01-03T00:00:00.000Z', 'reverse iterator');
+}
+
+// Test: day of month / day of week semantics
+console.log('\nday matching:');
+{
+  const utc = { timezone: 'UTC' };
+  const days = dates => dates.map(d => d.toISOString().slice(0, 10));
+  const base = new Date('2026-01-01T00:00:00Z');
+
+  assertEqual(days(nextOccurrences('0 0 1 * 1', 3, base, utc)), ['2026-01-05', '2026-01-12', '2026-01-19'],
+    'standard cron runs when either day field matches');
+  assertEqual(days(nextOccurrences('0 0 1 * 1', 2, base, { timezone: 'UTC', dayMatching: 'and' })),
+    ['2026-06-01', '2027-02-01'], 'and semantics require both');
+  assertEqual(days(nextOccurrences('0 0 */10 * 1', 2, base, utc)), ['2026-05-11', '2026-06-01'],
+    'a stepped wildcard still combines with and');
+  assertEqual(days(nextOccurrences('0 0 15 * ?', 1, base, utc)), ['2026-01-15'], '? leaves the other field in charge');
+
+  assertEqual(explain('0 0 1 * 1'), 'At 00:00, on day 1 of the month or on Monday', 'explains or semantics');
+  assertEqual(explain('0 0 13 * 5', { dayMatching: 'and' }), 'At 00:00, on day 13, only if it falls on Friday', 'explains and semantics');
+  assertEqual(parse('0 0 1 * 1').dayMatching, 'or', 'defaults to standard cron');
+
+  assertEqual(validate('0 0 30 2 1').diagnostics.length, 0, 'day of week keeps Feb 30 schedules firing');
+  assertEqual(validate('0 0 30 2 1', { dayMatching: 'and' }).diagnostics.length, 1, 'and semantics still warn');
+}
+
+// Test: crontab files
+console.log('\ncrontab files:');
+{
+  const text = [
+    '# nightly jobs',
+    'MAILTO=ops@example.com',
+    '',
+    '*/15 * * * * /usr/bin/poll --quiet',
+    '@reboot /usr/bin/start-agent',
+    'CRON_TZ=America/New_York',
+    '30 2 * * 1-5 /usr/bin/backup.sh > /dev/null 2>&1',
+    '0 99 * * * /usr/bin/broken',
+    '0 0 * * *',
+    '@fortnightly /usr/bin/never'
+  ].join('\n');
+
+  const crontab = parseCrontab(text);
+  assertEqual(crontab.entries.map(e => e.line), [4, 5, 7], 'skips comments, blanks and assignments');
+  assertEqual(crontab.environment.MAILTO, 'ops@example.com', 'collects environment assignments');
+  assertEqual(crontab.entries[2].command, '/usr/bin/backup.sh > /dev/null 2>&1', 'keeps the command column intact');
+  assertEqual(crontab.entries[2].timezone, 'America/New_York', 'applies CRON_TZ to later entries');
+  assert(crontab.entries[1].reboot === true, 'recognises @reboot');
+  assertEqual(crontab.errors.map(e => [e.line, e.code]),
+    [[8, 'OUT_OF_RANGE'], [9, 'MISSING_COMMAND'], [10, 'UNKNOWN_KEYWORD']], 'reports malformed lines by number');
+  assertEqual(crontab.errors[0].column, 3, 'points at the bad column');
+
+  const system = parseCrontab('17 * * * * root run-parts /etc/cron.hourly\n@daily www-data /usr/bin/clean', { system: true });
+  assertEqual(system.entries.map(e => [e.user, e.command, e.expression]),
+    [['root', 'run-parts /etc/cron.hourly', '17 * * * *'], ['www-data', '/usr/bin/clean', '0 0 * * *']],
+    'reads the user column of system crontabs');
+
+  const custom = parseCrontab('@business-hours /usr/bin/report\n@etl-poll /usr/bin/etl\n@every 5m /usr/bin/poll\n@every 90m /usr/bin/slow');
+  assertEqual(custom.entries.map(e => [e.schedule, e.expression, e.command]), [
+    ['@business-hours', '0 9-17 * * 1-5', '/usr/bin/report'],
+    ['@etl-poll', '*/10 * * * *', '/usr/bin/etl'],
+    ['@every 5m', '*/5 * * * *', '/usr/bin/poll']
+  ], 'resolves registered presets and @every as parse() does');
+  assertEqual(custom.errors.map(e => [e.line, e.code]), [[4, 'INVALID_DURATION']], 'and reports their errors');
+
+  const explained = explainCrontab(text, { startFrom: new Date('2026-01-05T12:00:00Z'), timezone: 'UTC' });
+  assertEqual(explained.entries[0].explanation, 'Every 15 minutes', 'explains each entry');
+  assertEqual(explained.entries[0].nextRun.toISOString(), '2026-01-05T12:15:00.000Z', 'computes the next run');
+  assertEqual(explained.entries[2].nextRun.toISOString(), '2026-01-06T07:30:00.000Z', 'next run honours CRON_TZ');
+  assert(explained.entries[1].nextRun === null, '@reboot has no next run');
+}
+
+// Test: systemd OnCalendar conversion
+console.log('\nsystemd OnCalendar:');
+{
+  assertEqual(toSystemd('0 9 * * 1-5'), 'Mon..Fri *-*-* 09:00:00', 'converts weekday ranges');
+  assertEqual(toSystemd('*/15 * * * *'), '*-*-* *:00/15:00', 'converts steps to repetitions');
+  assertEqual(toSystemd('30 0 9 1,15 * *'), '*-*-01,15 09:00:30', 'keeps the seconds field');
+  assertEqual(toSystemd('0 0 L-2 * *'), '*-*~03 00:00:00', 'counts L days from the end of the month');
+  assertEqual(toSystemd('0 0 ? * 5#3'), 'Fri *-*-15..21 00:00:00', 'converts nth weekday to a seven-day block');
+  assertEqual(toSystemd('0 0 1 * 1', { dayMatching: 'and' }), 'Mon *-*-01 00:00:00', 'AND day matching converts directly');
+  for (const convert of [toSystemd, toRRule]) {
+    let error = null;
+    try {
+      convert('0 0 1 * 1');
+    } catch (e) {
+      error = e;
+    }
+    assert(error && /, or the dayMatching: 'and' option to require both$/.test(error.message), `${convert.name}() names the dayMatching option`);
+  }
+
+  let error = null;
+  try {
+    toSystemd('0 0 1 * 1');
+  } catch (e) {
+    error = e;
+  }
+  assertEqual(error && error.code, 'NO_EQUIVALENT', 'OR day matching has no OnCalendar equivalent');
+
+  assertEqual(fromSystemd('Mon..Fri *-*-* 09:00:00').expression, '0 9 * * 1-5', 'parses weekdays and time');
+  assertEqual(fromSystemd('Sat,Sun 10:30').expression, '30 10 * * 0,6', 'date defaults to every day');
+  assertEqual(fromSystemd('weekly').expression, '0 0 * * 1', 'expands shorthands');
+  assertEqual(fromSystemd('*-*~01 23:00').expression, '0 23 L * *', 'converts ~ days to L');
+  assertEqual(fromSystemd('Sat *-*~07/1').expression, '0 0 ? * 6L', 'converts the last weekday of the month');
+  assertEqual(fromSystemd('*:*:0/20').expression, '*/20 * * * * *', 'uses six fields when seconds matter');
+  assertEqual(fromSystemd('Mon 08:00 Europe/Berlin').timezone, 'Europe/Berlin', 'returns a trailing time zone');
+  assertEqual(fromSystemd('*-*-* 09:00').parsed.fields.hour.values, [9], 'returns the parsed field model');
+  assertEqual(explain(fromSystemd(toSystemd('0 12 ? * 1#2')).expression), 'At 12:00, on the second Monday of the month',
+    'round-trips through OnCalendar');
+
+  for (const [text, code] of [['1900-*-* 00:00', 'OUT_OF_RANGE'], ['Mon *-*-01', 'NO_EQUIVALENT'], ['*-*-* 25:00', 'OUT_OF_RANGE']]) {
+    error = null;
+    try {
+      fromSystemd(text);
+    } catch (e) {
+      error = e;
+    }
+    assertEqual(error && error.code, code, `rejects '${text}' with ${code}`);
+  }
+}
+
+// Test: iCalendar RRULE conversion
+console.log('\niCalendar RRULE:');
+{
+  assertEqual(toRRule('0 9 * * 1-5'), 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;BYHOUR=9;BYMINUTE=0', 'converts weekdays and time');
+  assertEqual(toRRule('*/15 * * * *'), 'FREQ=MINUTELY;INTERVAL=15', 'converts even steps to an interval');
+  assertEqual(toRRule('5-59/10 * * * *'), 'FREQ=HOURLY;BYMINUTE=5,15,25,35,45,55', 'lists steps with an offset');
+  assertEqual(toRRule('0 1-23/2 * * *'), 'FREQ=DAILY;BYHOUR=1,3,5,7,9,11,13,15,17,19,21,23;BYMINUTE=0', 'in hours too');
+  assertEqual(fromRRule(toRRule('5-59/10 * * * *')).parsed.fields.minute.values, [5, 15, 25, 35, 45, 55],
+    'round-trips the offset through RRULE');
+  assertEqual(toRRule('0 0 L * *'), 'FREQ=MONTHLY;BYMONTHDAY=-1;BYHOUR=0;BYMINUTE=0', 'converts L to a negative month day');
+  assertEqual(toRRule('0 9 ? * 5#3'), 'FREQ=MONTHLY;BYDAY=3FR;BYHOUR=9;BYMINUTE=0', 'converts nth weekday to a numbered BYDAY');
+  assertEqual(toRRule('0 18 LW * ?'), 'FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYHOUR=18;BYMINUTE=0;BYSETPOS=-1',
+    'converts LW with BYSETPOS');
+  assertEqual(toRRule('30 0 9 * * *'), 'FREQ=DAILY;BYHOUR=9;BYMINUTE=0;BYSECOND=30', 'keeps the seconds field');
+
+  for (const expression of ['0 0 1 * 1', '0 9 15W * ?']) {
+    let error = null;
+    try {
+      toRRule(expression);
+    } catch (e) {
+      error = e;
+    }
+    assertEqual(error && error.code, 'NO_EQUIVALENT', `'${expression}' has no RRULE equivalent`);
+  }
+
+  assertEqual(fromRRule('FREQ=WEEKLY;BYDAY=MO,WE;BYHOUR=9;BYMINUTE=30').expression, '30 9 * * 1,3', 'parses a weekly rule');
+  assertEqual(fromRRule('RRULE:FREQ=MONTHLY;BYDAY=-1FR;BYHOUR=17;BYMINUTE=0').expression, '0 17 ? * 5L',
+    'parses an RRULE: line with a last weekday');
+  assertEqual(fromRRule('FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=1;BYHOUR=0;BYMINUTE=0').expression, '0 0 1 */3 *',
+    'converts a monthly interval that divides the year');
+  assertEqual(fromRRule('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=1;BYHOUR=9;BYMINUTE=0').expression, '0 9 1W * ?',
+    'converts the first weekday of the month');
+  const withStart = fromRRule('DTSTART;TZID=Europe/Berlin:20261019T073000\r\nRRULE:FREQ=WEEKLY');
+  assertEqual([withStart.expression, withStart.timezone], ['30 7 * * 1', 'Europe/Berlin'], 'takes missing parts from DTSTART');
+  assertEqual(fromRRule(toRRule('5/15 9-17 * * 1-5')).parsed.fields.hour.values, [9, 10, 11, 12, 13, 14, 15, 16, 17],
+    'round-trips limits through RRULE');
+
+  for (const [rule, code] of [['FREQ=DAILY;COUNT=5', 'NO_EQUIVALENT'], ['FREQ=DAILY;INTERVAL=2', 'NO_EQUIVALENT'],
+    ['FREQ=YEARLY;BYWEEKNO=20', 'NO_EQUIVALENT'], ['FREQ=DAILY;BYHOUR=24', 'OUT_OF_RANGE'], ['FREQ=FORTNIGHTLY', 'INVALID_VALUE']]) {
+    let error = null;
+    try {
+      fromRRule(rule);
+    } catch (e) {
+      error = e;
+    }
+    assertEqual(error && error.code, code, `rejects '${rule}' with ${code}`);
+  }
+
+  const ics = toICS('0 9 * * 1-5', {
+    name: 'Stand-up, daily',
+    duration: 90,
+    timezone: 'Europe/Berlin',
+    start: new Date('2026-10-19T10:00:00Z')
+  });
+  const lines = ics.split('\r\n');
+  assert(lines[0] === 'BEGIN:VCALENDAR' && ics.endsWith('END:VCALENDAR\r\n'), 'ics is a CRLF calendar');
+  assert(lines.includes('DTSTART;TZID=Europe/Berlin:20261020T090000'), 'ics starts at the first run in the time zone');
+  assert(lines.includes('DURATION:PT1H30M'), 'ics event has the duration');
+  assert(lines.includes('SUMMARY:Stand-up\\, daily'), 'ics escapes the event name');
+  assert(lines.includes('RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;BYHOUR=9;BYMINUTE=0'), 'ics event repeats by the RRULE');
+  assert(lines.includes('TZID:Europe/Berlin') && lines.includes('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU'),
+    'ics defines the time zone and its DST rules');
+  assert(lines.every(line => Buffer.byteLength(line) <= 75), 'ics folds long lines');
+  assertEqual(fromRRule(ics).expression, '0 9 * * 1-5', 'reads its own ics back');
+  assert(!toICS('0 9 * * *', { timezone: 'UTC', start: new Date('2020-01-01T00:00:00Z') }).includes('DTSTAMP:20200101T000000Z'),
+    'ics stamps the time it was made, not the start option');
+}
+
+// Test: platform dialects
+console.log('\ndialects:');
+{
+  const codeOf = fn => {
+    try {
+      fn();
+    } catch (e) {
+      return e.code;
+    }
+    return null;
+  };
+
+  assertEqual(listDialects(), ['unix', 'aws', 'kubernetes', 'github', 'jenkins'], 'lists the dialects');
+  assertEqual(parse('0 9 ? * 2-6 *', { dialect: 'aws' }).fields['day of week'].values, [1, 2, 3, 4, 5],
+    'AWS numbers weekdays from Sunday = 1');
+  assertEqual(explain('0 9 ? * 6#3 *', { dialect: 'aws' }), explain('0 9 ? * 5#3'), 'AWS shifts weekdays in # tokens');
+  assertEqual(parse('0 9 ? * 2/2 *', { dialect: 'aws' }).fields['day of week'].values, [1, 3, 5],
+    'AWS weekday steps stop at Saturday');
+  assertEqual(parse('0 9 ? * MON *', { dialect: 'aws' }).timezone, 'UTC', 'AWS runs in UTC by default');
+  assertEqual(parse('0 9 ? * MON *', { dialect: 'aws', timezone: 'Europe/Berlin' }).timezone, null,
+    'AWS accepts a time zone for EventBridge Scheduler');
+  assertEqual(codeOf(() => parse('0 9 * * MON *', { dialect: 'aws' })), 'DAY_FIELDS', 'AWS needs exactly one ?');
+  assertEqual(codeOf(() => parse('0 9 * * *', { dialect: 'aws' })), 'FIELD_COUNT', 'AWS needs six fields');
+
+  const k8s = parse('CRON_TZ=Asia/Tokyo 30 6 * * *', { dialect: 'kubernetes' });
+  assertEqual([k8s.timezone, k8s.fields.hour.values], ['Asia/Tokyo', [6]], 'Kubernetes reads a CRON_TZ prefix');
+  assertEqual(nextOccurrences('TZ=Asia/Tokyo 30 6 * * *', 1, new Date('2026-10-19T12:00:00Z'), { dialect: 'kubernetes' }),
+    [new Date('2026-10-19T21:30:00Z')], 'occurrences use the CRON_TZ zone');
+  assertEqual(explain('@daily', { dialect: 'kubernetes' }), explain('0 0 * * *'), 'Kubernetes expands macros');
+  assertEqual(codeOf(() => parse('0 0 L * *', { dialect: 'kubernetes' })), 'UNSUPPORTED_TOKEN', 'Kubernetes rejects L');
+  assertEqual(codeOf(() => parse('0 0 * * 7', { dialect: 'kubernetes' })), 'OUT_OF_RANGE', 'Kubernetes weekdays stop at 6');
+
+  assertEqual(parse('0 9 * * *', { dialect: 'github' }).timezone, 'UTC', 'GitHub Actions runs in UTC');
+  assertEqual(codeOf(() => parse('0 9 * * *', { dialect: 'github', timezone: 'Europe/Berlin' })), 'UNSUPPORTED_TIMEZONE',
+    'GitHub Actions rejects other time zones');
+  assertEqual(validate('*/2 * * * *', { dialect: 'github' }).diagnostics.map(d => d.code), ['TOO_FREQUENT'],
+    'GitHub Actions warns below five minutes');
+  assertEqual(validate('*/5 * * * *', { dialect: 'github' }).diagnostics, [], 'every five minutes is fine');
+  assertEqual(codeOf(() => parse('0 9 ? * 1', { dialect: 'jenkins' })), 'UNSUPPORTED_TOKEN', 'Jenkins rejects ?');
+  assertEqual(validate('0 9 ? * MON *', { dialect: 'aws' }).fields, 6, 'validate counts the fields as written');
+
+  assertEqual(convertDialect('0 9 * * 1-5', 'aws').expression, '0 9 ? * MON-FRI *', 'converts to AWS');
+  assertEqual(convertDialect('0 9 ? * 6L *', 'unix', { dialect: 'aws' }).expression, '0 9 * * 5L', 'converts from AWS');
+  const fromK8s = convertDialect('CRON_TZ=Europe/Berlin 0 9 * * 1-5', 'unix', { dialect: 'kubernetes' });
+  assertEqual([fromK8s.expression, fromK8s.timezone], ['0 9 * * MON-FRI', 'Europe/Berlin'],
+    'returns a time zone the target cannot write');
+  assertEqual(convertDialect('0 9 * * *', 'kubernetes', { dialect: 'github' }).expression, 'CRON_TZ=UTC 0 9 * * *',
+    'keeps the time zone in a CRON_TZ prefix');
+  assertEqual(convertDialect('0 9 * * *', 'kubernetes', { timezone: 'Europe/Berlin' }).expression, 'CRON_TZ=Europe/Berlin 0 9 * * *',
+    'including one given as an option');
+  assertEqual(convertDialect('0 9 * * *', 'unix', { timezone: 'Europe/Berlin' }).timezone, 'Europe/Berlin', 'or returns it');
+  assertEqual(codeOf(() => convertDialect('0 9 * * *', 'github', { timezone: 'Europe/Berlin' })), 'NO_EQUIVALENT',
+    'and does not drop it for a dialect fixed to UTC');
+  for (const [expression, target, options] of [['0 0 1 * 1', 'aws', {}], ['30 0 9 * * *', 'github', {}],
+    ['0 9 L * *', 'jenkins', {}], ['CRON_TZ=Europe/Berlin 0 9 * * *', 'github', { dialect: 'kubernetes' }]]) {
+    assertEqual(codeOf(() => convertDialect(expression, target, options)), 'NO_EQUIVALENT',
+      `'${expression}' has no ${target} equivalent`);
+  }
+}
+
+// Test: Jenkins-style H tokens
+console.log('\nH tokens:');
+{
+  const valuesOf = (expression, options) => Object.values(parse(expression, options).fields).map(field => field.values);
+
+  assertEqual(valuesOf('H H * * *', { seed: 'nightly-build' }), valuesOf('H H * * *', { seed: 'nightly-build' }),
+    'the same seed always picks the same values');
+  assertEqual(valuesOf('H H(0-5) * * *', { seed: 'nightly-build' }).slice(0, 2), [[16], [2]],
+    'resolves H as Jenkins does for the job name');
+  assertEqual(valuesOf('H H H H H'), [[0], [0], [1], [1], [0]], 'without a seed H picks the lowest value');
+  assertEqual(parse('H/15 * * * *', { seed: 'my-job' }).fields.minute.values, [3, 18, 33, 48], 'H/15 steps from a chosen minute');
+  assertEqual(parse('H(0-29) * * * *', { seed: 'other' }).fields.minute.values, [4], 'H(a-b) stays within the range');
+  assert(['a', 'b', 'c', 'd', 'e'].every(seed => parse('0 0 H * *', { seed }).fields['day of month'].values[0] <= 28),
+    'a day of the month chosen by H exists in every month');
+  assertEqual(parse('H(0-29)/10 * * * *').fields.minute.hash, { start: 0, end: 29, step: 10 }, 'keeps the token\'s bounds');
+  assertEqual(nextOccurrences('H H(0-5) * * *', 2, new Date('2026-10-19T00:00:00Z'), { seed: 'nightly-build', timezone: 'UTC' }),
+    [new Date('2026-10-19T02:16:00Z'), new Date('2026-10-20T02:16:00Z')], 'occurrences use the resolved values');
+  assertEqual(parse('@daily', { dialect: 'jenkins', seed: 'x' }).fields.hour.values.length, 1, 'Jenkins macros use H');
+
+  assertEqual(explain('H * * * *'), 'Once an hour at a minute chosen per job', 'explains H');
+  assertEqual(explain('H/15 * * * *'), 'Every 15 minutes from a minute chosen per job', 'explains H/n');
+  assertEqual(explain('H(0-29) * * * *'), 'Once an hour at a minute chosen per job (minutes 0 through 29)', 'explains H(a-b)');
+  assertEqual(explain('H H(0-2) * * *'), 'Once a day at a time chosen per job between 00:00 and 02:59', 'explains H H');
+  assertEqual(explain('H H * * H', { seed: 'x' }), 'Once a day at a time chosen per job, on a day of the week chosen per job',
+    'explains H in the day fields, whatever the seed');
+  assertEqual(explain('H * * * *', { locale: 'de' }), 'Einmal pro Stunde zu einer je Job gewählten Minute', 'and in other languages');
+
+  const codeOf = expression => validate(expression, { dialect: 'github' }).diagnostics.map(d => d.code);
+  assertEqual(codeOf('H * * * *'), ['UNSUPPORTED_TOKEN'], 'GitHub Actions rejects H');
+  assertEqual(validate('H/90 * * * *').diagnostics.map(d => d.code), ['INVALID_STEP'], 'a step longer than the range is an error');
+  assertEqual(validate('H(30-10) * * * *').diagnostics.map(d => d.code), ['REVERSED_RANGE'], 'and so is a reversed range');
+}
+
+// Test: year field
+console.log('\nyear field:');
+{
+  const after = new Date('2026-10-19T00:00:00Z');
+  const utc = { timezone: 'UTC' };
+
+  assertEqual(parse('0 0 12 1 1 ? 2027').fields.year.values, [2027], 'reads a seventh field as the year');
+  const sixFields = parse('0 0 * * ? 2026-2030');
+  assertEqual([sixFields.isExtended, sixFields.fields.year.values], [false, [2026, 2027, 2028, 2029, 2030]],
+    'six fields ending in a year have no seconds');
+  assertEqual(parse('0 0 1 1 * 2026/2').fields.year.values.slice(0, 3), [2026, 2028, 2030], 'year steps');
+  assertEqual(parse('0 9 ? * MON 2026,2028', { dialect: 'aws' }).fields.year.values, [2026, 2028],
+    'AWS accepts years');
+  assertEqual(explain('0 0 * * ? 2026-2030'), 'At 00:00, only in 2026 through 2030', 'explains a range of years');
+  assertEqual(explain('0 0 12 1 1 ? 2027'), 'At 12:00:00, on day 1 in January, only in 2027', 'explains a single year');
+  assertEqual(explain('0 9 * * 1-5 2026/2'), 'At 09:00, on weekdays, every 2 years from 2026', 'explains year steps');
+  assertEqual(explain('0 0 * * ? 2026-2030', { locale: 'ja' }), '2026年から2030年まで、毎日00:00', 'and in other languages');
+
+  assertEqual(nextOccurrences('0 0 1 1 * 2027,2028', 5, after, utc),
+    [new Date('2027-01-01T00:00:00Z'), new Date('2028-01-01T00:00:00Z')], 'stops after the last year');
+  assertEqual(nextOccurrences('0 0 1 1 * 2045', 1, after, utc), [new Date('2045-01-01T00:00:00Z')],
+    'finds years further ahead than the usual search');
+  assertEqual(previousOccurrences('0 0 1 1 * 2020,2022', 5, after, utc),
+    [new Date('2022-01-01T00:00:00Z'), new Date('2020-01-01T00:00:00Z')], 'and looks back to the first');
+
+  const now = new Date('2026-10-19T00:00:00Z');
+  assertEqual(validate('0 0 * * ? 2024-2030', { now }).diagnostics.map(d => [d.code, d.message]),
+    [['PAST_YEAR', '2 of the years in 2024-2030 are already in the past']], 'flags years in the past');
+  assertEqual(validate('0 0 * * ? 2025', { now }).diagnostics.map(d => [d.code, d.message]),
+    [['NEVER_FIRES', 'Schedule never fires again: 2025 is in the past']], 'and schedules with no years left as never firing');
+  assertEqual(lint(['0 0 1 1 * 2020,2021'], { now }).findings.map(f => [f.rule, f.field, f.message]),
+    [['impossible-date', 'year', 'Schedule never fires again: every year in 2020,2021 is in the past']], 'which lint reports with its reason');
+  assertEqual(validate('0 0 * * ? 2026', { now }).diagnostics, [], 'the current year is not past');
+  assertEqual(validate('0 9 ? * MON-FRI *', { now, dialect: 'aws' }).diagnostics, [], 'every year is not a restriction');
+  assertEqual(validate('0 0 * * ? 1960').diagnostics[0].code, 'OUT_OF_RANGE', 'years start at 1970');
+
+  assertEqual(normalize('0 0 * * ? 2026,2027,2028'), '0 0 * * ? 2026-2028', 'normalizes the year');
+  assertEqual(convertDialect('0 9 * * 1-5 2026-2030', 'aws').expression, '0 9 ? * MON-FRI 2026-2030', 'converts years to AWS');
+  assertEqual(toSystemd('0 9 * * 1-5 2026-2030'), 'Mon..Fri 2026..2030-*-* 09:00:00', 'and to OnCalendar');
+  assertEqual(fromSystemd('2027-01-01 00:00').expression, '0 0 1 1 * 2027', 'and back');
+  assert(!compare('0 0 * * *', '0 0 * * * 2026-2030').equivalent, 'a year field makes expressions differ');
+  for (const convert of [() => convertDialect('0 0 * * * 2027', 'kubernetes'), () => toRRule('0 0 * * * 2027')]) {
+    let code = null;
+    try {
+      convert();
+    } catch (e) {
+      code = e.code;
+    }
+    assertEqual(code, 'NO_EQUIVALENT', 'years have no equivalent where there is no year field');
+  }
+}
+
+// Test: in-process scheduler
+console.log('\nschedule():');
+{
+  // Fake clock: advance() fires due timers in order, sleep() moves time without firing them
+  const createClock = start => {
+    let time = new Date(start).getTime();
+    let timers = [];
+    let id = 0;
+    return {
+      delays: [],
+      now: () => time,
+      setTimeout(fn, ms) {
+        this.delays.push(ms);
+        timers.push({ id: ++id, at: time + ms, fn });
+        return id;
+      },
+      clearTimeout(handle) {
+        timers = timers.filter(timer => timer.id !== handle);
+      },
+      advance(ms) {
+        const target = time + ms;
+        for (;;) {
+          timers.sort((a, b) => a.at - b.at);
+          if (timers.length === 0 || timers[0].at > target) break;
+          const timer = timers.shift();
+          time = Math.max(time, timer.at);
+          timer.fn();
+        }
+        time = target;
+      },
+      sleep(ms) {
+        time += ms;
+      }
+    };
+  };
+  const MINUTE = 60 * 1000;
+  const iso = date => date.toISOString();
+
+  let clock = createClock('2026-10-19T09:00:00Z');
+  const runs = [];
+  let job = schedule('*/15 * * * *', ({ scheduled }) => runs.push(scheduled), { clock, timezone: 'UTC' });
+  job.on('run', info => assert(info.started.getTime() === info.scheduled.getTime(), `starts exactly at ${iso(info.scheduled)}`));
+  clock.advance(60 * MINUTE);
+  assertEqual(runs.map(iso), ['2026-10-19T09:15:00.000Z', '2026-10-19T09:30:00.000Z', '2026-10-19T09:45:00.000Z',
+    '2026-10-19T10:00:00.000Z'], 'runs at each occurrence');
+  job.stop();
+
+  clock = createClock('2026-10-19T00:00:00Z');
+  const yearly = [];
+  job = schedule('0 0 1 1 *', ({ scheduled }) => yearly.push(scheduled), { clock, timezone: 'UTC' });
+  clock.advance(80 * 24 * 60 * MINUTE);
+  assertEqual(yearly.map(iso), ['2027-01-01T00:00:00.000Z'], 'waits longer than setTimeout can');
+  assert(clock.delays.every(ms => ms <= 2147483647) && clock.delays.length > 2, 'in steps setTimeout accepts');
+  job.stop();
+
+  clock = createClock('2026-10-19T00:00:00Z');
+  job = schedule('0 9 * * *', () => {}, { clock, timezone: 'Europe/Berlin' });
+  assertEqual(iso(job.nextRun()), '2026-10-19T07:00:00.000Z', 'runs in the given time zone');
+  job.pause();
+  assertEqual([job.state, job.nextRun()], ['paused', null], 'pauses');
+  clock.advance(24 * 60 * MINUTE);
+  job.resume();
+  assertEqual([job.state, iso(job.nextRun())], ['scheduled', '2026-10-20T07:00:00.000Z'], 'resumes from now');
+  job.stop();
+  assertEqual([job.state, job.nextRun()], ['stopped', null], 'stops');
+
+  clock = createClock('2026-10-19T09:00:00Z');
+  const missed = [];
+  const late = [];
+  job = schedule('*/15 * * * *', ({ scheduled }) => late.push(scheduled), { clock, timezone: 'UTC' });
+  job.on('missed', event => missed.push([iso(event.scheduled), event.reason]));
+  clock.sleep(65 * MINUTE);
+  clock.advance(0);
+  assertEqual(missed, [['2026-10-19T09:15:00.000Z', 'late'], ['2026-10-19T09:30:00.000Z', 'late'],
+    ['2026-10-19T09:45:00.000Z', 'late']], 'reports runs missed while asleep');
+  assertEqual([late.map(iso), iso(job.nextRun())], [['2026-10-19T10:00:00.000Z'], '2026-10-19T10:15:00.000Z'],
+    'and makes only the latest');
+  job.stop();
+
+  // Handlers that stay running until their thenable is settled by hand
+  const overlapping = overlap => {
+    clock = createClock('2026-10-19T09:00:00Z');
+    const pending = [];
+    const events = [];
+    job = schedule('* * * * *', () => ({ then: resolve => pending.push(resolve) }), { clock, timezone: 'UTC', overlap });
+    job.on('run', info => events.push(`run ${iso(info.scheduled).slice(11, 16)}`));
+    job.on('missed', event => events.push(`${event.reason} ${iso(event.scheduled).slice(11, 16)}`));
+    clock.advance(2 * MINUTE);
+    const running = job.running;
+    pending.splice(0).forEach(resolve => resolve());
+    job.stop();
+    return { events, running };
+  };
+  assertEqual(overlapping('allow'), { events: ['run 09:01', 'run 09:02'], running: 2 }, 'allow runs side by side');
+  assertEqual(overlapping('skip'), { events: ['run 09:01', 'overlap 09:02'], running: 1 }, 'skip drops overlapping runs');
+  assertEqual(overlapping('queue'), { events: ['run 09:01', 'run 09:02'], running: 1 }, 'queue runs them afterwards');
+
+  clock = createClock('2026-10-19T09:00:00Z');
+  const errors = [];
+  let done = 0;
+  job = schedule('* * * * *', () => {
+    throw new Error('boom');
+  }, { clock });
+  job.on('error', (error, info) => errors.push([error.message, info.scheduled instanceof Date]));
+  job.on('done', () => done++);
+  clock.advance(2 * MINUTE);
+  assertEqual([errors, done, job.state], [[['boom', true], ['boom', true]], 2, 'scheduled'], 'reports errors and keeps going');
+  job.stop();
+
+  // A thenable that rejects at once, so the rejection is handled synchronously
+  const emitWarning = process.emitWarning;
+  const warnings = [];
+  process.emitWarning = warning => warnings.push(warning.message);
+  const failing = {
+    rejection: () => ({ then: (resolve, reject) => reject(new Error('rejected')) }),
+    throw: () => {
+      throw new Error('thrown');
+    }
+  };
+  for (const [kind, handler] of Object.entries(failing)) {
+    clock = createClock('2026-10-19T09:00:00Z');
+    done = 0;
+    job = schedule('* * * * *', handler, { clock, overlap: 'queue' });
+    job.on('done', () => done++);
+    let escaped = null;
+    try {
+      clock.advance(2 * MINUTE);
+    } catch (e) {
+      escaped = e;
+    }
+    assertEqual([escaped, done, job.running, job.state], [null, 2, 0, 'scheduled'],
+      `a ${kind} without an error listener does not stop the job`);
+    job.stop();
+  }
+  process.emitWarning = emitWarning;
+  assertEqual(warnings, ['rejected', 'rejected', 'thrown', 'thrown'], 'and becomes a process warning');
+
+  let error = null;
+  try {
+    schedule('* * * * *', () => {}, { overlap: 'never' });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /overlap/.test(error.message), 'rejects unknown overlap policies');
+}
+
+// Test: building expressions from English
+console.log('\nfromText:');
+{
+  const cases = [
+    ['every weekday at 9:30am', '30 9 * * 1-5'],
+    ['every 15 minutes between 8 and 18', '*/15 8-18 * * *'],
+    ['first Monday of every month at noon', '0 12 * * 1#1'],
+    ['every other hour', '0 */2 * * *'],
+    ['at 9 and 17', '0 9,17 * * *'],
+    ['mon-fri at 6pm', '0 18 * * 1-5'],
+    ['tuesday and thursday at 7:45 am', '45 7 * * 2,4'],
+    ['on the 1st and 15th at midnight', '0 0 1,15 * *'],
+    ['last friday of the month at 17:00', '0 17 * * 5L'],
+    ['on the last day of the month at 23:00', '0 23 L * *'],
+    ['on july 4th at noon', '0 12 4 7 *'],
+    ['every 10 seconds', '*/10 * * * * *'],
+    ['weekly', '0 0 * * 0']
+  ];
+  for (const [text, expected] of cases) {
+    assertEqual(fromText(text).expression, expected, `'${text}'`);
+  }
+  assertEqual(fromText('every weekday at 9:30am').explanation, 'At 09:30, on weekdays', 'round-trips through explain');
+
+  const failure = text => {
+    try {
+      fromText(text);
+    } catch (e) {
+      return [e.code, e.offset, e.length];
+    }
+    return null;
+  };
+  assertEqual(failure('every weekday at 9:30 banana'), ['UNKNOWN_WORD', 22, 6], 'points at an unknown word');
+  assertEqual(failure('every tuesday at 25:00'), ['OUT_OF_RANGE', 17, 5], 'rejects impossible times');
+  assertEqual(failure('at 9:15 and 17:30'), ['CONFLICT', 12, 5], 'rejects times one expression cannot hold');
+  assertEqual(failure('every 15 minutes at 9')[0], 'CONFLICT', 'rejects an interval combined with a time');
+}
+
+// Test: localized explanations
+console.log('\nlocales:');
+{
+  assertEqual(listLocales(), ['en', 'de', 'fr', 'es', 'pt-BR', 'ja'], 'bundles the documented packs');
+  assertEqual(explain('0 9 * * 1-5', { locale: 'de' }), 'Um 09:00 Uhr, montags bis freitags', 'German');
+  assertEqual(explain('0 0 ? * 5#3', { locale: 'fr' }), 'À 00:00, le troisième vendredi du mois', 'French');
+  assertEqual(explain('0 12 1,15 * *', { locale: 'es' }), 'A las 12:00, los días 1 y 15', 'Spanish');
+  assertEqual(explain('0 0 ? * 1#1', { locale: 'pt-BR' }), 'Às 00:00, na primeira segunda-feira do mês',
+    'Portuguese ordinals agree with the weekday');
+  assertEqual(explain('0 9 * * 1-5', { locale: 'ja' }), '平日の09:00', 'Japanese puts the date first');
+  assertEqual(explain('*/15 * * * *', { locale: 'ja' }), '15分ごと', 'Japanese intervals');
+  assertEqual(explain('0 9 1 * *', { locale: 'ja' }), '毎月1日の09:00', 'Japanese day of month');
+  assertEqual(explain('0 9,17 * * *', { locale: 'de' }), 'Um 09:00 und 17:00 Uhr', 'lists without a serial comma');
+  assertEqual(explain('0 0 1 * 1', { locale: 'es' }), 'A las 00:00, el día 1 o los lunes', 'localizes OR day matching');
+  assertEqual(explain('0 9 * * 1', { locale: 'de-AT' }), explain('0 9 * * 1', { locale: 'de' }), 'falls back to the language');
+  assertEqual(explain('0 9 * * 1', { locale: 'pt' }), 'Às 09:00, na segunda-feira', 'finds the regional pack for a language');
+  assertEqual(explain('*/1 * * * *'), 'Every minute', 'pluralizes steps of one');
+
+  let error = null;
+  try {
+    explain('0 9 * * 1', { locale: 'xx' });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /Unknown locale: xx/.test(error.message), 'rejects unknown locales');
+
+  registerLocale('en-x-pirate', {
+    time: clauses => (clauses[0].type === 'times' ? `at ${clauses[0].times.length} bells` : 'now and again')
+  });
+  assertEqual(explain('0 9 * * 1', { locale: 'en-x-pirate' }), 'At 1 bells, on Monday', 'custom packs fall back to English');
+}
+
+// Test: ranges, steps and explanation styles
+console.log('\nexplanation styles:');
+{
+  assertEqual(explain('*/15 9-17 * * *'), 'Every 15 minutes, between 09:00 and 17:59', 'steps within an hour range');
+  assertEqual(explain('5-59/10 * * * *'), 'Every 10 minutes starting at minute 5', 'offset steps');
+  assertEqual(explain('0-30/10 * * * *'), 'Every 10 minutes from minute 0 through 30', 'steps within part of the hour');
+  assertEqual(explain('0 9-17 * * *'), 'Every hour from 09:00 to 17:00', 'hour ranges');
+  assertEqual(explain('0 0,3,6,9,12,15,18,21 * * *'), 'Every 3 hours', 'long evenly spaced lists read as steps');
+  assertEqual(explain('0 1,2,5,7,9,13 * * *'), 'At 01:00, 02:00, 05:00, 07:00, 09:00, and 13:00', 'hours on the hour are listed as times');
+  assertEqual(explain('0 0-5,12 * * *'), 'Every hour from 00:00 to 05:00, at 12:00', 'runs of hours and single hours');
+  assertEqual(explain('*/15 0-5,12 * * *'), 'Every 15 minutes, between 00:00 and 05:59 and during the 12:00 hour', 'hour windows');
+  assertEqual(explain('0-5,30-35 * * * *'), 'At minutes 0 through 5 and 30 through 35 past the hour', 'minute ranges');
+  assertEqual(explain('0 0 */2 * *'), 'At 00:00, on every 2nd day of the month', 'day of month steps');
+  assertEqual(explain('0 0 2/3 * *'), 'At 00:00, on every 3rd day of the month from day 2', 'with their start');
+  assertEqual(explain('0 0 1-10 * *'), 'At 00:00, on days 1 through 10', 'day of month ranges');
+  assertEqual(explain('0 0 1-5,10-20 * *'), 'At 00:00, on days 1 through 5 and 10 through 20', 'several of them');
+  assertEqual(explain('0 0 * 3-9 *'), 'At 00:00, from March through September', 'month ranges');
+  assertEqual(explain('0 0 * */2 *'), 'At 00:00, every 2nd month', 'month steps');
+  assertEqual(explain('0 0 * 1-3,7-9 *', { short: true }), 'At 00:00, in Jan–Mar and Jul–Sep', 'short month ranges');
+  assertEqual(explain('0 0 * * 1-4,6'), 'At 00:00, on Monday through Thursday and Saturday', 'weekday ranges');
+  assertEqual(explain('0 0 1 1 * 2026-2028,2031,2035'), 'At 00:00, on day 1 in January, only in 2026 through 2028, 2031, and 2035',
+    'year ranges');
+  assert(!/different|\d+ (days|months)/.test(['0 0 */2 * *', '0 0 * 2-12 *', '0 0 * * 0-4', '0 1-9 * * *']
+    .map(expression => explain(expression)).join(' ')), 'never counts values');
+  assertEqual(explain('*/20 * * * * *'), 'Every 20 seconds', 'second steps');
+  assertEqual(explain('15,45 * * * * *'), 'At 15 and 45 seconds past the minute', 'second values');
+  assertEqual(explain('*/10 0 9 * * *'), 'Every 10 seconds, between 09:00:00 and 09:00:59', 'seconds within one minute');
+  assertEqual(explain('0 9 * * *', { verbose: true }), 'At 09:00, every day', 'verbose says every day');
+  assertEqual(explain('0 0,3,6,9,12,15,18,21 * * *', { verbose: true }),
+    'At 00:00, 03:00, 06:00, 09:00, 12:00, 15:00, 18:00, and 21:00, every day', 'verbose lists every time');
+  assertEqual(explain('*/15 9-17 * * 1-5', { short: true }), 'Every 15 min, 09:00–17:59, on Mon–Fri', 'short');
+  assertEqual(explain('0 9,17 * * *', { use24HourTime: false }), 'At 9:00 AM and 5:00 PM', '12-hour times');
+  assertEqual(explain('30 0 * * *', { use24HourTime: false }), 'At 12:30 AM', 'midnight is 12 AM');
+  assertEqual(explain('0 21 * * *', { locale: 'es', use24HourTime: false }), 'A las 9:00 p. m.', 'localized meridiems');
+  assertEqual(explain('*/15 9-17 * * *', { locale: 'de' }), 'Alle 15 Minuten, zwischen 09:00 und 17:59 Uhr', 'ranges in other languages');
+  assertEqual(explain('0 14 * * *', { locale: 'ja', use24HourTime: false }), '毎日午後2:00', 'Japanese meridiems come first');
+  assertEqual(explain('0 0 */2 * *', { locale: 'de' }), 'Um 00:00 Uhr, jeden 2. Tag des Monats', 'German day of month steps');
+  assertEqual(explain('0 0 1-10 * *', { locale: 'fr' }), 'À 00:00, du 1er au 10', 'French day of month ranges');
+  assertEqual(explain('0 0 * 3-9 *', { locale: 'es' }), 'A las 00:00, de marzo a septiembre', 'Spanish month ranges');
+  assertEqual(explain('0 0 * * 1-4,6', { locale: 'pt-BR' }), 'Às 00:00, de segunda-feira a quinta-feira e no sábado',
+    'Portuguese weekday ranges');
+  assertEqual(explain('0 0 * */2 *', { locale: 'ja' }), '2か月ごとの毎日の00:00', 'Japanese month steps');
+  assertEqual(explain('*/15 0-5,12 * * *', { locale: 'de' }), 'Alle 15 Minuten, zwischen 00:00 und 05:59 Uhr und in der Stunde ab 12:00 Uhr',
+    'hour windows in other languages');
+}
+
+// Test: load analysis
+console.log('\nanalyzeLoad():');
+{
+  const start = new Date('2026-10-19T00:00:00Z'); // a Monday
+  const load = analyzeLoad(['0 * * * *', '*/30 * * * *', { expression: '0 9 * * 1-5', label: 'report' }], {
+    start,
+    timezone: 'UTC'
+  });
+  assertEqual(load.end.toISOString(), '2026-10-26T00:00:00.000Z', 'window defaults to a week');
+  assertEqual(load.jobs.map(job => job.runs), [168, 336, 5], 'runs per job');
+  assertEqual(load.totalRuns, 509, 'total runs');
+  assertEqual(load.minutes.length, 336, 'one bucket per minute with a run');
+  assertEqual(load.hours[9], { at: new Date('2026-10-19T09:00:00Z'), jobs: 3, runs: 4 }, 'runs and jobs per hour');
+  assertEqual(load.peak.minute.at.toISOString(), '2026-10-19T09:00:00.000Z', 'busiest minute');
+  assertEqual(load.collisions[0], {
+    time: '09:00',
+    at: new Date('2026-10-19T09:00:00Z'),
+    jobs: ['0 * * * *', '*/30 * * * *', 'report'],
+    occurrences: 5
+  }, 'collisions are grouped by time of day and jobs');
+  assertEqual(load.collisions.length, 10, 'collisions are limited to the top 10');
+  assertEqual([load.heatmap[1][9], load.heatmap[0][9], load.heatmap[1][10]], [4, 3, 3], 'heatmap by weekday and hour');
+
+  const crontab = parseCrontab('@reboot /bin/start\n0 0 * * * /bin/backup\n');
+  const nightly = analyzeLoad(crontab.entries, { start, end: new Date('2026-10-21T00:00:00Z'), timezone: 'UTC' });
+  assertEqual(nightly.jobs, [{ label: '/bin/backup', expression: '0 0 * * *', runs: 2 }], 'crontab entries are labelled by command');
+  assertEqual(nightly.collisions, [], 'no collisions for a single job');
+
+  let error = null;
+  try {
+    analyzeLoad(['* * * * *'], { start, end: start });
+  } catch (e) {
+    error = e;
+  }
+  assert(error !== null, 'empty windows are rejected');
+}
+
+// Test: lint rules
+console.log('\nlint():');
+{
+  const now = new Date('2026-10-19T00:00:00Z');
+  const rulesOf = (jobs, options = {}) => lint(jobs, { now, ...options }).findings.map(finding => finding.rule);
+  assertEqual(rulesOf(['* * * * *']), ['every-minute'], 'every minute');
+  assertEqual(rulesOf(['*/30 * * * * *']), ['every-minute'], 'several runs a minute');
+  assertEqual(rulesOf(['*/5 * * * *', '0 * * * *']), [], 'a wider interval is fine');
+  assertEqual(rulesOf(['30 2 * * *', '0 1-3 * * *']), ['dst-window', 'dst-window'], 'runs in the DST window');
+  assertEqual(['30 2 * * *', '15 30 1 * * *', '*/10 1-2 * * *'].map(expression => lint([expression], { now }).findings[0].message.split(',')[0]),
+    ['Runs at 02:30', 'Runs at 01:30:15', 'Runs during the 01:00 and 02:00 hours'], 'with the times it runs');
+  assertEqual(rulesOf(['30 2 * * *'], { timezone: 'UTC' }), [], 'not in UTC');
+  assertEqual(rulesOf(['0 2 * * *', { expression: '0 2 * * *', timezone: 'Etc/UTC' }, '0 0 * * *', '0 3 * * *']),
+    ['dst-window'], 'nor for jobs in UTC, at midnight or at 03:00');
+  assertEqual(rulesOf(['0 9 1 * 1']), ['day-fields'], 'both day fields restricted');
+  assertEqual(rulesOf(['0 9 1 * 1'], { dayMatching: 'and' }), [], 'not when days are ANDed');
+  const [uneven] = lint(['*/7 * * * *'], { now }).findings;
+  assertEqual([uneven.rule, uneven.field, uneven.offset, uneven.length], ['uneven-step', 'minute', 0, 3], 'uneven step points at its field');
+  assertEqual(uneven.message, "'*/7' starts over every hour, so the gap after 56 is 4, not 7", 'and gives the short gap');
+  assertEqual(rulesOf(['*/15 * * * *', '0 */6 * * *', '5/15 * * * *', '0-30/7 * * * *']), [], 'even and bounded steps are fine');
+  assertEqual(rulesOf(['0 */5 * * *', '0 0 * */5 *']), ['uneven-step', 'uneven-step'], 'uneven hour and month steps');
+  assertEqual(rulesOf(['0 0 30 2 *', '0 0 29 2 * 2027']), ['impossible-date', 'impossible-date'], 'dates that never come');
+  assertEqual(rulesOf(['0 0 * * *', '0 0 * * *']), [], 'two jobs may share a schedule');
+  const shared = lint(['0 0 * * *', '@daily', '0 0 * * 0-6', '0 12 * * *'].map(expandPreset), { now }).findings;
+  assertEqual(shared.map(finding => [finding.rule, finding.job]),
+    [['shared-schedule', 0], ['shared-schedule', 1], ['shared-schedule', 2]], 'three jobs on the same schedule');
+  assertEqual(rulesOf(['0 0 * * *', '0 0 * * *', '0 0 * * *'], { rules: { 'shared-schedule': { limit: 3 } } }), [], 'the limit is configurable');
+
+  const mixed = lint(['61 * * * *', { label: 'poll', expression: '* * * * *', file: 'crontab', line: 4 }, { line: 7, error: { message: 'Missing command' } }], { now });
+  assertEqual(mixed.findings.map(finding => [finding.rule, finding.severity, finding.line]),
+    [['invalid-expression', 'error', null], ['every-minute', 'warning', 4], ['invalid-expression', 'error', 7]], 'invalid expressions are findings');
+  assertEqual([mixed.findings[1].label, mixed.findings[1].file], ['poll', 'crontab'], 'findings keep label and file');
+  assertEqual(mixed.counts, { error: 2, warning: 1, info: 0 }, 'counts by severity');
+  assertEqual(rulesOf(['* * * * *', '0 0 30 2 *'], { rules: { 'every-minute': 'off' } }), ['impossible-date'], 'rules can be turned off');
+  assertEqual(lint(['0 9 1 * 1'], { rules: { 'day-fields': 'error' } }).counts.error, 1, 'or change severity');
+  assertEqual(rulesOf([{ expression: null, reboot: true }]), [], '@reboot entries are skipped');
+  let error = null;
+  try { lint(['* * * * *'], { rules: { 'no-such-rule': 'off' } }); } catch (e) { error = e; }
+  assert(error && /Unknown lint rule: no-such-rule/.test(error.message), 'unknown rules are rejected');
+  error = null;
+  try { lint(['* * * * *'], { rules: { 'every-minute': 'fatal' } }); } catch (e) { error = e; }
+  assert(error && /Invalid severity/.test(error.message), 'as are unknown severities');
+  assertEqual(listRules().map(rule => rule.id), ['invalid-expression', 'every-minute', 'dst-window', 'day-fields', 'uneven-step', 'impossible-date', 'shared-schedule'], 'listRules()');
+}
+
+// Test: comparing expressions
+console.log('\ncompare():');
+{
+  const options = { start: new Date('2026-10-19T00:00:00Z'), timezone: 'UTC', samples: 2 };
+  assert(compare('0 9 * * 1-5', '0 9 * * MON,TUE,WED,THU,FRI').equivalent, 'day names and numbers');
+  assert(compare('0 0 * * 0', '0 0 * * 7').equivalent, 'Sunday is 0 or 7');
+  assert(compare('0 0 * * *', '0 0 ? * *').equivalent, '? is the same as *');
+  assert(compare('0 9 * * *', '0 0 9 * * *').equivalent, '5-field expressions run at second 0');
+  assert(compare('*/15 * * * *', '0,15,30,45 * * * *').equivalent, 'steps and lists');
+  assert(compare('0 0 1-31 * 1', '0 0 * * *').equivalent, 'a day field that allows every day drops out of OR matching');
+  assert(!compare('0 0 1-31 * 1', '0 0 * * 1').equivalent, 'but not out of a restricted day of week');
+
+  const result = compare('0 9 * * 1-5', '0 9-10 * * 1-6', options);
+  assertEqual(result.differences, [
+    { field: 'hour', a: '9', b: '9-10', onlyA: [], onlyB: [10] },
+    { field: 'day of week', a: '1-5', b: '1-6', onlyA: [], onlyB: [6] }
+  ], 'field-by-field differences');
+  assertEqual(result.onlyA, [], 'no runs only the first produces');
+  assertEqual(result.onlyB.map(d => d.toISOString()), ['2026-10-19T10:00:00.000Z', '2026-10-20T10:00:00.000Z'],
+    'sample runs only the second produces');
+
+  const last = compare('0 0 L * *', '0 0 28 * *', options);
+  assertEqual(last.differences[0].onlyA, [{ type: 'last', daysBefore: 0 }], 'special tokens are compared too');
+  assertEqual(last.onlyA[0].toISOString(), '2026-10-31T00:00:00.000Z', 'runs on the last day');
+
+  const matching = compare('0 0 1 * 1', '0 0 1 * 1', { ...options, dayMatching: 'and' });
+  assert(matching.equivalent, 'same day matching');
+  assertEqual(compare('0 0 1-31 * 1', '0 0 * * 1', options).differences,
+    [{ field: 'day matching', a: 'or', b: 'and', onlyA: [], onlyB: [] }], 'day matching differences');
+}
+
+// Test: canonical forms
+console.log('\nnormalize():');
+{
+  assertEqual(normalize('0,15,30,45 */1 * * 0,1,2,3,4,5,6,7'), '*/15 * * * *', 'lists and full ranges collapse');
+  assertEqual(normalize('0  9 * * MON,TUE,WED,THU,FRI'), '0 9 * * 1-5', 'names become numbers, lists become ranges');
+  assertEqual(normalize('0 9 * * MON,TUE,WED', { names: true }), '0 9 * * MON-WED', 'or names, consistently');
+  assertEqual(normalize('0 0 * 1,2,3,7 *', { names: true }), '0 0 * JAN-MAR,JUL *', 'month names');
+  assertEqual(normalize('0 0 * * 5-7'), '0 0 * * 0,5,6', 'Sunday is always 0');
+  assertEqual(normalize('0 1,3,5,7,9,11 * * *'), '0 1-11/2 * * *', 'bounded steps');
+  assertEqual(normalize('5,15,25,35,45,55 * * * *'), '5/10 * * * *', 'steps to the end of the field');
+  assertEqual(normalize('0,30 * * * *'), '0,30 * * * *', 'ties go to the plain list');
+  assertEqual(normalize('0 0 9 * * *'), '0 0 9 * * *', 'keeps the seconds field');
+  assertEqual(normalize('0 0 ? * 5#3'), '0 0 ? * 5#3', 'keeps ? and special tokens');
+  assertEqual(normalize('0 0 1-31/2 * 1'), '0 0 1/2 * 1', 'restricted day fields never gain a leading *');
+  assertEqual(normalize('0 0 */20 * 1'), '0 0 */20 * 1', 'and never lose one');
+  assertEqual(normalize('0 0 1-31 * 1'), '0 0 * * *', 'a day field allowing every day makes OR matching any day');
+  assertEqual(normalize('0 0 1-31 * 1', { dayMatching: 'and' }), '0 0 * * 1', 'unless days are ANDed');
+  assertEqual(normalize('0 9 ? * MON-FRI *', { dialect: 'aws' }), '0 9 ? * 2-6 *', 'weekdays numbered as the dialect numbers them');
+  assertEqual(normalize('0 9 ? * 1,7 *', { dialect: 'aws' }), '0 9 ? * 1,7 *', 'including Sunday and Saturday');
+  assertEqual(normalize('0 9 ? * 6#3 *', { dialect: 'aws' }), '0 9 ? * 6#3 *', 'and Quartz weekday tokens');
+  assertEqual(cli(['--normalize', '--dialect', 'aws', '0 9 ? * MON-FRI *']).stdout.trim(), '0 9 ? * 2-6 *',
+    'CLI normalizes in the dialect');
+  assertEqual(cli(['--normalize', '--check', '--dialect', 'aws', '0 9 ? * 2-6 *']).status, 0,
+    '--check accepts a canonical AWS expression');
+  assertEqual(cli(['--normalize', '--check', '--dialect', 'aws', '0 9 ? * MON-FRI *']).status, 1,
+    '--check rejects one that is not');
+  for (const expression of ['30 */4 1,15 * 1-5', '0 0 L,15 * ?', '0 0 1-31/2 * 1', '*/7 9-17 * * 0,6']) {
+    const normalized = normalize(expression);
+    assert(compare(expression, normalized).equivalent && normalize(normalized) === normalized,
+      `${expression} -> ${normalized} is equivalent and stable`);
+  }
+}
+
+// Test: --calendar and --day
+console.log('\ncalendar and day views:');
+{
+  const berlin = args => cli([...args, '--tz', 'Europe/Berlin']);
+  const march = berlin(['--calendar', '2026-03', '0 * * * *']).stdout.split('\n');
+  assertEqual(march.slice(1, 8), [
+    '  Every hour',
+    '',
+    '  March 2026: 743 runs (Europe/Berlin)',
+    '',
+    '    Mon  Tue  Wed  Thu  Fri  Sat  Sun',
+    '                                    1',
+    '                                   24'
+  ], 'month grid starts on Monday');
+  assertEqual(march.slice(14, 16), ['     23   24   25   26   27   28   29', '     24   24   24   24   24   24   23'],
+    'the day clocks go forward has 23 hourly runs');
+  const october = JSON.parse(berlin(['--calendar', '2026-10', '--json', '0 * * * *']).stdout);
+  assertEqual([october.month, october.days.length, october.days[24]], ['2026-10', 31, { date: '2026-10-25', runs: 24 }],
+    'and the day they go back runs each hour once');
+  const weekdays = JSON.parse(cli(['--calendar', '2026-02', '--tz', 'UTC', '--json', '0 9 * * 1-5']).stdout);
+  assertEqual([weekdays.totalRuns, weekdays.days[0].runs, weekdays.days[1].runs], [20, 0, 1], 'counts runs per day');
+
+  const day = berlin(['--day', '2026-03-29', '30 2 * * *']).stdout.split('\n');
+  assertEqual(day.slice(3, 9), ['  Sun 2026-03-29: 1 run (Europe/Berlin)', '', '  00 │', '  01 │', '  02 │', '  03 │● 03:00'],
+    'day timeline moves a run in the skipped hour to after the gap');
+  const dayJson = JSON.parse(berlin(['--day', '2026-10-25', '--json', '*/30 * * * *']).stdout);
+  assertEqual([dayJson.totalRuns, dayJson.hours.length, dayJson.runs.slice(4, 7)],
+    [48, 24, ['2026-10-25T02:00:00+02:00', '2026-10-25T02:30:00+02:00', '2026-10-25T03:00:00+01:00']],
+    'and lists runs with their offsets, not repeating the hour the clocks go back');
+  const bad = cli(['--calendar', '2026-13', '* * * * *']);
+  assertEqual([bad.status, bad.stderr.trim()], [1, 'Error: Invalid month: 2026-13 (expected YYYY-MM)'], 'rejects invalid months');
+}
+
+// Test: interactive session, driven through stdin
+console.log('\ninteractive mode:');
+{
+  const session = lines => cli(['-i', '--tz', 'UTC', '-n', '1'], lines.map(line => `${line}\n`).join('')).stdout;
+  let output = session(['0 9 * * 1-5', ':set hour 10', ':set dow sat,sun']);
+  assert(/At 10:00, on weekdays/.test(output), ':set changes one field');
+  assert(/At 10:00, on weekends\n[\s\S]*day of week {3}sat,sun/.test(output), 'by its alias, keeping the others');
+  output = session(['0 0 9 * * 1-5 2030', ':set year 2031', ':set sec 30']);
+  assert(/year +2031/.test(output) && /second +30 /.test(output), 'finds seconds and years by the field layout');
+  output = session([':dialect kubernetes', 'CRON_TZ=UTC 0 9 * * *', ':set minute 15']);
+  assert(/At 09:15/.test(output), 'skips a CRON_TZ= prefix');
+  assert(/Error: '0 0 \* \* \*' has no year field/.test(session(['0 0 * * *', ':set year 2030'])), 'names a missing field');
+  assert(/Error: Type an expression first/.test(session([':set hour 9'])), 'needs an expression to change');
+  assert(/Error: Usage: :set <field> <value>/.test(session(['0 0 * * *', ':set hour'])), 'and a value');
+  output = session(['0 9 * * *', ':count 2', ':tz Asia/Tokyo']);
+  assert(/Next 2 runs \(UTC\)/.test(output) && /Time zone: Asia\/Tokyo[\s\S]*\+09:00/.test(output), ':count and :tz show the runs again');
+  output = session(['0 9 * * *', ':dialect aws', ':dialect']);
+  assert(/Dialect: AWS EventBridge[\s\S]*FIELD_COUNT[\s\S]*Dialect: Unix cron/.test(output), ':dialect switches and resets');
+  assert(/Error: Usage: :count <n>/.test(session([':count 0'])), 'rejects a bad count');
+  assert(/Unknown command :frob/.test(session([':frob'])), 'rejects unknown commands');
+  output = session([':quit', '0 0 * * *']);
+  assert(!/At 00:00/.test(output), ':quit ignores the lines after it');
+}
+
+// Test: --batch
+console.log('\nbatch mode:');
+{
+  const input = [
+    '0 9 * * 1-5',
+    '',
+    '# comment',
+    '{"id":"etl","expression":"@daily","timezone":"Asia/Tokyo"}',
+    '61 * * * *',
+    '{"id":"broken",',
+    '{"id":"none"}',
+    '{"expression":"0 0 * * *","timezone":"Mars/Olympus"}',
+    '0 0 30 2 *'
+  ].join('\n');
+  const run = cli(['--batch', '-n', '1', '--tz', 'UTC', '--from', '2026-10-19T00:00'], input);
+  const results = run.stdout.trim().split('\n').map(line => JSON.parse(line));
+  assertEqual(results.map(result => [result.line, result.valid]),
+    [[1, true], [4, true], [5, false], [6, false], [7, false], [8, false], [9, true]], 'one JSON line per expression, skipping blanks and comments');
+  assertEqual([results[0].explanation, results[0].timezone, results[0].nextRuns, results[0].fields.hour.values],
+    ['At 09:00, on weekdays', 'UTC', ['2026-10-19T09:00:00+00:00'], [9]], 'with explanation, runs and fields');
+  assertEqual([results[1].id, results[1].nextRuns], ['etl', ['2026-10-20T00:00:00+09:00']], 'JSON lines carry an id and a time zone');
+  assertEqual([results[2].error, results[2].diagnostics[0].code], ["Value 61 out of range for field 'minute' (0-59)", 'OUT_OF_RANGE'],
+    'invalid lines get an error and diagnostics');
+  assert(/^Invalid JSON/.test(results[3].error) && results[4].error === 'No expression given' && /Mars\/Olympus/.test(results[5].error),
+    'as do bad JSON, a missing expression and an unknown zone');
+  assertEqual(results[6].diagnostics[0].code, 'NEVER_FIRES', 'warnings are listed');
+  assertEqual([run.status, run.stderr.trim()], [1, '7 expressions: 2 valid, 4 invalid, 1 never fires'], 'summary and status');
+  const never = cli(['--batch', '-n', '0'], '0 9 * * *\n0 0 30 2 *\n');
+  assertEqual([never.status, never.stderr.trim()], [1, '2 expressions: 1 valid, 0 invalid, 1 never fires'],
+    'a schedule that never fires fails the run');
+  assertEqual([cli(['--batch'], '0 0 * * * 2020-2099\n').status, cli(['--batch', '--strict'], '0 0 * * * 2020-2099\n').status], [0, 1],
+    '--strict fails on warnings');
+  const verbose = JSON.parse(cli(['--batch', '-n', '0', '--verbose'], '0 9 * * *\n').stdout);
+  assertEqual(verbose.explanation, explain('0 9 * * *', { verbose: true }), '--verbose applies to every line');
+}
+
+// Test: --format and --template
+console.log('\noutput formats:');
+{
+  const run = args => cli([...args, '--tz', 'UTC', '--from', '2026-10-19T00:00']).stdout;
+  assertEqual(run(['--format', 'csv', '-n', '2', '0 9 * * 1-5']).split('\n'), [
+    'Expression,Meaning,Time zone,#,Run',
+    '0 9 * * 1-5,"At 09:00, on weekdays",UTC,1,2026-10-19 09:00:00 +00:00',
+    '0 9 * * 1-5,"At 09:00, on weekdays",UTC,2,2026-10-20 09:00:00 +00:00',
+    ''
+  ], 'csv repeats the caption on each row and quotes commas');
+  assertEqual(run(['--format', 'markdown', '0 9 * * 1-5']).split('\n'), [
+    '| Expression | Meaning | Minute | Hour | Day of month | Month | Day of week |',
+    '|---|---|---|---|---|---|---|',
+    '| `0 9 * * 1-5` | At 09:00, on weekdays | `0` | `9` | `*` | `*` | `1-5` |',
+    ''
+  ], 'markdown tables show expressions as code');
+  assertEqual(run(['--format', 'markdown', '-v', '0 0 1 * | *']).split('\n').slice(2, 3)[0].startsWith('| `0 0 1 * \\| *` | false |'),
+    true, 'and escape pipes');
+  assertEqual(run(['--format', 'table', '-v', '0 0 30 2 *']).split('\n'), [
+    'Expression  Valid  Problems',
+    '──────────  ─────  ─────────────────────────────────────────────────────────────',
+    '0 0 30 2 *  true   Schedule never fires: February never has day 30 [NEVER_FIRES]',
+    ''
+  ], 'table aligns its columns');
+  assertEqual(run(['--format', 'yaml', '-n', '1', '0 9 * * *']).split('\n'), [
+    'expression: "0 9 * * *"',
+    'explanation: "At 09:00"',
+    'timezone: UTC',
+    'nextOccurrences:',
+    '- "2026-10-19T09:00:00+00:00"',
+    ''
+  ], 'yaml holds the --json data');
+
+  const template = '{expression}|{explanation}|{day-of-week}|{valid}|{next}';
+  const expected = '0 9 * * 1-5|At 09:00, on weekdays|1-5|true|2026-10-19 09:00:00 +00:00, 2026-10-20 09:00:00 +00:00\n';
+  assertEqual(run(['--template', template, '-n', '2', '0 9 * * 1-5']), expected, '--template fills placeholders');
+  assertEqual(run(['--template', template, '-v', '-n', '2', '0 9 * * 1-5']), expected, 'the same ones with -v');
+  assertEqual(run(['--template', template, '-n', '2', '--prev', '1', '0 9 * * 1-5']), expected, 'and with --prev');
+  assertEqual(run(['--template', '{runs}', '--prev', '1', '0 9 * * 1-5']), '2026-10-16 09:00:00 +00:00\n',
+    '{runs} holds the runs listed');
+  assertEqual(run(['--template', '{valid}\\t{error}\\t{next}', '-v', '61 * * * *']),
+    "false\tValue 61 out of range for field 'minute' (0-59)\t\n", 'invalid expressions leave runs empty');
+  const presets = run(['--template', '{name}={expression}', '-p']).split('\n');
+  assert(presets.includes('@daily=0 0 * * *') && presets.includes('@reboot=') && presets.includes('@every 15m=*/15 * * * *'),
+    '-p lists the same presets as its text output');
+  const unknown = cli(['--template', '{nope}', '* * * * *']);
+  assert(unknown.status === 1 && /Unknown placeholder \{nope\}.*\{next\}/.test(unknown.stderr), 'unknown placeholders are an error');
+  assertEqual(cli(['--format', 'xml', '* * * * *']).status, 1, 'unknown formats are an error');
+}
+
 // Summary
 console.log('\n=== Results ===');
 console.log(`Passed: ${passed}`);